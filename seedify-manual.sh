@@ -4,12 +4,19 @@
 
 set -e  # Exit on error
 
-# Configuration - EDIT THESE
+# Configuration comes from seedify.config.js / .seedifyrc.json (select a
+# profile with PROFILE=staging); DB_* variables override it
+CONFIG=$(npx seedify config --show-password ${PROFILE:+--profile "$PROFILE"})
+setting() { echo "$CONFIG" | jq -r ".$1 // empty"; }
+
+DB_HOST="${DB_HOST:-$(setting dbHost)}"
 DB_HOST="${DB_HOST:-localhost}"
+DB_PORT="${DB_PORT:-$(setting dbPort)}"
 DB_PORT="${DB_PORT:-5432}"
-DB_NAME="${DB_NAME:-your_db}"
-DB_USER="${DB_USER:-your_user}"
-DB_PASSWORD="${DB_PASSWORD:-your_password}"
+DB_NAME="${DB_NAME:-$(setting dbName)}"
+DB_USER="${DB_USER:-$(setting dbUser)}"
+DB_PASSWORD="${DB_PASSWORD:-$(setting dbPassword)}"
+QUERIES_FILE="${QUERIES_FILE:-$(setting inputFile)}"
 QUERIES_FILE="${QUERIES_FILE:-.seedify/queries.jsonl}"
 
 # Derived paths
@@ -1,545 +1,1044 @@
 /**
  * Seedify Query Analyzer
  * 
- * Parses captured queries and extracts table names + ID conditions
- * for feeding into Jailer.
+ * Parses captured queries with libpg_query (the PostgreSQL parser compiled to
+ * wasm) and extracts table names + ID conditions for feeding into Jailer.
+ *
+ * The parser is loaded asynchronously. analyzeFile() loads it on demand; call
+ * loadParser() once before using the synchronous extract* functions directly.
  */
 
 const fs = require('fs').promises;
+const path = require('path');
+const pgQuery = require('libpg-query');
+const { quoteIdent, renderLiteral } = require('../sql');
+const { REDACTED } = require('../capture/rules');
+
+let parserReady = false;
+let parserLoading = null;
 
 /**
- * Extracts table names from a SQL query.
- * Handles FROM, JOIN, INTO, UPDATE, DELETE FROM clauses.
- * 
- * @param {string} query - SQL query string
- * @returns {string[]} - Array of table names
+ * Load the libpg_query wasm module. Safe to call repeatedly.
+ *
+ * @returns {Promise<void>}
  */
-function extractTableNames(query) {
-    const tables = new Set();
-
-    // Normalize whitespace
-    const normalized = query.replace(/\s+/g, ' ').trim();
-
-    // Patterns to match table names
-    const patterns = [
-        // FROM table_name or FROM schema.table_name
-        /\bFROM\s+([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)?)/gi,
-        // JOIN table_name
-        /\bJOIN\s+([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)?)/gi,
-        // INTO table_name
-        /\bINTO\s+([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)?)/gi,
-        // UPDATE table_name
-        /\bUPDATE\s+([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)?)/gi,
-        // DELETE FROM table_name
-        /\bDELETE\s+FROM\s+([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)?)/gi,
-    ];
-
-    for (const pattern of patterns) {
-        let match;
-        while ((match = pattern.exec(normalized)) !== null) {
-            const tableName = match[1].toLowerCase();
-            // Skip common SQL keywords that might be captured
-            if (!isKeyword(tableName)) {
-                tables.add(tableName);
-            }
-        }
+function loadParser() {
+    if (!parserLoading) {
+        parserLoading = pgQuery.loadModule().then(() => {
+            parserReady = true;
+        });
     }
-
-    return Array.from(tables);
+    return parserLoading;
 }
 
 /**
- * Check if a string is a SQL keyword (to filter out false positives)
+ * Whether loadParser() has finished, so the synchronous functions can parse.
+ *
+ * @returns {boolean}
  */
-function isKeyword(word) {
-    const keywords = new Set([
-        'select', 'where', 'and', 'or', 'not', 'null', 'true', 'false',
-        'order', 'group', 'having', 'limit', 'offset', 'union', 'intersect',
-        'except', 'case', 'when', 'then', 'else', 'end', 'as', 'on',
-        'lateral', 'recursive', 'with', 'values', 'returning', 'set'
-    ]);
-    return keywords.has(word.toLowerCase());
+function isParserLoaded() {
+    return parserReady;
 }
 
 /**
- * Extracts ID conditions from a query with its params.
- * Looks for patterns like: WHERE id = $1, WHERE table.id IN ($1, $2)
- * Also handles >=, <=, <, >, BETWEEN
- * 
- * @param {string} query - SQL query string
- * @param {any[]} params - Query parameters
- * @returns {Array<{table: string, column: string, operator: string, values: any[]}>}
+ * Parse a query into libpg_query statement nodes.
+ * Returns null if the query is not valid PostgreSQL.
  */
-function extractIdConditions(query, params) {
-    const conditions = [];
-    const normalized = query.replace(/\s+/g, ' ').trim();
+function parseStatements(query) {
+    if (!parserReady) {
+        throw new Error('[seedify] SQL parser not loaded. Call await analyzer.loadParser() first.');
+    }
 
-    // Pattern 1: Simple column = $N (e.g., "id = $1", "user_id = $2")
-    const simpleEqualPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*\$(\d+)/gi;
+    try {
+        return pgQuery.parseSync(query).stmts.map(s => s.stmt);
+    } catch (e) {
+        if (e instanceof pgQuery.SqlError) return null;
+        throw e;
+    }
+}
 
-    // Pattern 2: table.column = $N (e.g., "users.id = $1")
-    const tableEqualPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\.([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*\$(\d+)/gi;
+// Comparison operators we turn into conditions, and their mirror images
+// for predicates written as `$1 < column`
+const COMPARISON_OPERATORS = {
+    '=': '=',
+    '<>': '<>',
+    '<': '>',
+    '>': '<',
+    '<=': '>=',
+    '>=': '<='
+};
 
-    // Pattern 3: Simple column IN ($1, $2, ...) 
-    const simpleInPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\s+IN\s*\(([^)]+)\)/gi;
+/**
+ * Walks a parsed query, tracking FROM scopes so every column reference can
+ * be resolved to the table it belongs to.
+ */
+class QueryWalker {
+    constructor(query, params) {
+        this.source = Buffer.from(query);
+        // Redacted params (see start({ redact })) stand for no value
+        this.params = (params || []).map(p => (p === REDACTED ? undefined : p));
+        this.tables = new Set();
+        this.references = [];
+        this.conditions = [];
+        this.writes = [];
+    }
 
-    // Pattern 4: table.column IN ($1, $2, ...)
-    const tableInPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\.([a-zA-Z_][a-zA-Z0-9_]*)\s+IN\s*\(([^)]+)\)/gi;
+    walkStatement(node, parent, depth) {
+        const type = Object.keys(node)[0];
+        const stmt = node[type];
+        const scope = { parent, items: [], ctes: new Set(), depth };
+
+        if (stmt.withClause) {
+            for (const cte of stmt.withClause.ctes) {
+                const { ctename, ctequery } = cte.CommonTableExpr;
+                // Added before walking so recursive CTEs can see themselves
+                scope.ctes.add(ctename);
+                this.walkStatement(ctequery, scope, depth + 1);
+            }
+        }
 
-    // Pattern 5: Simple column {>=|<=|>|<|!=|<>} $N
-    const simpleComparePattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\s*(>=|<=|<>|!=|>|<)\s*\$(\d+)/gi;
+        switch (type) {
+            case 'SelectStmt':
+                if (stmt.op && stmt.op !== 'SETOP_NONE') {
+                    this.walkStatement({ SelectStmt: stmt.larg }, scope, depth);
+                    this.walkStatement({ SelectStmt: stmt.rarg }, scope, depth);
+                    return;
+                }
+                (stmt.fromClause || []).forEach(item => this.addFromItem(item, scope));
+                this.walkExpr(stmt.targetList, scope);
+                this.walkExpr(stmt.whereClause, scope);
+                this.walkExpr(stmt.havingClause, scope);
+                this.walkExpr(stmt.valuesLists, scope);
+                break;
+
+            case 'InsertStmt':
+                this.addRelation(stmt.relation, scope, 'table');
+                this.addInsertWrites(stmt);
+                if (stmt.selectStmt) this.walkStatement(stmt.selectStmt, parent, depth + 1);
+                if (stmt.onConflictClause) {
+                    scope.items.push({ kind: 'derived', name: 'excluded', alias: null });
+                    this.walkExpr(stmt.onConflictClause.whereClause, scope);
+                    this.walkExpr(stmt.onConflictClause.targetList, scope);
+                }
+                this.walkExpr(stmt.returningClause || stmt.returningList, scope);
+                break;
+
+            case 'UpdateStmt':
+                this.addRelation(stmt.relation, scope, 'table');
+                this.addUpdateWrites(stmt);
+                (stmt.fromClause || []).forEach(item => this.addFromItem(item, scope));
+                this.walkExpr(stmt.targetList, scope);
+                this.walkExpr(stmt.whereClause, scope);
+                this.walkExpr(stmt.returningClause || stmt.returningList, scope);
+                break;
+
+            case 'DeleteStmt':
+                this.addRelation(stmt.relation, scope, 'table');
+                (stmt.usingClause || []).forEach(item => this.addFromItem(item, scope));
+                this.walkExpr(stmt.whereClause, scope);
+                this.walkExpr(stmt.returningClause || stmt.returningList, scope);
+                break;
+
+            default:
+                // Utility statements (BEGIN, SET, ...) reference no data
+                break;
+        }
+    }
 
-    // Pattern 6: table.column {>=|<=|>|<|!=|<>} $N
-    const tableComparePattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\.([a-zA-Z_][a-zA-Z0-9_]*)\s*(>=|<=|<>|!=|>|<)\s*\$(\d+)/gi;
+    /**
+     * Records the column values of each VALUES row of an INSERT with a column list.
+     */
+    addInsertWrites(stmt) {
+        const select = stmt.selectStmt && stmt.selectStmt.SelectStmt;
+        if (!stmt.cols || !select || !select.valuesLists) return;
+
+        const table = relationName(stmt.relation);
+        const columns = stmt.cols.map(c => c.ResTarget.name);
+        for (const list of select.valuesLists) {
+            const values = {};
+            list.List.items.forEach((item, i) => {
+                const value = this.writtenValue(item);
+                if (value !== undefined && columns[i]) values[columns[i]] = value;
+            });
+            this.writes.push({ table, operation: 'insert', values });
+        }
+    }
 
-    // Pattern 7: Simple column BETWEEN $N AND $M
-    const simpleBetweenPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\s+BETWEEN\s+\$(\d+)\s+AND\s+\$(\d+)/gi;
+    /**
+     * Records the `column = value` assignments of an UPDATE.
+     */
+    addUpdateWrites(stmt) {
+        const values = {};
+        for (const target of stmt.targetList || []) {
+            // SET (a, b) = (...) and SET a[1] = ... are skipped
+            if (!target.ResTarget || target.ResTarget.indirection) continue;
+            const value = this.writtenValue(target.ResTarget.val);
+            if (value !== undefined) values[target.ResTarget.name] = value;
+        }
+        if (Object.keys(values).length > 0) {
+            this.writes.push({ table: relationName(stmt.relation), operation: 'update', values });
+        }
+    }
 
-    // Pattern 8: table.column BETWEEN $N AND $M
-    const tableBetweenPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\.([a-zA-Z_][a-zA-Z0-9_]*)\s+BETWEEN\s+\$(\d+)\s+AND\s+\$(\d+)/gi;
+    /**
+     * Value a written expression stands for: a param, a string or integer
+     * literal, or NULL. Undefined for DEFAULT and other expressions.
+     */
+    writtenValue(node) {
+        const value = unwrapCast(node);
+        if (value.ParamRef) return this.params[value.ParamRef.number - 1];
+        if (!value.A_Const) return undefined;
+
+        const constant = value.A_Const;
+        if (constant.isnull) return null;
+        if (constant.sval) return constant.sval.sval;
+        if (constant.ival) return constant.ival.ival || 0;
+        return undefined;
+    }
 
-    // Pattern 9: Simple column LIKE/ILIKE $N
-    const simpleLikePattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\s+(LIKE|ILIKE)\s*\$(\d+)/gi;
+    addRelation(rangeVar, scope, kind) {
+        const alias = rangeVar.alias ? rangeVar.alias.aliasname : null;
 
-    // Pattern 10: table.column LIKE/ILIKE $N
-    const tableLikePattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\.([a-zA-Z_][a-zA-Z0-9_]*)\s+(LIKE|ILIKE)\s*\$(\d+)/gi;
+        if (!rangeVar.schemaname && this.isCte(rangeVar.relname, scope)) {
+            scope.items.push({ kind: 'derived', name: rangeVar.relname, alias });
+            return;
+        }
 
-    // Pattern 11: Simple column NOT IN ($1, $2, ...)
-    const simpleNotInPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\s+NOT\s+IN\s*\(([^)]+)\)/gi;
+        const table = relationName(rangeVar);
 
-    // Pattern 12: table.column NOT IN ($1, $2, ...)
-    const tableNotInPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\.([a-zA-Z_][a-zA-Z0-9_]*)\s+NOT\s+IN\s*\(([^)]+)\)/gi;
+        this.tables.add(table);
+        this.references.push({ table, alias, index: rangeVar.location, depth: scope.depth });
+        scope.items.push({ kind, table, name: rangeVar.relname, schema: rangeVar.schemaname || null, alias });
+    }
 
-    // Pattern 13: Simple column IS NULL / IS NOT NULL
-    const simpleIsNullPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\s+(IS\s+NOT\s+NULL|IS\s+NULL)\b/gi;
+    addFromItem(item, scope) {
+        if (item.RangeVar) {
+            this.addRelation(item.RangeVar, scope, 'table');
+        } else if (item.JoinExpr) {
+            this.addFromItem(item.JoinExpr.larg, scope);
+            this.addFromItem(item.JoinExpr.rarg, scope);
+            this.walkExpr(item.JoinExpr.quals, scope);
+        } else if (item.RangeSubselect) {
+            const sub = item.RangeSubselect;
+            // LATERAL subqueries may reference earlier FROM items
+            this.walkStatement(sub.subquery, sub.lateral ? scope : scope.parent, scope.depth + 1);
+            scope.items.push({ kind: 'derived', name: null, alias: sub.alias ? sub.alias.aliasname : null });
+        } else if (item.RangeFunction) {
+            this.walkExpr(item.RangeFunction.functions, scope);
+            const alias = item.RangeFunction.alias;
+            scope.items.push({ kind: 'derived', name: null, alias: alias ? alias.aliasname : null });
+        }
+    }
 
-    // Pattern 14: table.column IS NULL / IS NOT NULL
-    const tableIsNullPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\.([a-zA-Z_][a-zA-Z0-9_]*)\s+(IS\s+NOT\s+NULL|IS\s+NULL)\b/gi;
+    isCte(name, scope) {
+        for (let s = scope; s; s = s.parent) {
+            if (s.ctes.has(name)) return true;
+        }
+        return false;
+    }
 
-    // Extract simple column = $N conditions
-    let match;
-    while ((match = simpleEqualPattern.exec(normalized)) !== null) {
-        const column = match[1];
-        const paramIndex = parseInt(match[2], 10) - 1;
+    /**
+     * Recurses through an expression tree, emitting conditions for predicates
+     * and walking subqueries in the current scope.
+     */
+    walkExpr(node, scope) {
+        if (!node || typeof node !== 'object') return;
 
-        if (params[paramIndex] !== undefined) {
-            conditions.push({
-                table: null,
-                column: column.toLowerCase(),
-                values: [params[paramIndex]]
-            });
+        if (Array.isArray(node)) {
+            node.forEach(n => this.walkExpr(n, scope));
+            return;
         }
-    }
 
-    // Extract table.column = $N conditions
-    while ((match = tableEqualPattern.exec(normalized)) !== null) {
-        const table = match[1].toLowerCase();
-        const column = match[2];
-        const paramIndex = parseInt(match[3], 10) - 1;
+        if (node.A_Expr) {
+            this.addExprCondition(node.A_Expr, scope);
+        } else if (node.NullTest) {
+            this.addNullTestCondition(node.NullTest, scope);
+        } else if (node.SubLink) {
+            this.walkExpr(node.SubLink.testexpr, scope);
+            this.walkStatement(node.SubLink.subselect, scope, scope.depth + 1);
+            return;
+        }
 
-        if (params[paramIndex] !== undefined) {
-            conditions.push({
-                table,
-                column: column.toLowerCase(),
-                values: [params[paramIndex]]
-            });
+        for (const value of Object.values(node)) {
+            this.walkExpr(value, scope);
         }
     }
 
-    // Extract simple column IN (...) conditions
-    while ((match = simpleInPattern.exec(normalized)) !== null) {
-        const column = match[1];
-        const paramsStr = match[2];
+    /**
+     * Resolves a ColumnRef to { table, column, candidates? }.
+     * Returns null for columns of CTEs, subqueries or functions, which are not
+     * real tables Jailer could extract from.
+     */
+    resolveColumn(columnRef, scope) {
+        const fields = columnRef.fields.map(f => (f.String ? f.String.sval : null));
+        if (fields.some(f => f === null)) return null; // SELECT t.*
+
+        const column = fields[fields.length - 1];
+
+        if (fields.length >= 2) {
+            const qualifier = fields[fields.length - 2];
+            const schema = fields.length >= 3 ? fields[fields.length - 3] : null;
+
+            for (let s = scope; s; s = s.parent) {
+                const item = s.items.find(i => (i.alias
+                    ? i.alias === qualifier
+                    : i.name === qualifier && (!schema || i.schema === schema)));
+                if (item) {
+                    return item.kind === 'table' ? { table: item.table, column } : null;
+                }
+            }
 
-        const paramMatches = paramsStr.match(/\$(\d+)/g);
-        if (paramMatches) {
-            const values = paramMatches.map(p => {
-                const idx = parseInt(p.slice(1), 10) - 1;
-                return params[idx];
-            }).filter(v => v !== undefined);
+            // Unknown qualifier (e.g. outer query not captured): keep it as the table name
+            return { table: schema ? `${schema}.${qualifier}` : qualifier, column };
+        }
 
-            if (values.length > 0) {
-                conditions.push({
-                    table: null,
-                    column: column.toLowerCase(),
-                    values
-                });
-            }
+        // Unqualified: first table of the innermost scope that has FROM items.
+        // The scope's other tables are kept as candidates for a catalog to pick from.
+        for (let s = scope; s; s = s.parent) {
+            if (s.items.length === 0) continue;
+            const first = s.items[0];
+            if (first.kind !== 'table') return null;
+            const tables = Array.from(new Set(s.items.filter(i => i.kind === 'table').map(i => i.table)));
+            return tables.length > 1 ? { table: first.table, column, candidates: tables } : { table: first.table, column };
         }
+
+        return { table: null, column };
     }
 
-    // Extract table.column IN (...) conditions
-    while ((match = tableInPattern.exec(normalized)) !== null) {
-        const table = match[1].toLowerCase();
-        const column = match[2];
-        const paramsStr = match[3];
-
-        const paramMatches = paramsStr.match(/\$(\d+)/g);
-        if (paramMatches) {
-            const values = paramMatches.map(p => {
-                const idx = parseInt(p.slice(1), 10) - 1;
-                return params[idx];
-            }).filter(v => v !== undefined);
-
-            if (values.length > 0) {
-                conditions.push({
-                    table,
-                    column: column.toLowerCase(),
-                    values
-                });
+    /**
+     * Returns the value a ParamRef or A_Const stands for, or undefined.
+     * Literals are only used for table-qualified columns: strings always,
+     * numbers when the column looks like an ID.
+     */
+    valueOf(node, columnRef) {
+        const value = unwrapCast(node);
+
+        if (value.ParamRef) {
+            return this.params[value.ParamRef.number - 1];
+        }
+
+        if (value.A_Const && columnRef.fields.length >= 2) {
+            const constant = value.A_Const;
+            const column = columnRef.fields[columnRef.fields.length - 1].String;
+            if (constant.sval) return constant.sval.sval;
+            if (constant.ival && column && isIdColumn(column.sval)) {
+                // Protobuf JSON omits zero values
+                return constant.ival.ival || 0;
             }
         }
+
+        return undefined;
     }
 
-    // Pattern 5: column = ANY($1) - PostgreSQL array parameter syntax
-    const simpleAnyPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*ANY\s*\(\s*\$(\d+)\s*\)/gi;
+    push(scope, columnRef, operator, values) {
+        const resolved = this.resolveColumn(columnRef, scope);
+        if (!resolved) return;
 
-    // Pattern 6: table.column = ANY($1)
-    const tableAnyPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\.([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*ANY\s*\(\s*\$(\d+)\s*\)/gi;
+        const condition = { table: resolved.table, column: resolved.column };
+        if (operator) condition.operator = operator;
+        condition.values = values;
+        if (resolved.candidates) condition.candidates = resolved.candidates;
+        this.conditions.push(condition);
+    }
 
-    // Extract simple column = ANY($N) conditions
-    while ((match = simpleAnyPattern.exec(normalized)) !== null) {
-        const column = match[1];
-        const paramIndex = parseInt(match[2], 10) - 1;
-        const paramValue = params[paramIndex];
+    addExprCondition(expr, scope) {
+        const opName = expr.name && expr.name[expr.name.length - 1].String
+            ? expr.name[expr.name.length - 1].String.sval
+            : null;
+        let left = unwrapCast(expr.lexpr);
+        let right = expr.rexpr;
+
+        switch (expr.kind) {
+            case 'AEXPR_OP': {
+                if (!(opName in COMPARISON_OPERATORS)) return;
+                let operator = opName;
+
+                // $1 < column -> column > $1
+                if (!left.ColumnRef && unwrapCast(right).ColumnRef) {
+                    [left, right] = [unwrapCast(right), expr.lexpr];
+                    operator = COMPARISON_OPERATORS[opName];
+                }
+                if (!left.ColumnRef) return;
+
+                const value = this.valueOf(right, left.ColumnRef);
+                if (value === undefined) return;
+
+                // The parser normalizes != to <>; keep what the query said
+                if (operator === '<>' && this.source.toString('utf8', expr.location, expr.location + 2) === '!=') {
+                    operator = '!=';
+                }
+
+                this.push(scope, left.ColumnRef, operator === '=' ? null : operator, [value]);
+                break;
+            }
 
-        if (paramValue !== undefined) {
-            // ANY takes an array parameter, so flatten it
-            const values = Array.isArray(paramValue) ? paramValue : [paramValue];
-            conditions.push({
-                table: null,
-                column: column.toLowerCase(),
-                values
-            });
-        }
-    }
+            case 'AEXPR_OP_ANY': {
+                if (opName !== '=' || !left.ColumnRef) return;
+                const array = unwrapCast(right);
+                let values;
+                if (array.A_ArrayExpr) {
+                    values = (array.A_ArrayExpr.elements || []).map(e => this.valueOf(e, left.ColumnRef));
+                } else {
+                    const value = this.valueOf(array, left.ColumnRef);
+                    values = Array.isArray(value) ? value : [value];
+                }
+                values = values.filter(v => v !== undefined);
+                if (values.length > 0) this.push(scope, left.ColumnRef, null, values);
+                break;
+            }
 
-    // Extract table.column = ANY($N) conditions
-    while ((match = tableAnyPattern.exec(normalized)) !== null) {
-        const table = match[1].toLowerCase();
-        const column = match[2];
-        const paramIndex = parseInt(match[3], 10) - 1;
-        const paramValue = params[paramIndex];
+            case 'AEXPR_IN': {
+                if (!left.ColumnRef || !right.List) return;
+                const values = right.List.items
+                    .map(item => this.valueOf(item, left.ColumnRef))
+                    .filter(v => v !== undefined);
+                if (values.length === 0) return;
+                this.push(scope, left.ColumnRef, opName === '<>' ? 'NOT IN' : null, values);
+                break;
+            }
 
-        if (paramValue !== undefined) {
-            const values = Array.isArray(paramValue) ? paramValue : [paramValue];
-            conditions.push({
-                table,
-                column: column.toLowerCase(),
-                values
-            });
-        }
-    }
+            case 'AEXPR_BETWEEN': {
+                if (!left.ColumnRef || !right.List || right.List.items.length !== 2) return;
+                const values = right.List.items.map(item => this.valueOf(item, left.ColumnRef));
+                if (values.some(v => v === undefined)) return;
+                this.push(scope, left.ColumnRef, 'BETWEEN', values);
+                break;
+            }
 
-    // Extract simple column {>=|<=|>|<} $N conditions
-    while ((match = simpleComparePattern.exec(normalized)) !== null) {
-        const column = match[1];
-        const operator = match[2];
-        const paramIndex = parseInt(match[3], 10) - 1;
+            case 'AEXPR_LIKE':
+            case 'AEXPR_ILIKE': {
+                // Only positive LIKE/ILIKE (~~ and ~~*)
+                if (!left.ColumnRef || (opName !== '~~' && opName !== '~~*')) return;
+                const value = this.valueOf(right, left.ColumnRef);
+                if (value === undefined) return;
+                this.push(scope, left.ColumnRef, expr.kind === 'AEXPR_LIKE' ? 'LIKE' : 'ILIKE', [value]);
+                break;
+            }
 
-        if (params[paramIndex] !== undefined) {
-            conditions.push({
-                table: null,
-                column: column.toLowerCase(),
-                operator,
-                values: [params[paramIndex]]
-            });
+            default:
+                break;
         }
     }
 
-    // Extract table.column {>=|<=|>|<} $N conditions
-    while ((match = tableComparePattern.exec(normalized)) !== null) {
-        const table = match[1].toLowerCase();
-        const column = match[2];
-        const operator = match[3];
-        const paramIndex = parseInt(match[4], 10) - 1;
-
-        if (params[paramIndex] !== undefined) {
-            conditions.push({
-                table,
-                column: column.toLowerCase(),
-                operator,
-                values: [params[paramIndex]]
-            });
-        }
+    addNullTestCondition(test, scope) {
+        const arg = unwrapCast(test.arg);
+        if (!arg.ColumnRef) return;
+        this.push(scope, arg.ColumnRef, test.nulltesttype === 'IS_NOT_NULL' ? 'IS NOT NULL' : 'IS NULL', []);
     }
+}
 
-    // Extract simple column BETWEEN $N AND $M conditions
-    while ((match = simpleBetweenPattern.exec(normalized)) !== null) {
-        const column = match[1];
-        const paramIndex1 = parseInt(match[2], 10) - 1;
-        const paramIndex2 = parseInt(match[3], 10) - 1;
+/**
+ * Table name of a RangeVar, schema-qualified when the query qualifies it.
+ */
+function relationName(rangeVar) {
+    return rangeVar.schemaname ? `${rangeVar.schemaname}.${rangeVar.relname}` : rangeVar.relname;
+}
 
-        if (params[paramIndex1] !== undefined && params[paramIndex2] !== undefined) {
-            conditions.push({
-                table: null,
-                column: column.toLowerCase(),
-                operator: 'BETWEEN',
-                values: [params[paramIndex1], params[paramIndex2]]
-            });
-        }
-    }
+/**
+ * Describe where each output column of a plain SELECT comes from, in target
+ * list order. Entries are:
+ *   {table, column}        a column of a real table
+ *   {star: true, tables}   `*` or `t.*`; tables lists the FROM items it expands
+ *                          to in order (null for subqueries, CTEs and functions)
+ *   null                   an expression, or a column we can't attribute
+ * Returns null for anything other than a single plain SELECT.
+ *
+ * @param {string} query - SQL query string
+ * @returns {Array<Object|null>|null}
+ */
+function describeSelectTargets(query) {
+    const statements = parseStatements(query);
+    if (!statements || statements.length !== 1 || !statements[0].SelectStmt) return null;
 
-    // Extract table.column BETWEEN $N AND $M conditions
-    while ((match = tableBetweenPattern.exec(normalized)) !== null) {
-        const table = match[1].toLowerCase();
-        const column = match[2];
-        const paramIndex1 = parseInt(match[3], 10) - 1;
-        const paramIndex2 = parseInt(match[4], 10) - 1;
+    const stmt = statements[0].SelectStmt;
+    if ((stmt.op && stmt.op !== 'SETOP_NONE') || !stmt.targetList) return null;
 
-        if (params[paramIndex1] !== undefined && params[paramIndex2] !== undefined) {
-            conditions.push({
-                table,
-                column: column.toLowerCase(),
-                operator: 'BETWEEN',
-                values: [params[paramIndex1], params[paramIndex2]]
-            });
-        }
+    const walker = new QueryWalker(query);
+    const scope = { parent: null, items: [], ctes: new Set(), depth: 0 };
+    if (stmt.withClause) {
+        stmt.withClause.ctes.forEach(cte => scope.ctes.add(cte.CommonTableExpr.ctename));
     }
+    (stmt.fromClause || []).forEach(item => walker.addFromItem(item, scope));
 
-    // Extract simple column LIKE/ILIKE $N conditions
-    while ((match = simpleLikePattern.exec(normalized)) !== null) {
-        const column = match[1];
-        const operator = match[2].toUpperCase();
-        const paramIndex = parseInt(match[3], 10) - 1;
+    const tableOf = item => (item.kind === 'table' ? item.table : null);
 
-        if (params[paramIndex] !== undefined) {
-            conditions.push({
-                table: null,
-                column: column.toLowerCase(),
-                operator,
-                values: [params[paramIndex]]
-            });
+    return stmt.targetList.map(target => {
+        const val = unwrapCast(target.ResTarget.val);
+        if (!val.ColumnRef) return null;
+
+        const fields = val.ColumnRef.fields;
+        if (!fields[fields.length - 1].A_Star) {
+            // Unqualified columns are only unambiguous with a single FROM item
+            if (fields.length === 1 && scope.items.length !== 1) return null;
+            return walker.resolveColumn(val.ColumnRef, scope);
         }
-    }
 
-    // Extract table.column LIKE/ILIKE $N conditions
-    while ((match = tableLikePattern.exec(normalized)) !== null) {
-        const table = match[1].toLowerCase();
-        const column = match[2];
-        const operator = match[3].toUpperCase();
-        const paramIndex = parseInt(match[4], 10) - 1;
+        if (fields.length === 1) {
+            return { star: true, tables: scope.items.map(tableOf) };
+        }
 
-        if (params[paramIndex] !== undefined) {
-            conditions.push({
-                table,
-                column: column.toLowerCase(),
-                operator,
-                values: [params[paramIndex]]
-            });
+        const qualifier = fields[fields.length - 2].String.sval;
+        const item = scope.items.find(i => (i.alias ? i.alias === qualifier : i.name === qualifier));
+        return { star: true, tables: [item ? tableOf(item) : null] };
+    });
+}
+
+/**
+ * Map each query parameter to the columns it is bound to: compared with in
+ * a predicate (`password = crypt($1, ...)`), inserted into
+ * (`INSERT INTO users(email, token) VALUES ($1, $2)`) or assigned by UPDATE
+ * and ON CONFLICT DO UPDATE. Column names are unqualified.
+ * Returns null if the query does not parse.
+ *
+ * @param {string} query - SQL query string
+ * @returns {Map<number, Set<string>>|null} - Parameter number ($n) -> column names
+ */
+function extractParamColumns(query) {
+    const statements = parseStatements(query);
+    if (!statements) return null;
+
+    const bindings = new Map();
+
+    const columnName = node => (node.ColumnRef && node.ColumnRef.fields[node.ColumnRef.fields.length - 1].String
+        ? node.ColumnRef.fields[node.ColumnRef.fields.length - 1].String.sval
+        : null);
+
+    const bindParams = (node, column) => {
+        if (!node || typeof node !== 'object') return;
+        if (node.ParamRef) {
+            const { number } = node.ParamRef;
+            if (!bindings.has(number)) bindings.set(number, new Set());
+            bindings.get(number).add(column);
+            return;
         }
-    }
+        Object.values(node).forEach(child => bindParams(child, column));
+    };
 
-    // Extract simple column NOT IN (...) conditions
-    while ((match = simpleNotInPattern.exec(normalized)) !== null) {
-        const column = match[1];
-        const paramsStr = match[2];
-
-        const paramMatches = paramsStr.match(/\$(\d+)/g);
-        if (paramMatches) {
-            const values = paramMatches.map(p => {
-                const idx = parseInt(p.slice(1), 10) - 1;
-                return params[idx];
-            }).filter(v => v !== undefined);
-
-            if (values.length > 0) {
-                conditions.push({
-                    table: null,
-                    column: column.toLowerCase(),
-                    operator: 'NOT IN',
-                    values
-                });
-            }
+    const bindTargets = (targets) => {
+        for (const target of targets || []) {
+            const { name, val } = target.ResTarget;
+            if (name) bindParams(val, name);
+        }
+    };
+
+    const walk = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(walk);
+            return;
         }
-    }
 
-    // Extract table.column NOT IN (...) conditions
-    while ((match = tableNotInPattern.exec(normalized)) !== null) {
-        const table = match[1].toLowerCase();
-        const column = match[2];
-        const paramsStr = match[3];
-
-        const paramMatches = paramsStr.match(/\$(\d+)/g);
-        if (paramMatches) {
-            const values = paramMatches.map(p => {
-                const idx = parseInt(p.slice(1), 10) - 1;
-                return params[idx];
-            }).filter(v => v !== undefined);
-
-            if (values.length > 0) {
-                conditions.push({
-                    table,
-                    column: column.toLowerCase(),
-                    operator: 'NOT IN',
-                    values
+        if (node.A_Expr) {
+            const left = unwrapCast(node.A_Expr.lexpr);
+            const right = unwrapCast(node.A_Expr.rexpr);
+            if (columnName(left)) bindParams(node.A_Expr.rexpr, columnName(left));
+            if (columnName(right)) bindParams(node.A_Expr.lexpr, columnName(right));
+        } else if (node.InsertStmt) {
+            const columns = (node.InsertStmt.cols || []).map(c => c.ResTarget.name);
+            const select = node.InsertStmt.selectStmt && node.InsertStmt.selectStmt.SelectStmt;
+            for (const row of (select && select.valuesLists) || []) {
+                row.List.items.forEach((item, i) => {
+                    if (columns[i]) bindParams(item, columns[i]);
                 });
             }
+            if (node.InsertStmt.onConflictClause) bindTargets(node.InsertStmt.onConflictClause.targetList);
+        } else if (node.UpdateStmt) {
+            bindTargets(node.UpdateStmt.targetList);
         }
-    }
 
-    // Extract simple column IS NULL / IS NOT NULL conditions
-    while ((match = simpleIsNullPattern.exec(normalized)) !== null) {
-        const column = match[1];
-        const operator = match[2].toUpperCase().replace(/\s+/g, ' ');
+        Object.values(node).forEach(walk);
+    };
 
-        conditions.push({
-            table: null,
-            column: column.toLowerCase(),
-            operator,
-            values: []
-        });
+    walk(statements);
+    return bindings;
+}
+
+/**
+ * Strip ::type casts from an expression node.
+ */
+function unwrapCast(node) {
+    let current = node || {};
+    while (current.TypeCast) current = current.TypeCast.arg;
+    return current;
+}
+
+/**
+ * Parse a query once and extract its tables, table references and conditions.
+ *
+ * @param {string} query - SQL query string
+ * @param {any[]} [params] - Query parameters
+ * @returns {{tables: string[], references: Array, conditions: Array,
+ *   writes: Array<{table: string, operation: string, values: Object<string, any>}>, parsed: boolean}}
+ *   `writes` has the column values of each INSERT row ('insert') and UPDATE SET list ('update')
+ */
+function analyzeQuery(query, params) {
+    const statements = parseStatements(query);
+    const walker = new QueryWalker(query, params);
+
+    if (statements) {
+        statements.forEach(stmt => walker.walkStatement(stmt, null, 0));
     }
 
-    // Extract table.column IS NULL / IS NOT NULL conditions
-    while ((match = tableIsNullPattern.exec(normalized)) !== null) {
-        const table = match[1].toLowerCase();
-        const column = match[2];
-        const operator = match[3].toUpperCase().replace(/\s+/g, ' ');
+    return {
+        tables: Array.from(walker.tables),
+        references: walker.references,
+        conditions: walker.conditions,
+        writes: walker.writes,
+        parsed: statements !== null
+    };
+}
 
-        conditions.push({
-            table,
-            column: column.toLowerCase(),
-            operator,
-            values: []
-        });
+/**
+ * Extracts table names from a SQL query.
+ * Covers every relation the query reads or writes, including those in CTEs,
+ * subqueries, LATERAL joins and ON CONFLICT clauses. CTE names are excluded.
+ * 
+ * @param {string} query - SQL query string
+ * @returns {string[]} - Array of table names
+ */
+function extractTableNames(query) {
+    return analyzeQuery(query).tables;
+}
+
+/**
+ * Extracts table references with their aliases and positions.
+ *
+ * @param {string} query - SQL query string
+ * @returns {Array<{table: string, alias: string|null, index: number, depth: number}>}
+ *   `index` is the byte offset of the reference, `depth` its subquery nesting level.
+ */
+function extractTableReferences(query) {
+    return analyzeQuery(query).references;
+}
+
+/**
+ * Extracts ID conditions from a query with its params.
+ * Walks every WHERE, JOIN ON, HAVING and ON CONFLICT predicate, resolving
+ * aliases and unqualified columns to real tables. Handles =, IN, NOT IN,
+ * = ANY, comparisons, BETWEEN, LIKE/ILIKE and IS [NOT] NULL.
+ * 
+ * @param {string} query - SQL query string
+ * @param {any[]} params - Query parameters
+ * @returns {Array<{table: string, column: string, operator: string, values: any[], candidates?: string[]}>}
+ *   `candidates` lists the tables an unqualified column could belong to when
+ *   the query has several; `table` is the first of them.
+ */
+function extractIdConditions(query, params) {
+    return analyzeQuery(query, params).conditions;
+}
+
+/**
+ * Check if a column name looks like an ID column: `id`, `user_id` or
+ * camelCase `userId`/`userID`, but not words ending in "id" (`paid`, `valid`).
+ */
+function isIdColumn(column) {
+    return /(^|_)id$/i.test(column) || /[a-z0-9](Id|ID)$/.test(column);
+}
+
+const NUMERIC = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+const INTEGER = /^[+-]?\d+$/;
+const DATE = /^\d{4}-\d\d-\d\d([ T]\d\d:\d\d(:\d\d(\.\d+)?)?)?(Z|[+-]\d\d(:?\d\d)?)?$/;
+
+const sign = n => (n < 0 ? -1 : n > 0 ? 1 : 0);
+
+/**
+ * Compare two condition values for range merging. Numbers and numeric
+ * strings (pg returns bigint and numeric as strings) compare by value, as do
+ * dates and date strings; other strings compare as text.
+ * Returns null when the values cannot be ordered against each other.
+ */
+function compareValues(a, b) {
+    const numeric = v => (typeof v === 'number' && Number.isFinite(v)) || (typeof v === 'string' && NUMERIC.test(v.trim()));
+    if (numeric(a) && numeric(b)) {
+        const x = String(a).trim();
+        const y = String(b).trim();
+        // Integers past 2^53 lose precision as numbers
+        if (INTEGER.test(x) && INTEGER.test(y)) return sign(Number(BigInt(x) - BigInt(y)));
+        return sign(Number(x) - Number(y));
     }
 
-    // Also extract literal ID values (e.g., WHERE id = 1)
-    const literalPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\.([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*(\d+)\b/gi;
-    while ((match = literalPattern.exec(normalized)) !== null) {
-        const table = match[1].toLowerCase();
-        const column = match[2].toLowerCase();
-        const value = parseInt(match[3], 10);
+    const time = v => (v instanceof Date ? v.getTime() : typeof v === 'string' && DATE.test(v) ? Date.parse(v) : NaN);
+    if (!Number.isNaN(time(a)) && !Number.isNaN(time(b))) return sign(time(a) - time(b));
 
-        if (isIdColumn(column)) {
-            conditions.push({
-                table,
-                column,
-                values: [value]
-            });
+    if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+    return null;
+}
+
+/**
+ * Stable identity for a condition value (params may be objects or arrays).
+ */
+function valueKey(value) {
+    return `${typeof value}:${JSON.stringify(value)}`;
+}
+
+function uniqueValues(values) {
+    const seen = new Map();
+    values.forEach(v => {
+        if (!seen.has(valueKey(v))) seen.set(valueKey(v), v);
+    });
+    return Array.from(seen.values());
+}
+
+/**
+ * Merges a column's single-value bounds (e.g. every `>=` value seen) into the
+ * loosest one: OR-ing `x >= 5` and `x >= 10` is `x >= 5`.
+ * Values that cannot be ordered against the rest stay separate predicates.
+ */
+function mergeBounds(values, pickLower) {
+    const merged = [];
+    for (const value of uniqueValues(values)) {
+        const index = merged.findIndex(m => compareValues(m, value) !== null);
+        if (index === -1) {
+            merged.push(value);
+        } else {
+            const cmp = compareValues(value, merged[index]);
+            if (pickLower ? cmp < 0 : cmp > 0) merged[index] = value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Merges BETWEEN ranges into the smallest set of non-overlapping ranges.
+ */
+function mergeRanges(ranges) {
+    const comparable = ranges.filter(([lo, hi]) => compareValues(lo, hi) !== null);
+    const others = ranges.filter(r => !comparable.includes(r));
+
+    const merged = [];
+    const sorted = [...comparable].sort((x, y) => compareValues(x[0], y[0]) || 0);
+    for (const [lo, hi] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && compareValues(lo, last[1]) !== null && compareValues(lo, last[1]) <= 0) {
+            if (compareValues(hi, last[1]) > 0) last[1] = hi;
+        } else {
+            merged.push([lo, hi]);
         }
     }
 
-    // Extract string literals (e.g., WHERE username = 'alice')
-    const stringLiteralPattern = /\b([a-zA-Z_][a-zA-Z0-9_]*)\.([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*'([^']+)'/gi;
-    while ((match = stringLiteralPattern.exec(normalized)) !== null) {
-        const table = match[1].toLowerCase();
-        const column = match[2].toLowerCase();
-        const value = match[3];
+    const seen = new Set();
+    return [...merged, ...others].filter(r => {
+        const key = valueKey(r);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
 
-        conditions.push({
-            table,
-            column,
-            values: [value]
-        });
+// Operators whose predicates are merged per column, by the kind of merge
+const LOWER_BOUND_OPERATORS = ['>=', '>'];
+const UPPER_BOUND_OPERATORS = ['<=', '<'];
+
+/**
+ * Merges conditions from many queries into a minimal list of distinct predicates.
+ * Conditions are grouped per (table, column, operator):
+ *   - = / IN / ANY values are unioned into one IN list
+ *   - >= and > keep the minimum, <= and < the maximum
+ *   - BETWEEN ranges are unioned, overlapping ranges are combined
+ *   - NOT IN keeps the intersection (x NOT IN A OR x NOT IN B = x NOT IN A∩B)
+ *   - IS NULL / IS NOT NULL are kept once
+ *   - other operators (LIKE, <>, ...) keep one predicate per distinct value
+ * OR-ing the result selects every row any of the input conditions selected.
+ * The candidate tables of unqualified columns are unioned per group.
+ *
+ * @param {Array<{table: string, column: string, operator?: string, values: any[], candidates?: string[]}>} conditions
+ * @returns {Array<{table: string, column: string, operator?: string, values: any[], candidates?: string[]}>}
+ */
+function mergeConditions(conditions) {
+    const groups = new Map();
+
+    for (const cond of conditions) {
+        const operator = cond.operator === '!=' ? '<>' : (cond.operator || '=');
+        const key = `${cond.table || '_'}.${cond.column}.${operator}`;
+        if (!groups.has(key)) {
+            groups.set(key, { table: cond.table, column: cond.column, operator, entries: [], candidates: null });
+        }
+        const group = groups.get(key);
+        group.entries.push(cond.values);
+        if (cond.candidates) {
+            group.candidates = Array.from(new Set([...(group.candidates || []), ...cond.candidates]));
+        }
     }
 
-    return conditions;
+    const merged = [];
+    for (const { table, column, operator, entries, candidates } of groups.values()) {
+        const push = (op, values) => {
+            const cond = { table, column };
+            if (op) cond.operator = op;
+            cond.values = values;
+            if (candidates) cond.candidates = candidates;
+            merged.push(cond);
+        };
+
+        if (operator === '=') {
+            push(null, uniqueValues(entries.flat()).sort());
+        } else if (LOWER_BOUND_OPERATORS.includes(operator) || UPPER_BOUND_OPERATORS.includes(operator)) {
+            mergeBounds(entries.flat(), LOWER_BOUND_OPERATORS.includes(operator))
+                .forEach(v => push(operator, [v]));
+        } else if (operator === 'BETWEEN') {
+            mergeRanges(entries).forEach(range => push('BETWEEN', range));
+        } else if (operator === 'NOT IN') {
+            const keys = entries.map(values => new Set(values.map(valueKey)));
+            const common = uniqueValues(entries[0]).filter(v => keys.every(k => k.has(valueKey(v))));
+            if (common.length > 0) {
+                push('NOT IN', common.sort());
+            } else {
+                push('IS NOT NULL', []);
+            }
+        } else if (operator === 'IS NULL' || operator === 'IS NOT NULL') {
+            push(operator, []);
+        } else {
+            uniqueValues(entries.flat()).forEach(v => push(operator, [v]));
+        }
+    }
+
+    return merged;
 }
 
 /**
- * Check if a column name looks like an ID column
+ * Resolve a captured queries path to the files it stands for: a JSONL file,
+ * a directory (every *.jsonl in it, e.g. streamed per-worker files) or a
+ * glob in the last path segment such as `.seedify/queries/*.jsonl`.
+ *
+ * @param {string} inputPath - File, directory or glob
+ * @returns {Promise<string[]>}
  */
-function isIdColumn(column) {
-    const col = column.toLowerCase();
-    return col === 'id' || col.endsWith('_id') || col.endsWith('id');
+async function resolveQueryFiles(inputPath) {
+    const base = path.basename(inputPath);
+
+    if (/[*?]/.test(base)) {
+        const dir = path.dirname(inputPath);
+        const source = base
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        const pattern = new RegExp(`^${source}$`);
+        return (await fs.readdir(dir)).filter(f => pattern.test(f)).sort().map(f => path.join(dir, f));
+    }
+
+    const stat = await fs.stat(inputPath);
+    if (stat.isDirectory()) {
+        return (await fs.readdir(inputPath)).filter(f => f.endsWith('.jsonl')).sort().map(f => path.join(inputPath, f));
+    }
+    return [inputPath];
 }
 
 /**
- * Analyze a captured queries file and extract Jailer conditions.
- * 
- * @param {string} inputPath - Path to captured_queries.jsonl
- * @returns {Object} - { tables: string[], conditions: {table, column, values}[] }
+ * Read captured queries into entries. Several files (see resolveQueryFiles)
+ * are combined in timestamp order. A truncated last line, left by a process
+ * killed mid-write, is ignored.
+ *
+ * @param {string} inputPath - File, directory or glob of captured_queries.jsonl files
+ * @returns {Promise<Array<{query: string, params: any[], context?: Object}>>}
  */
-async function analyzeFile(inputPath) {
-    const content = await fs.readFile(inputPath, 'utf-8');
-    const lines = content.trim().split('\n').filter(Boolean);
+async function readQueries(inputPath) {
+    const files = await resolveQueryFiles(inputPath);
+    const entries = [];
+
+    for (const file of files) {
+        const lines = (await fs.readFile(file, 'utf-8')).split('\n').filter(line => line.trim());
+        lines.forEach((line, i) => {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (e) {
+                if (i !== lines.length - 1) throw new Error(`Invalid JSON on line ${i + 1} of ${file}`);
+            }
+        });
+    }
+
+    if (files.length > 1) {
+        entries.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    }
+    return entries;
+}
 
+/**
+ * Analyze captured query entries. The parser must already be loaded.
+ *
+ * @param {Array<{query: string, params: any[]}>} entries - Captured queries
+ * @returns {Object} - { tables: string[], conditions: {table, column, operator?, values}[],
+ *   writes: {table, operation, values}[], queryCount, unparsedCount }
+ */
+function analyzeEntries(entries) {
     const allTables = new Set();
     const allConditions = [];
-    const conditionMap = new Map(); // Dedupe conditions by table.column
+    // JSON -> write, so a write repeated by many tests is kept once
+    const allWrites = new Map();
+    let unparsedCount = 0;
 
-    for (const line of lines) {
-        const { query, params } = JSON.parse(line);
+    for (const { query, params } of entries) {
+        const { tables, conditions, writes, parsed } = analyzeQuery(query, params || []);
 
-        // Extract tables
-        const tables = extractTableNames(query);
+        if (!parsed) unparsedCount++;
         tables.forEach(t => allTables.add(t));
+        writes.forEach(w => allWrites.set(JSON.stringify(w), w));
 
-        // Extract conditions
-        const conditions = extractIdConditions(query, params);
         for (const cond of conditions) {
-            // If condition has no table, try to infer from the query's tables
-            // Use the first table found in the query as the likely source
-            let table = cond.table;
-            if (!table && tables.length > 0) {
-                table = tables[0]; // Use first table from FROM clause
-            }
-
-            const key = `${table || '_'}.${cond.column}`;
-            if (!conditionMap.has(key)) {
-                conditionMap.set(key, { table, column: cond.column, values: new Set() });
+            // Aliases and unqualified columns are resolved by extractIdConditions;
+            // fall back to the query's first table if that found nothing
+            if (cond.table || tables.length === 0) {
+                allConditions.push(cond);
+            } else {
+                allConditions.push({ ...cond, table: tables[0], ...(tables.length > 1 ? { candidates: tables } : {}) });
             }
-            cond.values.forEach(v => conditionMap.get(key).values.add(v));
         }
     }
 
-    // Convert Sets to arrays and sort
-    const conditions = Array.from(conditionMap.values()).map(c => ({
-        table: c.table,
-        column: c.column,
-        values: Array.from(c.values).sort()
-    }));
-
     return {
         tables: Array.from(allTables).sort(),
-        conditions,
-        queryCount: lines.length
+        conditions: mergeConditions(allConditions),
+        writes: Array.from(allWrites.values()),
+        queryCount: entries.length,
+        unparsedCount
     };
 }
 
+/**
+ * Analyze a captured queries file and extract Jailer conditions.
+ * Conditions are merged per (table, column, operator), see mergeConditions().
+ * 
+ * @param {string} inputPath - Captured queries file, directory or glob
+ * @returns {Object} - { tables: string[], conditions: {table, column, operator?, values}[],
+ *   writes: {table, operation, values}[], queryCount, unparsedCount }
+ */
+async function analyzeFile(inputPath) {
+    await loadParser();
+    return analyzeEntries(await readQueries(inputPath));
+}
+
+/**
+ * Analyze a captured queries file separately per test or per spec file,
+ * using the context the capturer attached to each query (see setContext).
+ * Queries captured outside any test are grouped under test/file null.
+ *
+ * @param {string} inputPath - Captured queries file, directory or glob
+ * @param {'test'|'file'} [by] - Grouping (default: test)
+ * @returns {Promise<Array<{test: string|null, file: string|null, analysis: Object}>>}
+ */
+async function analyzeFileByGroup(inputPath, by = 'test') {
+    await loadParser();
+    const entries = await readQueries(inputPath);
+
+    return groupEntries(entries, by).map(g => ({
+        test: g.test,
+        file: g.file,
+        analysis: analyzeEntries(g.entries)
+    }));
+}
+
+/**
+ * Split captured entries per test or per spec file, using their context.
+ * Entries captured outside any test are grouped under test/file null.
+ *
+ * @param {Array<Object>} entries - Captured queries
+ * @param {'test'|'file'} [by] - Grouping (default: test)
+ * @returns {Array<{test: string|null, file: string|null, entries: Array<Object>}>}
+ */
+function groupEntries(entries, by = 'test') {
+    const groups = new Map();
+    for (const entry of entries) {
+        const context = entry.context || {};
+        const file = context.file || null;
+        const test = by === 'test' ? context.test || null : null;
+        const key = JSON.stringify([file, test]);
+
+        if (!groups.has(key)) groups.set(key, { test, file, entries: [] });
+        groups.get(key).entries.push(entry);
+    }
+
+    return Array.from(groups.values());
+}
+
+/**
+ * Turn the values tests write into foreign key columns into conditions on
+ * the referenced tables: `INSERT INTO orders (user_id) VALUES ($1)` needs
+ * the users row to exist before the test runs. Values that match a row the
+ * tests insert themselves are left out.
+ *
+ * @param {Object} analysis - Result from analyzeFile
+ * @param {function(string, string): ({table: string, column: string}|null)} references -
+ *   (table, column) -> the table and column a single-column foreign key references
+ * @returns {Object} - A copy of the analysis with the conditions added and merged
+ */
+function addWriteDependencies(analysis, references) {
+    const writes = analysis.writes || [];
+    const valueId = (table, column, value) => `${table}\0${column}\0${String(value)}`;
+    const created = new Set(writes
+        .filter(w => w.operation === 'insert')
+        .flatMap(w => Object.entries(w.values).map(([column, value]) => valueId(w.table, column, value))));
+
+    const dependencies = [];
+    for (const write of writes) {
+        for (const [column, value] of Object.entries(write.values)) {
+            if (value === null || value === undefined) continue;
+            const target = references(write.table, column);
+            if (!target || created.has(valueId(target.table, target.column, value))) continue;
+            dependencies.push({ table: target.table, column: target.column, values: [value] });
+        }
+    }
+
+    if (dependencies.length === 0) return analysis;
+    return { ...analysis, conditions: mergeConditions([...analysis.conditions, ...dependencies]) };
+}
+
 /**
  * Generate Jailer subject conditions from analysis results.
+ * Returns one subject per table whose condition ORs together every distinct
+ * predicate seen for that table.
+ *
+ * Values are rendered as escaped, type-aware literals (see sql.renderLiteral),
+ * cast to the column type when `options.columnType` knows it. NULLs never
+ * match =, IN, comparisons, LIKE or BETWEEN, so they are dropped from those
+ * predicates; NOT IN with a NULL matches nothing and yields no predicate.
  * 
  * @param {Object} analysis - Result from analyzeFile
+ * @param {Object} [options]
+ * @param {function(string, string): (string|null)} [options.columnType] - (table, column) -> column type
  * @returns {Array<{table: string, condition: string}>}
  */
-function generateJailerConditions(analysis) {
+function generateJailerConditions(analysis, options = {}) {
     const jailerConditions = [];
+    const predicatesByTable = new Map();
+    const columnType = options.columnType || (() => null);
 
     for (const cond of analysis.conditions) {
         if (!cond.table) continue; // Skip conditions without table reference
 
-        const values = cond.values;
+        const type = columnType(cond.table, cond.column) || null;
+        const literal = value => renderLiteral(value, type);
+        const column = quoteIdent(cond.column);
         const operator = cond.operator || '=';
+        const values = cond.values.filter(v => v !== null && v !== undefined);
         let conditionStr;
 
-        if (operator === 'BETWEEN' && values.length === 2) {
-            const val1 = typeof values[0] === 'string' ? `'${values[0]}'` : values[0];
-            const val2 = typeof values[1] === 'string' ? `'${values[1]}'` : values[1];
-            conditionStr = `${cond.column} BETWEEN ${val1} AND ${val2}`;
-        } else if (operator === 'IS NULL' || operator === 'IS NOT NULL') {
-            conditionStr = `${cond.column} ${operator}`;
-        } else if (operator === 'LIKE' || operator === 'ILIKE') {
-            const val = typeof values[0] === 'string' ? `'${values[0]}'` : values[0];
-            conditionStr = `${cond.column} ${operator} ${val}`;
+        if (operator === 'IS NULL' || operator === 'IS NOT NULL') {
+            conditionStr = `${column} ${operator}`;
+        } else if (values.length === 0) {
+            continue;
         } else if (operator === 'NOT IN') {
-            const valStr = values.map(v => typeof v === 'string' ? `'${v}'` : v).join(', ');
-            conditionStr = `${cond.column} NOT IN (${valStr})`;
-        } else if (['>=', '<=', '>', '<', '!=', '<>'].includes(operator)) {
-            const val = typeof values[0] === 'string' ? `'${values[0]}'` : values[0];
-            conditionStr = `${cond.column} ${operator} ${val}`;
+            if (values.length !== cond.values.length) continue;
+            conditionStr = `${column} NOT IN (${values.map(literal).join(', ')})`;
+        } else if (operator === 'BETWEEN') {
+            if (values.length !== 2) continue;
+            conditionStr = `${column} BETWEEN ${literal(values[0])} AND ${literal(values[1])}`;
+        } else if (['LIKE', 'ILIKE', '>=', '<=', '>', '<', '!=', '<>'].includes(operator)) {
+            conditionStr = `${column} ${operator} ${literal(values[0])}`;
         } else if (values.length === 1) {
-            const val = typeof values[0] === 'string' ? `'${values[0]}'` : values[0];
-            conditionStr = `${cond.column} = ${val}`;
+            conditionStr = `${column} = ${literal(values[0])}`;
         } else {
-            const valStr = values.map(v => typeof v === 'string' ? `'${v}'` : v).join(', ');
-            conditionStr = `${cond.column} IN (${valStr})`;
+            conditionStr = `${column} IN (${values.map(literal).join(', ')})`;
         }
 
+        if (!predicatesByTable.has(cond.table)) predicatesByTable.set(cond.table, []);
+        predicatesByTable.get(cond.table).push(conditionStr);
+    }
+
+    // One subject per table: the OR of its distinct predicates
+    for (const [table, predicates] of predicatesByTable) {
+        const unique = Array.from(new Set(predicates));
         jailerConditions.push({
-            table: cond.table,
-            condition: conditionStr
+            table,
+            condition: unique.length === 1 ? unique[0] : unique.map(p => `(${p})`).join(' OR ')
         });
     }
 
@@ -547,8 +1046,20 @@ function generateJailerConditions(analysis) {
 }
 
 module.exports = {
+    loadParser,
+    isParserLoaded,
+    analyzeQuery,
     extractTableNames,
+    extractTableReferences,
     extractIdConditions,
+    mergeConditions,
     analyzeFile,
+    analyzeFileByGroup,
+    readQueries,
+    resolveQueryFiles,
+    groupEntries,
+    describeSelectTargets,
+    extractParamColumns,
+    addWriteDependencies,
     generateJailerConditions
 };
@@ -0,0 +1,138 @@
+/**
+ * Seedify Cache
+ *
+ * Keeps extraction work between generate runs, so a re-run after a few tests
+ * changed only exports the subjects whose conditions are new:
+ *
+ *   .seedify/cache/datamodel.json       key of the schema Jailer's data model was built from
+ *   .seedify/cache/subjects/<key>.sql   one subject's export
+ *
+ * Keys include a fingerprint of the schema (tables, columns, primary and
+ * foreign keys), so a migration invalidates everything. Changed rows don't:
+ * after editing the data, regenerate with --no-cache.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * sha256 of a JSON-serializable value.
+ *
+ * @returns {string} - Hex digest
+ */
+function cacheKey(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Fingerprint of a schema model (see extractor.loadSchema): changes when a
+ * table, column, column type, primary key or foreign key does.
+ *
+ * @param {{tables: Map<string, Object>, foreignKeys: Array<Object>}} schema
+ * @returns {string} - Hex digest
+ */
+function schemaFingerprint(schema) {
+    // Serialized entries, sorted so catalog order doesn't matter
+    const tables = Array.from(schema.tables.values())
+        .map(t => JSON.stringify([t.key, t.columns.map(c => [c.name, c.type, c.notNull, c.generated]), t.primaryKey]))
+        .sort();
+    const foreignKeys = schema.foreignKeys
+        .map(fk => JSON.stringify([fk.child, fk.name, fk.parent, fk.columns, fk.refColumns, fk.deferrable]))
+        .sort();
+    return cacheKey([tables, foreignKeys]);
+}
+
+/**
+ * Read the key stored in a stamp file.
+ *
+ * @returns {Promise<string|null>} - Null when the file is missing or unreadable
+ */
+async function readStamp(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf-8')).key || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Store a key in a stamp file.
+ */
+async function writeStamp(file, key) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, `${JSON.stringify({ key, created: new Date().toISOString() }, null, 2)}\n`);
+}
+
+/**
+ * Per-subject export cache, one file per key.
+ *
+ * @param {string} dir - Directory of the cached exports
+ * @param {Object} [options]
+ * @param {boolean} [options.read=true] - Use cached exports; when false every
+ *   subject is exported again and the cache refreshed
+ * @returns {{get: Function, set: Function, prune: Function, hits: number, misses: number}}
+ */
+function createSubjectCache(dir, { read = true } = {}) {
+    const used = new Set();
+    const cache = {
+        hits: 0,
+        misses: 0,
+
+        /**
+         * Cached export for a key.
+         *
+         * @returns {Promise<string|null>}
+         */
+        async get(key) {
+            if (read) {
+                try {
+                    const sql = await fs.readFile(path.join(dir, `${key}.sql`), 'utf-8');
+                    used.add(key);
+                    cache.hits++;
+                    return sql;
+                } catch {
+                    // Not cached yet
+                }
+            }
+            cache.misses++;
+            return null;
+        },
+
+        /**
+         * Store an export.
+         */
+        async set(key, sql) {
+            used.add(key);
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, `${key}.sql`), sql);
+        },
+
+        /**
+         * Remove the exports this run didn't use, so the cache holds the
+         * subjects of the current queries only.
+         *
+         * @returns {Promise<number>} - Number of files removed
+         */
+        async prune() {
+            let entries;
+            try {
+                entries = await fs.readdir(dir);
+            } catch {
+                return 0;
+            }
+            const stale = entries.filter(name => name.endsWith('.sql') && !used.has(name.slice(0, -4)));
+            await Promise.all(stale.map(name => fs.rm(path.join(dir, name), { force: true })));
+            return stale.length;
+        }
+    };
+    return cache;
+}
+
+module.exports = {
+    cacheKey,
+    schemaFingerprint,
+    readStamp,
+    writeStamp,
+    createSubjectCache
+};
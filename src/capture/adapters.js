@@ -0,0 +1,177 @@
+/**
+ * Seedify Capture Adapters
+ *
+ * start() patches the pg package. Clients that don't run on it record their
+ * queries through one of these hooks instead, as the same entries:
+ *
+ *   postgres.js  postgres(url, adapters.postgres({ ...options }))
+ *   Neon         neon(url, adapters.neon({ ...options })) for HTTP queries, and
+ *                adapters.pg(require('@neondatabase/serverless')) for its Pool and Client
+ *   Prisma       adapters.prisma(prisma), created with log: [{ emit: 'event', level: 'query' }]
+ *   Knex         adapters.knex(knex)
+ *   TypeORM      new DataSource({ ..., logger: adapters.typeorm(logger) })
+ *   Sequelize    adapters.sequelize(sequelize)
+ *
+ * Placeholders are rewritten to $n (see ./placeholders.js), and queries are
+ * only recorded between start() and stop(). Knex, TypeORM and Sequelize
+ * usually run on pg, which start() already patches: use their hooks where it
+ * doesn't (bundled or ESM-only builds), or with start({ pg: false }) so
+ * queries aren't recorded twice.
+ */
+
+const SEQUELIZE_LOG_PREFIX = /^Execut(?:ing|ed) \([^)]*\):\s*/;
+
+/**
+ * Prisma's query event has its params as a JSON string.
+ */
+function prismaParams(params) {
+    if (Array.isArray(params)) return params;
+    try {
+        const parsed = JSON.parse(params);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Create the adapters around the capturer.
+ *
+ * @param {Object} capture
+ * @param {function(string, (any[]|Object)=): void} capture.record - Record a query while capturing
+ * @param {function(Object): void} capture.patchModule - Patch a pg-compatible module (one with a Client)
+ * @returns {Object<string, Function>}
+ */
+function createAdapters({ record, patchModule }) {
+    return {
+        /**
+         * Patch a module with pg's Client and Pool, such as
+         * @neondatabase/serverless or a bundled copy of pg, now and on
+         * every start().
+         *
+         * @returns {Object} - The module
+         */
+        pg(module) {
+            patchModule(module);
+            return module;
+        },
+
+        /**
+         * Options for postgres.js (`postgres(url, options)`), recording
+         * queries from its `debug` hook. A `debug` function already in the
+         * options is still called.
+         *
+         * @param {Object} [options] - postgres.js options
+         * @returns {Object}
+         */
+        postgres(options = {}) {
+            const { debug } = options;
+            return {
+                ...options,
+                debug(connection, query, parameters, types) {
+                    record(query, parameters);
+                    if (typeof debug === 'function') debug(connection, query, parameters, types);
+                }
+            };
+        },
+
+        /**
+         * Options for Neon's HTTP query function (`neon(url, options)`),
+         * recording queries from its `queryCallback`.
+         *
+         * @param {Object} [options] - neon() options
+         * @returns {Object}
+         */
+        neon(options = {}) {
+            const { queryCallback } = options;
+            return {
+                ...options,
+                queryCallback(query) {
+                    record(query.query, query.params);
+                    if (typeof queryCallback === 'function') queryCallback(query);
+                }
+            };
+        },
+
+        /**
+         * Record a PrismaClient's queries from its query events. The client
+         * must be created with `log: [{ emit: 'event', level: 'query' }]`,
+         * or Prisma emits none.
+         *
+         * @returns {Object} - The client
+         */
+        prisma(prisma) {
+            if (!prisma || typeof prisma.$on !== 'function') {
+                throw new Error('[seedify] adapters.prisma() expects a PrismaClient');
+            }
+            prisma.$on('query', event => record(event.query, prismaParams(event.params)));
+            return prisma;
+        },
+
+        /**
+         * Record a Knex instance's queries from its `query` event.
+         *
+         * @returns {Object} - The Knex instance
+         */
+        knex(knex) {
+            if (!knex || typeof knex.on !== 'function') {
+                throw new Error('[seedify] adapters.knex() expects a Knex instance');
+            }
+            knex.on('query', data => record(data.sql, data.bindings));
+            return knex;
+        },
+
+        /**
+         * TypeORM logger recording every query, then passing each call on to
+         * `logger` when given.
+         *
+         * @param {Object} [logger] - TypeORM logger to wrap
+         * @returns {Object} - Logger for the DataSource `logger` option
+         */
+        typeorm(logger) {
+            const forward = method => (...args) => (logger && typeof logger[method] === 'function'
+                ? logger[method](...args)
+                : undefined);
+            return {
+                logQuery(query, parameters, queryRunner) {
+                    record(query, parameters);
+                    return forward('logQuery')(query, parameters, queryRunner);
+                },
+                logQueryError: forward('logQueryError'),
+                logQuerySlow: forward('logQuerySlow'),
+                logSchemaBuild: forward('logSchemaBuild'),
+                logMigration: forward('logMigration'),
+                log: forward('log')
+            };
+        },
+
+        /**
+         * Record a Sequelize instance's queries from its `logging` function,
+         * with the bind parameters. The previous logging function still
+         * receives every message. Queries run with `logging: false` are not
+         * seen, and replacements arrive already inlined.
+         *
+         * @returns {Object} - The Sequelize instance
+         */
+        sequelize(sequelize) {
+            if (!sequelize || !sequelize.options) {
+                throw new Error('[seedify] adapters.sequelize() expects a Sequelize instance');
+            }
+            const previous = sequelize.options.logging;
+            sequelize.options.logging = function seedifyLogging(...args) {
+                const message = String(args[0]);
+                if (SEQUELIZE_LOG_PREFIX.test(message)) {
+                    // (sql, options), or (sql, elapsed, options) with benchmark
+                    const options = args.slice(1).find(a => a && typeof a === 'object') || {};
+                    record(message.replace(SEQUELIZE_LOG_PREFIX, ''), options.bind);
+                }
+                if (typeof previous === 'function') previous(...args);
+            };
+            return sequelize;
+        }
+    };
+}
+
+module.exports = {
+    createAdapters
+};
@@ -1,59 +1,570 @@
 /**
  * Seedify Query Capturer
- * 
+ *
  * Monkey-patches the pg module to intercept ALL queries from ALL clients.
  * Call start() before creating any pg clients, and dump() in your afterAll hook.
+ *
+ * Every copy of pg is patched: the one seedify resolves, any already loaded
+ * (e.g. a second copy in a nested node_modules) and any loaded later. Both the
+ * JavaScript and the pg.native clients are covered, and so are pg.Pool queries,
+ * which run through Client#query. Submittables such as pg-cursor and
+ * pg-query-stream are recorded from their text/values (or their cursor's).
+ *
+ * With start({ captureResults: true }) the rows and field metadata returned by
+ * SELECTs are recorded too, so seeds can be built without the source database
+ * (see src/results). Results of submittables are not recorded.
+ *
+ * With start({ stream: true }) queries are appended to disk as they are
+ * captured instead of being kept in memory: one file per process
+ * (queries-<pid>.jsonl, so parallel test workers don't collide), rotated by
+ * size, and flushed on exit and on SIGINT/SIGTERM. Point analyzeFile or
+ * `seedify generate` at the directory to read every worker's files together.
+ *
+ * Clients that don't run on pg (postgres.js, Neon, Prisma) and ORM-level
+ * hooks record through `adapters` (see ./adapters.js), with their
+ * placeholders rewritten to $n.
+ *
+ * Filters, redaction and deduplication (see start() and ./rules.js) apply
+ * to everything returned by getQueries() or written to disk.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const { createRules } = require('./rules');
+const { createAdapters } = require('./adapters');
+const { normalizePlaceholders } = require('./placeholders');
+const { objectText } = require('../sql');
+
 const capturedQueries = [];
 let isCapturing = false;
-let originalQuery = null;
+let captureResults = false;
+// Test currently running, attached to every captured query (see setContext)
+let currentContext = null;
+
+// Client prototype -> original query method
+const patchedPrototypes = new Map();
+// Functions that undo patches that aren't prototype methods (Module._load, pg.native getter)
+const restoreHooks = [];
+// Prepared statement name -> text, for re-executions that only pass the name
+const preparedStatements = new Map();
+// pg-compatible modules handed to adapters.pg(), patched on every start()
+const adaptedModules = new Set();
+
+const PG_INDEX_PATTERN = /[\\/]node_modules[\\/]pg[\\/]lib[\\/]index\.js$/;
+
+// Streaming mode state (see start), null when queries are kept in memory
+let stream = null;
+
+// Filter/redaction rules (see ./rules.js), deduplication, and the parser load they may wait on
+let rules = null;
+let dedupe = false;
+let parserLoading = null;
+let parserReady = false;
+
+const DEFAULT_STREAM_DIR = path.join('.seedify', 'queries');
+const DEFAULT_MAX_FILE_SIZE = 50 * 1024 * 1024;
+// Buffered entries that trigger a flush, and the flush interval
+const FLUSH_THRESHOLD = 100;
+const FLUSH_INTERVAL_MS = 1000;
+// Marks entries still waiting for their result (captureResults)
+const PENDING_RESULT = Symbol('pendingResult');
 
 /**
- * Start capturing queries. 
- * MUST be called before any pg.Client or pg.Pool is created.
+ * Record a query in the capture buffer. Returns the entry so the result can
+ * be attached once the query completes.
  */
-function start() {
-    if (isCapturing) {
-        console.warn('[seedify] Already capturing queries');
+function recordQuery(queryText, queryParams, name) {
+    const entry = {
+        query: queryText,
+        params: queryParams || [],
+        timestamp: Date.now()
+    };
+    if (name) entry.name = name;
+    if (currentContext) entry.context = currentContext;
+    capturedQueries.push(entry);
+
+    if (stream && capturedQueries.length >= FLUSH_THRESHOLD) {
+        flushStream(false);
+    }
+    return entry;
+}
+
+/**
+ * Record a query from an adapter, with its placeholders rewritten to $n.
+ * Ignored unless capturing.
+ */
+function recordAdapted(queryText, queryParams) {
+    if (!isCapturing || typeof queryText !== 'string') return;
+    const { text, params } = normalizePlaceholders(queryText, queryParams);
+    recordQuery(text, params);
+}
+
+/**
+ * JSON line for an entry. BigInt params, which JSON can't represent, are
+ * written as strings.
+ */
+function toJsonLine(entry) {
+    return JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
+/**
+ * Apply the capture rules and deduplication to raw entries. Duplicates of the
+ * same (query, params, name, context) collapse into the first one, whose
+ * `hits` counts them. `seenKeys` carries dedupe state across stream flushes;
+ * duplicates of an entry already written are dropped without being counted.
+ */
+function prepareEntries(entries, seenKeys) {
+    if (!rules && !dedupe) return [...entries];
+
+    const prepared = [];
+    const batch = new Map();
+
+    for (const raw of entries) {
+        const entry = rules ? rules.apply(raw) : raw;
+        if (!entry) continue;
+
+        if (!dedupe) {
+            prepared.push(entry);
+            continue;
+        }
+
+        const key = crypto.createHash('sha1')
+            .update(toJsonLine([entry.query, entry.params, entry.name || null, entry.context || null]))
+            .digest('base64');
+        if (batch.has(key)) {
+            batch.get(key).hits++;
+            continue;
+        }
+        if (seenKeys && seenKeys.has(key)) continue;
+
+        const counted = { ...entry, hits: 1 };
+        batch.set(key, counted);
+        if (seenKeys) seenKeys.add(key);
+        prepared.push(counted);
+    }
+
+    return prepared;
+}
+
+/**
+ * Path of a stream file: queries-<pid>.jsonl, then queries-<pid>.<n>.jsonl
+ * once rotated.
+ */
+function streamFilePath(index) {
+    const suffix = index === 0 ? '' : `.${index}`;
+    return path.join(stream.dir, `queries-${process.pid}${suffix}.jsonl`);
+}
+
+/**
+ * Append buffered entries to the current stream file, rotating it when it
+ * would grow past maxFileSize. Synchronous, so it also works from the exit
+ * handler. Entries still waiting for their result stay buffered unless
+ * `force` is set.
+ */
+function flushStream(force) {
+    if (!stream || capturedQueries.length === 0) return;
+    // Rules that need the parser would redact everything until it loads
+    if (!force && parserLoading && !parserReady) return;
+
+    const ready = force
+        ? capturedQueries.splice(0)
+        : capturedQueries.filter(e => !e[PENDING_RESULT]);
+    if (!force) {
+        const waiting = capturedQueries.filter(e => e[PENDING_RESULT]);
+        capturedQueries.length = 0;
+        capturedQueries.push(...waiting);
+    }
+
+    let chunk = '';
+    const write = () => {
+        if (chunk) fs.appendFileSync(streamFilePath(stream.index), chunk);
+        chunk = '';
+    };
+
+    for (const entry of prepareEntries(ready, stream.seen)) {
+        const line = `${toJsonLine(entry)}\n`;
+        const bytes = Buffer.byteLength(line);
+
+        if (stream.size > 0 && stream.size + bytes > stream.maxFileSize) {
+            write();
+            stream.index++;
+            stream.size = 0;
+        }
+
+        chunk += line;
+        stream.size += bytes;
+        stream.written++;
+    }
+    write();
+}
+
+/**
+ * Begin streaming to disk: open this process's file and install the periodic,
+ * exit and signal flushes.
+ */
+function openStream(options) {
+    const dir = path.resolve(typeof options.stream === 'string' ? options.stream : DEFAULT_STREAM_DIR);
+    fs.mkdirSync(dir, { recursive: true });
+
+    stream = {
+        dir,
+        maxFileSize: options.maxFileSize || DEFAULT_MAX_FILE_SIZE,
+        index: 0,
+        size: 0,
+        written: 0,
+        seen: new Set()
+    };
+
+    // Continue after earlier files of this pid instead of overwriting them
+    while (fs.existsSync(streamFilePath(stream.index + 1))) stream.index++;
+    try {
+        stream.size = fs.statSync(streamFilePath(stream.index)).size;
+    } catch {
+        stream.size = 0;
+    }
+
+    const timer = setInterval(() => flushStream(false), FLUSH_INTERVAL_MS);
+    timer.unref();
+
+    const onExit = () => flushStream(true);
+    const onSignal = (signal) => {
+        flushStream(true);
+        // Nobody else handles the signal: restore the default and re-raise it
+        if (process.listenerCount(signal) === 1) {
+            removeHandlers();
+            process.kill(process.pid, signal);
+        }
+    };
+    const removeHandlers = () => {
+        process.removeListener('exit', onExit);
+        process.removeListener('SIGINT', onSignal);
+        process.removeListener('SIGTERM', onSignal);
+    };
+
+    process.on('exit', onExit);
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+
+    restoreHooks.push(() => {
+        clearInterval(timer);
+        removeHandlers();
+        flushStream(true);
+        console.log(`[seedify] Query capturing stopped. Wrote ${stream.written} queries to ${stream.dir}.`);
+        stream = null;
+    });
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// Type OIDs pg parses into Date objects in local time
+const DATE_OID = 1082;
+const TIMESTAMP_OID = 1114;
+// Array type OID -> element type OID, for arrays of parsed objects
+const ARRAY_ELEMENT_OIDS = { 1187: 1186, 1017: 600, 719: 718 };
+
+/**
+ * Convert a value pg parsed back to something JSON keeps intact and the
+ * seed writer can render as a literal.
+ */
+function serializeValue(value, dataTypeID) {
+    if (value === null || value === undefined) return null;
+
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) return null;
+        const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+        if (dataTypeID === DATE_OID) return date;
+        if (dataTypeID === TIMESTAMP_OID) {
+            return `${date} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}.${pad(value.getMilliseconds(), 3)}`;
+        }
+        return value.toISOString();
+    }
+
+    if (Buffer.isBuffer(value)) return `\\x${value.toString('hex')}`;
+    if (Array.isArray(value)) return value.map(v => serializeValue(v, ARRAY_ELEMENT_OIDS[dataTypeID] || null));
+
+    // Intervals, points and the like as their text form, not their fields as JSON
+    if (typeof value === 'object') {
+        const text = objectText(value, dataTypeID);
+        if (text !== null) return text;
+    }
+
+    return value;
+}
+
+/**
+ * Attach a SELECT result (rows and field metadata) to a captured entry.
+ * Multi-statement queries resolve to an array of results; those are skipped.
+ */
+function recordResult(entry, result) {
+    if (!result || Array.isArray(result) || result.command !== 'SELECT' || !Array.isArray(result.fields)) {
         return;
     }
 
-    // eslint-disable-next-line global-require
-    const pg = require('pg');
+    const fields = result.fields.map(f => ({
+        name: f.name,
+        tableID: f.tableID,
+        columnID: f.columnID,
+        dataTypeID: f.dataTypeID
+    }));
 
-    // Store original query method
-    originalQuery = pg.Client.prototype.query;
+    entry.result = {
+        fields,
+        rows: result.rows.map(row => (Array.isArray(row)
+            ? row.map((v, i) => serializeValue(v, fields[i] && fields[i].dataTypeID))
+            : Object.fromEntries(fields.map(f => [f.name, serializeValue(row[f.name], f.dataTypeID)]))))
+    };
+}
 
-    // Monkey-patch the query method
-    pg.Client.prototype.query = function patchedQuery(...args) {
-        const queryConfig = args[0];
-        let queryText;
-        let queryParams;
+/**
+ * Set the test context attached to queries captured from now on.
+ * Called by the ready-made Mocha/Jest/Vitest hooks in src/hooks, or manually.
+ *
+ * @param {{test?: string, file?: string, suite?: string}|null} context - Pass null to clear
+ */
+function setContext(context) {
+    if (!context) {
+        currentContext = null;
+        return;
+    }
+
+    const { test, file, suite } = context;
+    currentContext = {};
+    if (test) currentContext.test = test;
+    if (file) currentContext.file = file;
+    if (suite) currentContext.suite = suite;
+}
+
+/**
+ * Get the current test context, or null.
+ */
+function getContext() {
+    return currentContext ? { ...currentContext } : null;
+}
+
+/**
+ * Extract text, values and prepared statement name from any query call signature:
+ * query(text, values), query({ text, values, name }) and query(submittable),
+ * where the submittable may keep its text on a wrapped cursor (pg-query-stream).
+ */
+function describeQuery(args) {
+    const queryConfig = args[0];
+
+    if (typeof queryConfig === 'string') {
+        return { text: queryConfig, values: Array.isArray(args[1]) ? args[1] : undefined };
+    }
+
+    if (!queryConfig || typeof queryConfig !== 'object') {
+        return {};
+    }
+
+    const source = !queryConfig.text && queryConfig.cursor && typeof queryConfig.cursor === 'object'
+        ? queryConfig.cursor
+        : queryConfig;
+
+    return {
+        text: source.text,
+        values: source.values || (Array.isArray(args[1]) ? args[1] : undefined),
+        name: queryConfig.name || source.name
+    };
+}
+
+/**
+ * Replace query() on a client prototype with a capturing wrapper.
+ */
+function patchPrototype(proto) {
+    if (!proto || typeof proto.query !== 'function' || patchedPrototypes.has(proto)) {
+        return;
+    }
+
+    const originalQuery = proto.query;
+    patchedPrototypes.set(proto, originalQuery);
+
+    proto.query = function patchedQuery(...args) {
+        const { text, values, name } = describeQuery(args);
+        let queryText = text;
 
-        // Handle different query call signatures
-        if (typeof queryConfig === 'string') {
-            queryText = queryConfig;
-            queryParams = args[1];
-        } else if (queryConfig && typeof queryConfig === 'object') {
-            queryText = queryConfig.text;
-            queryParams = queryConfig.values;
+        // Prepared statements: remember the text, and resolve re-executions by name
+        if (name) {
+            if (queryText) {
+                preparedStatements.set(name, queryText);
+            } else {
+                queryText = preparedStatements.get(name);
+            }
         }
 
         // Capture the query
-        if (queryText) {
-            capturedQueries.push({
-                query: queryText,
-                params: queryParams || [],
-                timestamp: Date.now()
-            });
+        const entry = queryText ? recordQuery(queryText, values, name) : null;
+        if (!entry || !captureResults) {
+            return originalQuery.apply(this, args);
+        }
+
+        // Streaming holds the entry back until its result is in
+        if (stream) entry[PENDING_RESULT] = true;
+        const settle = (result) => {
+            delete entry[PENDING_RESULT];
+            if (result) recordResult(entry, result);
+        };
+
+        // Callback style: wrap the callback
+        const last = args.length - 1;
+        if (typeof args[last] === 'function') {
+            const callback = args[last];
+            args[last] = function capturingCallback(err, result) {
+                settle(err ? null : result);
+                return callback.apply(this, arguments);
+            };
+            return originalQuery.apply(this, args);
+        }
+
+        // Promise style: observe the result without changing what the caller gets
+        const returned = originalQuery.apply(this, args);
+        if (returned && typeof returned.then === 'function') {
+            returned.then(settle, () => settle(null));
+        } else {
+            settle(null);
+        }
+        return returned;
+    };
+}
+
+/**
+ * Patch a loaded pg module: its Client and, once loaded, its native Client.
+ */
+function patchPg(pg) {
+    if (!pg || typeof pg.Client !== 'function') {
+        return;
+    }
+
+    patchPrototype(pg.Client.prototype);
+
+    const descriptor = Object.getOwnPropertyDescriptor(pg, 'native');
+    if (!descriptor) {
+        return;
+    }
+
+    if (!descriptor.get) {
+        // pg.native was already resolved
+        if (descriptor.value) patchPrototype(descriptor.value.Client.prototype);
+        return;
+    }
+
+    // pg.native is a lazy getter that loads pg-native on first access. Wrap it
+    // rather than calling it, so apps that never use native don't load it.
+    Object.defineProperty(pg, 'native', {
+        configurable: true,
+        enumerable: descriptor.enumerable,
+        get() {
+            const native = descriptor.get.call(pg);
+            if (native && isCapturing) patchPrototype(native.Client.prototype);
+            return native;
         }
+    });
 
-        // Call original method
-        return originalQuery.apply(this, args);
+    restoreHooks.push(() => {
+        const current = Object.getOwnPropertyDescriptor(pg, 'native');
+        // Only restore if the getter was never called (pg replaces it with a value)
+        if (current && current.get) {
+            Object.defineProperty(pg, 'native', descriptor);
+        }
+    });
+}
+
+/**
+ * Patch every copy of pg: loaded ones, and those loaded until stop().
+ */
+function patchAllPg() {
+    // The copy of pg seedify itself resolves, and the application's copy
+    for (const from of [__dirname, process.cwd()]) {
+        try {
+            // eslint-disable-next-line global-require
+            patchPg(require(require.resolve('pg', { paths: [from] })));
+        } catch {
+            // pg not resolvable from here
+        }
+    }
+
+    // Any other copies already loaded (nested node_modules)
+    for (const [filename, cached] of Object.entries(require.cache)) {
+        if (PG_INDEX_PATTERN.test(filename)) {
+            patchPg(cached.exports);
+        }
+    }
+
+    // Copies loaded from now on
+    const originalLoad = Module._load;
+    Module._load = function patchedLoad(request, ...rest) {
+        const loaded = originalLoad.call(this, request, ...rest);
+        if (request === 'pg' && isCapturing) {
+            patchPg(loaded);
+        }
+        return loaded;
     };
+    restoreHooks.push(() => {
+        Module._load = originalLoad;
+    });
+}
+
+/**
+ * Hooks for clients other than pg (see ./adapters.js).
+ */
+const adapters = createAdapters({
+    record: recordAdapted,
+    patchModule(module) {
+        adaptedModules.add(module);
+        if (isCapturing) patchPg(module);
+    }
+});
+
+/**
+ * Start capturing queries.
+ * MUST be called before any pg.Client or pg.Pool is created.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.captureResults] - Also record rows and fields returned by SELECTs
+ * @param {boolean|string} [options.stream] - Append to disk instead of keeping queries in
+ *   memory; a string sets the directory (default: .seedify/queries)
+ * @param {number} [options.maxFileSize] - Rotate stream files past this many bytes (default: 50 MB)
+ * @param {Array<string|RegExp>} [options.include] - Keep only statements matching one of these
+ *   (substrings, RegExps or the presets 'transactions', 'session', 'catalog', 'migrations')
+ * @param {Array<string|RegExp>} [options.exclude] - Drop statements matching one of these
+ * @param {Array<string|RegExp>} [options.includeTables] - Keep only queries touching one of these tables
+ * @param {Array<string|RegExp>} [options.excludeTables] - Drop queries touching one of these tables
+ * @param {Array<string|RegExp|Function>} [options.redact] - Redact params bound to matching columns
+ *   ('credentials' preset or RegExps), or transform entries with a function (return null to drop)
+ * @param {boolean} [options.dedupe] - Collapse identical (query, params) pairs, counting `hits`
+ * @param {boolean} [options.pg] - Patch the pg package (default: true); turn off when an
+ *   adapter (see ./adapters.js) records the same queries
+ */
+function start(options = {}) {
+    if (isCapturing) {
+        console.warn('[seedify] Already capturing queries');
+        return;
+    }
+
+    rules = createRules(options);
+    dedupe = Boolean(options.dedupe);
+    parserLoading = null;
+    parserReady = false;
+    if (rules && rules.needsParser) {
+        // eslint-disable-next-line global-require
+        parserLoading = require('../analyzer').loadParser().then(() => {
+            parserReady = true;
+        });
+    }
 
     isCapturing = true;
+    captureResults = Boolean(options.captureResults);
+    if (options.stream) {
+        openStream(options);
+    }
+
+    adaptedModules.forEach(patchPg);
+    if (options.pg !== false) {
+        patchAllPg();
+    }
+
     console.log('[seedify] Query capturing started');
 }
 
@@ -65,54 +576,71 @@ function stop() {
         return;
     }
 
-    // eslint-disable-next-line global-require
-    const pg = require('pg');
+    for (const [proto, originalQuery] of patchedPrototypes) {
+        proto.query = originalQuery;
+    }
+    patchedPrototypes.clear();
 
-    if (originalQuery) {
-        pg.Client.prototype.query = originalQuery;
-        originalQuery = null;
+    const streaming = Boolean(stream);
+    while (restoreHooks.length > 0) {
+        restoreHooks.pop()();
     }
 
     isCapturing = false;
-    console.log(`[seedify] Query capturing stopped. Captured ${capturedQueries.length} queries.`);
+    captureResults = false;
+    currentContext = null;
+    if (!streaming) {
+        console.log(`[seedify] Query capturing stopped. Captured ${capturedQueries.length} queries.`);
+    }
 }
 
 /**
- * Get all captured queries.
+ * Get all captured queries. When streaming, only those not yet written to disk.
  */
 function getQueries() {
-    return [...capturedQueries];
+    return prepareEntries(capturedQueries);
 }
 
 /**
- * Clear all captured queries.
+ * Clear all captured queries. The test context is kept, so clear() can run
+ * in a beforeEach after the hooks have set it.
  */
 function clear() {
     capturedQueries.length = 0;
 }
 
 /**
- * Dump captured queries to a JSONL file.
- * Each line is a JSON object with query, params, and timestamp.
- * 
+ * Dump captured queries to a JSONL file. When streaming, flush the remaining
+ * queries to the stream files instead.
+ * Each line is a JSON object with query, params, timestamp and, when set,
+ * name (prepared statements), context (the test that ran the query),
+ * result (rows and fields of a SELECT, with captureResults) and hits
+ * (with dedupe).
+ *
  * @param {string} [filePath] - Path to output file (default: .seedify/queries.jsonl)
  */
 async function dump(filePath) {
-    const fs = require('fs').promises;
-    const path = require('path');
+    if (parserLoading) await parserLoading;
+
+    if (stream) {
+        flushStream(true);
+        console.log(`[seedify] Flushed ${stream.written} queries to ${stream.dir}`);
+        return;
+    }
 
     // Default to .seedify/queries.jsonl in current working directory
     const outputPath = filePath || path.join(process.cwd(), '.seedify', 'queries.jsonl');
 
     // Ensure directory exists
     const dir = path.dirname(outputPath);
-    await fs.mkdir(dir, { recursive: true });
+    await fs.promises.mkdir(dir, { recursive: true });
 
     // Write as JSONL (one JSON object per line)
-    const lines = capturedQueries.map(q => JSON.stringify(q));
-    await fs.writeFile(outputPath, lines.join('\n') + '\n');
+    const entries = prepareEntries(capturedQueries);
+    const lines = entries.map(toJsonLine);
+    await fs.promises.writeFile(outputPath, lines.join('\n') + '\n');
 
-    console.log(`[seedify] Dumped ${capturedQueries.length} queries to ${outputPath}`);
+    console.log(`[seedify] Dumped ${entries.length} queries to ${outputPath}`);
 }
 
 module.exports = {
@@ -120,5 +648,8 @@ module.exports = {
     stop,
     getQueries,
     clear,
-    dump
+    dump,
+    setContext,
+    getContext,
+    adapters
 };
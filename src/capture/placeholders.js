@@ -0,0 +1,149 @@
+/**
+ * Seedify Placeholders
+ *
+ * Rewrites the placeholder styles of other drivers and ORMs to PostgreSQL's
+ * $n, so every capture adapter (see ./adapters.js) writes entries the
+ * analyzer reads the same way:
+ *
+ *   ?       positional, with params given as an array
+ *   :name   named, with params given as an object
+ *   $n      kept as it is
+ *
+ * String literals, quoted identifiers, dollar-quoted bodies, comments and
+ * `::` casts are skipped. `?` is also a jsonb operator, so positional
+ * placeholders are only rewritten when there are exactly as many as params.
+ */
+
+const isPlainObject = value => value !== null && typeof value === 'object'
+    && Object.getPrototypeOf(value) === Object.prototype;
+
+const IDENT_START = /[A-Za-z_\u0080-\uffff]/;
+const IDENT_PART = /[A-Za-z0-9_$\u0080-\uffff]/;
+
+/**
+ * Index just past the end of a quoted section starting at `start`.
+ * `backslashes`: E'...' strings, where a backslash escapes the next character.
+ */
+function skipQuoted(text, start, quote, backslashes) {
+    let i = start + 1;
+    while (i < text.length) {
+        if (backslashes && text[i] === '\\') {
+            i += 2;
+        } else if (text[i] === quote) {
+            // A doubled quote is an escaped one
+            if (text[i + 1] !== quote) return i + 1;
+            i += 2;
+        } else {
+            i++;
+        }
+    }
+    return i;
+}
+
+/**
+ * Find the placeholders in a query, outside literals and comments.
+ *
+ * @param {string} text
+ * @returns {Array<{index: number, length: number, kind: '?'|'name'|'$n', name?: string}>}
+ */
+function scanPlaceholders(text) {
+    const found = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+        const prev = i > 0 ? text[i - 1] : '';
+
+        if (ch === "'") {
+            const escaped = /[eE]/.test(prev) && (i < 2 || !IDENT_PART.test(text[i - 2]));
+            i = skipQuoted(text, i, "'", escaped);
+        } else if (ch === '"') {
+            i = skipQuoted(text, i, '"', false);
+        } else if (ch === '-' && text[i + 1] === '-') {
+            const end = text.indexOf('\n', i);
+            i = end === -1 ? text.length : end;
+        } else if (ch === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 2;
+        } else if (ch === '$' && !IDENT_PART.test(prev)) {
+            const param = text.slice(i).match(/^\$\d+/);
+            const tag = text.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+            if (param) {
+                found.push({ index: i, length: param[0].length, kind: '$n' });
+                i += param[0].length;
+            } else if (tag) {
+                const end = text.indexOf(tag[0], i + tag[0].length);
+                i = end === -1 ? text.length : end + tag[0].length;
+            } else {
+                i++;
+            }
+        } else if (ch === '?') {
+            found.push({ index: i, length: 1, kind: '?' });
+            i++;
+        } else if (ch === ':' && text[i + 1] === ':') {
+            i += 2;
+        } else if (ch === ':' && IDENT_START.test(text[i + 1] || '')) {
+            let end = i + 1;
+            while (end < text.length && IDENT_PART.test(text[end]) && text[end] !== '$') end++;
+            found.push({ index: i, length: end - i, kind: 'name', name: text.slice(i + 1, end) });
+            i = end;
+        } else if (IDENT_PART.test(ch)) {
+            // Skip whole words, so `$` inside an identifier isn't a parameter
+            while (i < text.length && IDENT_PART.test(text[i])) i++;
+        } else {
+            i++;
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Replace placeholders by $1, $2, ... in order.
+ */
+function renumber(text, placeholders, numberOf) {
+    let result = '';
+    let last = 0;
+    for (const placeholder of placeholders) {
+        result += `${text.slice(last, placeholder.index)}$${numberOf(placeholder)}`;
+        last = placeholder.index + placeholder.length;
+    }
+    return result + text.slice(last);
+}
+
+/**
+ * Rewrite a query's placeholders to $n and its params to the matching array.
+ * Queries already using $n, or whose placeholders don't match the params,
+ * are returned unchanged.
+ *
+ * @param {string} text - Query text
+ * @param {any[]|Object<string, any>} [params] - Positional params, or named params for `:name`
+ * @returns {{text: string, params: any[]}}
+ */
+function normalizePlaceholders(text, params) {
+    const placeholders = scanPlaceholders(text);
+
+    if (isPlainObject(params)) {
+        const named = placeholders.filter(p => p.kind === 'name'
+            && Object.prototype.hasOwnProperty.call(params, p.name));
+        // A name used twice binds the same parameter
+        const numbers = new Map();
+        named.forEach(p => numbers.has(p.name) || numbers.set(p.name, numbers.size + 1));
+        return {
+            text: renumber(text, named, p => numbers.get(p.name)),
+            params: Array.from(numbers.keys(), name => params[name])
+        };
+    }
+
+    const values = Array.isArray(params) ? params : [];
+    const positional = placeholders.filter(p => p.kind === '?');
+    if (positional.length === 0 || positional.length !== values.length || placeholders.some(p => p.kind === '$n')) {
+        return { text, params: values };
+    }
+    return { text: renumber(text, positional, p => positional.indexOf(p) + 1), params: values };
+}
+
+module.exports = {
+    scanPlaceholders,
+    normalizePlaceholders
+};
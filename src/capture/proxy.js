@@ -0,0 +1,261 @@
+/**
+ * Seedify Capture Proxy
+ *
+ * A PostgreSQL wire-protocol proxy that records the queries passing through
+ * it, for suites in-process capture can't see (other languages, separate
+ * processes). Point the tests at the proxy instead of the database:
+ *
+ *   seedify capture-proxy --listen 6432 --upstream localhost:5432
+ *
+ * Traffic is forwarded unchanged. Simple queries are recorded when sent;
+ * extended-protocol queries when their portal is executed, with the Parse
+ * text and the Bind params. SSL is declined, so clients have to accept a
+ * plain connection (sslmode=disable or prefer).
+ */
+
+const net = require('net');
+
+// Codes of the startup-phase requests that aren't a StartupMessage
+const SSL_REQUEST = 80877103;
+const GSSENC_REQUEST = 80877104;
+
+// The server's own limit on startup packets (MAX_STARTUP_PACKET_LENGTH)
+const MAX_STARTUP_LENGTH = 10000;
+
+// Decoders for params sent in binary format, by type OID
+const BINARY_DECODERS = {
+    16: buf => buf[0] === 1,
+    20: buf => buf.readBigInt64BE(0).toString(),
+    21: buf => buf.readInt16BE(0),
+    23: buf => buf.readInt32BE(0),
+    700: buf => buf.readFloatBE(0),
+    701: buf => buf.readDoubleBE(0),
+    19: buf => buf.toString('utf-8'),
+    25: buf => buf.toString('utf-8'),
+    114: buf => buf.toString('utf-8'),
+    1043: buf => buf.toString('utf-8'),
+    // jsonb: a version byte, then the text
+    3802: buf => buf.subarray(1).toString('utf-8'),
+    2950: (buf) => {
+        const hex = buf.toString('hex');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+};
+
+/**
+ * Split "host:port", "port" or a number into a host and port.
+ *
+ * @param {string|number} address
+ * @param {string} [defaultHost]
+ * @returns {{host: string, port: number}}
+ */
+function parseAddress(address, defaultHost = 'localhost') {
+    const text = String(address);
+    const colon = text.lastIndexOf(':');
+    const host = colon === -1 ? defaultHost : text.slice(0, colon).replace(/^\[|\]$/g, '');
+    const port = parseInt(colon === -1 ? text : text.slice(colon + 1), 10);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+        throw new Error(`Invalid address: ${address} (expected host:port or port)`);
+    }
+    return { host: host || defaultHost, port };
+}
+
+/**
+ * Reader over one message body.
+ */
+function messageReader(body) {
+    let offset = 0;
+    return {
+        cstring() {
+            const end = body.indexOf(0, offset);
+            const value = body.toString('utf-8', offset, end);
+            offset = end + 1;
+            return value;
+        },
+        int16() {
+            offset += 2;
+            return body.readInt16BE(offset - 2);
+        },
+        int32() {
+            offset += 4;
+            return body.readInt32BE(offset - 4);
+        },
+        bytes(length) {
+            offset += length;
+            return body.subarray(offset - length, offset);
+        }
+    };
+}
+
+/**
+ * Decode a Bind param: text format as a string, binary by type where known
+ * and as bytea hex otherwise.
+ */
+function decodeParam(value, binary, typeOid) {
+    if (value === null) return null;
+    if (!binary) return value.toString('utf-8');
+    const decode = BINARY_DECODERS[typeOid];
+    return decode ? decode(value) : `\\x${value.toString('hex')}`;
+}
+
+/**
+ * Follow one client session's frontend messages and report each query as
+ * it runs.
+ *
+ * @param {function(Object): void} onQuery - Called with {query, params, timestamp, name?}
+ * @returns {function(string, Buffer): void} - Takes a message type and body
+ */
+function createSession(onQuery) {
+    // Statement name -> {text, types}; portal name -> {statementName, statement, params}
+    const statements = new Map();
+    const portals = new Map();
+
+    const emit = (text, params, name) => {
+        const entry = { query: text, params, timestamp: Date.now() };
+        if (name) entry.name = name;
+        onQuery(entry);
+    };
+
+    return (type, body) => {
+        const read = messageReader(body);
+
+        switch (type) {
+            case 'Q':
+                emit(read.cstring(), []);
+                break;
+
+            case 'P': {
+                const name = read.cstring();
+                const text = read.cstring();
+                const types = Array.from({ length: read.int16() }, () => read.int32());
+                statements.set(name, { text, types });
+                break;
+            }
+
+            case 'B': {
+                const portal = read.cstring();
+                const statementName = read.cstring();
+                const statement = statements.get(statementName);
+                const formats = Array.from({ length: read.int16() }, () => read.int16());
+                const params = Array.from({ length: read.int16() }, (_, i) => {
+                    const length = read.int32();
+                    const binary = (formats.length === 1 ? formats[0] : formats[i]) === 1;
+                    return decodeParam(length === -1 ? null : read.bytes(length), binary, statement && statement.types[i]);
+                });
+                portals.set(portal, { statementName, statement, params });
+                break;
+            }
+
+            case 'E': {
+                const bound = portals.get(read.cstring());
+                if (bound && bound.statement) emit(bound.statement.text, bound.params, bound.statementName);
+                break;
+            }
+
+            case 'C': {
+                const kind = String.fromCharCode(body[0]);
+                const name = messageReader(body.subarray(1)).cstring();
+                (kind === 'S' ? statements : portals).delete(name);
+                break;
+            }
+
+            default:
+                break;
+        }
+    };
+}
+
+/**
+ * Create the proxy. Each client connection gets its own upstream connection;
+ * bytes are forwarded as they arrive and parsed alongside.
+ *
+ * @param {Object} options
+ * @param {string|number} options.upstream - Database address, "host:port" or port
+ * @param {function(Object): void} options.onQuery - Called with each captured entry,
+ *   in the queries.jsonl format
+ * @param {function(Error): void} [options.onError] - Called with connection errors
+ * @returns {net.Server} - Call listen() on it
+ */
+function createCaptureProxy({ upstream, onQuery, onError = () => { } }) {
+    const target = parseAddress(upstream);
+
+    return net.createServer((client) => {
+        const server = net.connect(target);
+        const handle = createSession(onQuery);
+        // Unparsed bytes: of the startup phase, then of the next typed message
+        let startup = Buffer.alloc(0);
+        let started = false;
+        let partial = Buffer.alloc(0);
+
+        const close = (err) => {
+            if (err) onError(err);
+            client.destroy();
+            server.destroy();
+        };
+        client.on('error', close);
+        server.on('error', close);
+        client.on('close', () => server.end());
+        server.on('close', () => client.end());
+        server.pipe(client);
+
+        client.on('data', (chunk) => {
+            let data = chunk;
+
+            // Startup phase: untyped messages; SSL and GSS encryption are declined
+            if (!started) {
+                startup = Buffer.concat([startup, data]);
+                while (!started && startup.length >= 8) {
+                    const length = startup.readInt32BE(0);
+                    // A malformed length would never be consumed
+                    if (length < 8 || length > MAX_STARTUP_LENGTH) {
+                        close(new Error(`Invalid startup packet length: ${length}`));
+                        return;
+                    }
+                    if (startup.length < length) break;
+                    const code = startup.readInt32BE(4);
+                    if (code === SSL_REQUEST || code === GSSENC_REQUEST) {
+                        client.write('N');
+                    } else {
+                        server.write(startup.subarray(0, length));
+                        started = true;
+                    }
+                    startup = startup.subarray(length);
+                }
+                if (!started) return;
+                data = startup;
+            }
+            if (data.length === 0) return;
+
+            if (!server.write(data) && !client.isPaused()) {
+                client.pause();
+                server.once('drain', () => client.resume());
+            }
+
+            partial = Buffer.concat([partial, data]);
+            let offset = 0;
+            while (partial.length - offset >= 5) {
+                const length = partial.readInt32BE(offset + 1);
+                if (length < 4) {
+                    close(new Error(`Invalid message length: ${length}`));
+                    return;
+                }
+                if (partial.length - offset < length + 1) break;
+                try {
+                    handle(String.fromCharCode(partial[offset]), partial.subarray(offset + 5, offset + 1 + length));
+                } catch (e) {
+                    // A body shorter than its counts claim; thrown here, it would end the proxy
+                    close(new Error(`Invalid '${String.fromCharCode(partial[offset])}' message: ${e.message}`));
+                    return;
+                }
+                offset += length + 1;
+            }
+            partial = partial.subarray(offset);
+        });
+    });
+}
+
+module.exports = {
+    parseAddress,
+    createSession,
+    createCaptureProxy
+};
@@ -0,0 +1,193 @@
+/**
+ * Seedify Capture Rules
+ *
+ * Statement and table filters plus parameter redaction, applied to captured
+ * queries before they are returned by getQueries() or written to disk.
+ * See the start() options in ./index.js.
+ *
+ * Table filters and column-based redaction need the SQL parser, which loads
+ * asynchronously after start(). Until it is ready a query's tables count as
+ * unknown and every parameter of a query is redacted.
+ */
+
+const { tableMatcher } = require('../sql');
+
+const REDACTED = '[REDACTED]';
+
+// Named statement filters, usable in include/exclude
+const STATEMENT_PRESETS = {
+    transactions: /^\s*(BEGIN|START\s+TRANSACTION|COMMIT|END|ROLLBACK|ABORT|SAVEPOINT|RELEASE)\b/i,
+    session: /^\s*(SET|RESET|SHOW|DISCARD|LISTEN|UNLISTEN|NOTIFY|DEALLOCATE)\b/i,
+    catalog: /\b(pg_catalog|information_schema)\.|\bpg_(class|namespace|attribute|type|constraint|index|proc|settings|tables|indexes|stat_\w+)\b/i,
+    migrations: /^\s*(CREATE|ALTER|DROP|TRUNCATE|COMMENT\s+ON)\s|\b(knex_migrations|schema_migrations|_prisma_migrations|typeorm_metadata|SequelizeMeta|pgmigrations|flyway_schema_history)\b/i
+};
+
+// Credential words, matched as whole words of a snake_case column name
+const CREDENTIAL_WORDS = /(^|_)(pass(word|wd)?|secret|token|api_?key|private_?key|salt|otp)(_|$)/;
+
+/**
+ * snake_case spelling of a column name: `resetToken` and `APIKey` become
+ * `reset_token` and `api_key`.
+ */
+function snakeCase(name) {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+        .toLowerCase();
+}
+
+// Named redaction rules: column name patterns whose parameters are redacted
+const REDACTION_PRESETS = {
+    // `password_hash`, `apiKey`, `access_token`; not `passenger_id` or `tokens_used`
+    credentials: { test: name => CREDENTIAL_WORDS.test(snakeCase(name)) }
+};
+
+/**
+ * Normalize include/exclude patterns: preset names, RegExps and substrings.
+ */
+function statementMatchers(patterns) {
+    return [].concat(patterns || []).map((pattern) => {
+        if (pattern instanceof RegExp) return text => pattern.test(text);
+        if (STATEMENT_PRESETS[pattern]) return text => STATEMENT_PRESETS[pattern].test(text);
+        if (typeof pattern === 'string') return text => text.toLowerCase().includes(pattern.toLowerCase());
+        throw new Error(`[seedify] Invalid statement pattern: ${pattern}`);
+    });
+}
+
+/**
+ * Normalize table patterns: RegExps, or names matched with or without schema
+ * (see sql.tableMatcher).
+ */
+function tableMatchers(patterns) {
+    return [].concat(patterns || []).map((pattern) => {
+        if (pattern instanceof RegExp) return table => pattern.test(table);
+        if (typeof pattern === 'string') return tableMatcher(pattern);
+        throw new Error(`[seedify] Invalid table pattern: ${pattern}`);
+    });
+}
+
+/**
+ * Split `redact` into column patterns and custom hooks.
+ */
+function redactionRules(redact) {
+    const columns = [];
+    const hooks = [];
+
+    for (const rule of [].concat(redact || [])) {
+        if (typeof rule === 'function') {
+            hooks.push(rule);
+        } else if (rule instanceof RegExp) {
+            columns.push(rule);
+        } else if (REDACTION_PRESETS[rule]) {
+            columns.push(REDACTION_PRESETS[rule]);
+        } else {
+            throw new Error(`[seedify] Unknown redaction rule: ${rule}`);
+        }
+    }
+
+    return { columns, hooks };
+}
+
+/**
+ * Build the rules for a set of start() options, or null when none are set.
+ *
+ * @param {Object} options - start() options
+ * @param {Array<string|RegExp>} [options.include] - Keep only matching statements
+ * @param {Array<string|RegExp>} [options.exclude] - Drop matching statements
+ * @param {Array<string|RegExp>} [options.includeTables] - Keep only queries touching a matching table
+ * @param {Array<string|RegExp>} [options.excludeTables] - Drop queries touching a matching table
+ * @param {Array<string|RegExp|Function>} [options.redact] - Redaction rules
+ * @returns {{needsParser: boolean, apply: function(Object): Object|null}|null}
+ */
+function createRules(options) {
+    const include = statementMatchers(options.include);
+    const exclude = statementMatchers(options.exclude);
+    const includeTables = tableMatchers(options.includeTables);
+    const excludeTables = tableMatchers(options.excludeTables);
+    const redaction = redactionRules(options.redact);
+
+    const filtersTables = includeTables.length > 0 || excludeTables.length > 0;
+    if (include.length + exclude.length + redaction.columns.length + redaction.hooks.length === 0 && !filtersTables) {
+        return null;
+    }
+
+    // Parser-backed helpers; null while the parser is still loading. The
+    // analyzer is only required once a rule needs it.
+    const parse = (fn, query) => {
+        // eslint-disable-next-line global-require
+        const analyzer = require('../analyzer');
+        // The synchronous parser throws until loadParser() has finished
+        if (!analyzer.isParserLoaded()) return null;
+        try {
+            return analyzer[fn](query);
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const matchesColumn = name => redaction.columns.some(pattern => pattern.test(name));
+
+    const redactParams = (entry) => {
+        if (redaction.columns.length === 0 || entry.params.length === 0) return entry.params;
+
+        const bindings = parse('extractParamColumns', entry.query);
+        if (!bindings) return entry.params.map(() => REDACTED);
+
+        return entry.params.map((value, i) => {
+            const columns = bindings.get(i + 1);
+            return columns && Array.from(columns).some(matchesColumn) ? REDACTED : value;
+        });
+    };
+
+    const redactResult = (result) => {
+        if (!result || redaction.columns.length === 0) return result;
+
+        const redacted = result.fields.map(f => matchesColumn(f.name));
+        if (!redacted.includes(true)) return result;
+
+        return {
+            fields: result.fields,
+            rows: result.rows.map((row) => {
+                const copy = Array.isArray(row) ? [...row] : { ...row };
+                result.fields.forEach((f, i) => {
+                    if (redacted[i]) copy[Array.isArray(row) ? i : f.name] = REDACTED;
+                });
+                return copy;
+            })
+        };
+    };
+
+    return {
+        needsParser: filtersTables || redaction.columns.length > 0,
+
+        /**
+         * Filter and redact one entry. Returns a redacted copy, or null to drop it.
+         */
+        apply(entry) {
+            if (exclude.some(match => match(entry.query))) return null;
+            if (include.length > 0 && !include.some(match => match(entry.query))) return null;
+
+            if (filtersTables) {
+                const tables = parse('extractTableNames', entry.query) || [];
+                if (tables.some(t => excludeTables.some(match => match(t)))) return null;
+                if (includeTables.length > 0 && !tables.some(t => includeTables.some(match => match(t)))) return null;
+            }
+
+            let prepared = { ...entry, params: redactParams(entry) };
+            if (entry.result) prepared.result = redactResult(entry.result);
+
+            for (const hook of redaction.hooks) {
+                prepared = hook(prepared);
+                if (!prepared) return null;
+            }
+            return prepared;
+        }
+    };
+}
+
+module.exports = {
+    REDACTED,
+    STATEMENT_PRESETS,
+    REDACTION_PRESETS,
+    createRules
+};
@@ -0,0 +1,213 @@
+/**
+ * Seedify Server Log Import
+ *
+ * Turns a PostgreSQL server log into captured queries, for suites whose
+ * queries only the server sees. The server has to log statements with
+ * their parameters:
+ *
+ *   log_statement = 'all'            # or log_min_duration_statement = 0
+ *
+ * Three log formats are read: stderr (any log_line_prefix), csvlog and
+ * jsonlog. Simple queries are logged as `statement: ...`, extended-protocol
+ * ones as `execute <name>: ...` with a `parameters: $1 = '...'` detail;
+ * parameter values come out as the strings the server logged.
+ */
+
+const fs = require('fs').promises;
+
+// "statement: ..." or "execute <unnamed>: ...", optionally after a duration
+const STATEMENT_MESSAGE = /^(?:duration: [\d.]+ ms\s+)?(?:statement|execute ([^:]+)): ([\s\S]*)$/;
+const PARAMETER = /\$(\d+) = (NULL|'(?:[^']|'')*')/g;
+// Severity that ends a stderr line's prefix
+const SEVERITY = /(?:^|\s)(LOG|DETAIL|STATEMENT|HINT|CONTEXT|ERROR|WARNING|NOTICE|FATAL|PANIC|INFO|DEBUG[1-5]?):  /;
+const TIMESTAMP = /\d{4}-\d\d-\d\d[ T]\d\d:\d\d:\d\d(?:\.\d+)?(?: ?(?:[A-Z]{2,5}|[+-]\d\d(?::?\d\d)?))?/;
+
+// csvlog columns
+const CSV_TIME = 0;
+const CSV_SEVERITY = 11;
+const CSV_MESSAGE = 13;
+const CSV_DETAIL = 14;
+
+/**
+ * Milliseconds since the epoch of a logged timestamp. Time zones Date
+ * doesn't know are read as local time.
+ *
+ * @returns {number|null}
+ */
+function parseTimestamp(text) {
+    if (!text) return null;
+    const time = Date.parse(text);
+    if (!Number.isNaN(time)) return time;
+    const local = Date.parse(text.replace(/ [A-Z]{2,5}$/, '').replace(' ', 'T'));
+    return Number.isNaN(local) ? null : local;
+}
+
+/**
+ * Values of a `parameters: $1 = '42', $2 = NULL` detail, in order.
+ *
+ * @returns {any[]|null} - Null when the detail isn't a parameter list
+ */
+function parseParameters(detail) {
+    const match = /^parameters: ([\s\S]*)$/i.exec(detail || '');
+    if (!match) return null;
+
+    const params = [];
+    for (const [, number, value] of match[1].matchAll(PARAMETER)) {
+        params[parseInt(number, 10) - 1] = value === 'NULL' ? null : value.slice(1, -1).replace(/''/g, "'");
+    }
+    return Array.from(params, value => (value === undefined ? null : value));
+}
+
+/**
+ * Split CSV text into records. Quoted fields may span lines.
+ *
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n') {
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else if (ch !== '\r') {
+            field += ch;
+        }
+    }
+    if (field || record.length > 0) records.push([...record, field]);
+    return records;
+}
+
+/**
+ * Read the messages of a stderr log. Lines without a severity continue the
+ * message before them (multi-line statements are logged with a leading tab).
+ *
+ * @returns {Array<{pid: string, severity: string, text: string, timestamp: number|null}>}
+ */
+function stderrMessages(text) {
+    const messages = [];
+    for (const line of text.split('\n')) {
+        const severity = SEVERITY.exec(line);
+        if (!severity) {
+            if (messages.length > 0) messages[messages.length - 1].text += `\n${line.replace(/^\t/, '')}`;
+            continue;
+        }
+
+        const prefix = line.slice(0, severity.index);
+        const pid = /\[(\d+)\]/.exec(prefix);
+        const timestamp = TIMESTAMP.exec(prefix);
+        messages.push({
+            pid: pid ? pid[1] : '',
+            severity: severity[1],
+            text: line.slice(severity.index + severity[0].length),
+            timestamp: parseTimestamp(timestamp && timestamp[0])
+        });
+    }
+    return messages;
+}
+
+/**
+ * Which format a log is in: 'json' (jsonlog), 'csv' (csvlog) or 'stderr'.
+ */
+function detectFormat(text) {
+    const first = text.split('\n').find(line => line.trim()) || '';
+    if (first.startsWith('{')) return 'json';
+    if (/^\d{4}-\d\d-\d\d [\d:.]+(?: [A-Z]+)?,/.test(first)) return 'csv';
+    return 'stderr';
+}
+
+/**
+ * Turn a server log into captured query entries, in log order.
+ *
+ * @param {string} text - Log contents
+ * @param {'stderr'|'csv'|'json'} [format] - Log format (default: detected)
+ * @returns {Array<{query: string, params: any[], timestamp: number, name?: string}>}
+ */
+function parseServerLog(text, format = detectFormat(text)) {
+    if (!['stderr', 'csv', 'json'].includes(format)) {
+        throw new Error(`Unknown log format: ${format} (expected stderr, csv or json)`);
+    }
+
+    const entries = [];
+    let order = 0;
+
+    const statement = (message, timestamp) => {
+        const match = STATEMENT_MESSAGE.exec(message);
+        if (!match) return null;
+
+        const entry = { query: match[2].trim(), params: [], timestamp: timestamp === null ? order : timestamp };
+        const name = match[1] && match[1].trim();
+        if (name && name !== '<unnamed>') entry.name = name;
+        order++;
+        entries.push(entry);
+        return entry;
+    };
+
+    if (format === 'stderr') {
+        // Last statement per backend, which a DETAIL line gives the parameters of
+        const last = new Map();
+        for (const message of stderrMessages(text)) {
+            const entry = last.get(message.pid);
+            last.delete(message.pid);
+
+            if (message.severity === 'LOG') {
+                const added = statement(message.text, message.timestamp);
+                if (added) last.set(message.pid, added);
+            } else if (message.severity === 'DETAIL' && entry) {
+                entry.params = parseParameters(message.text) || entry.params;
+            }
+        }
+        return entries;
+    }
+
+    const records = format === 'json'
+        ? text.split('\n').filter(line => line.trim()).map((line) => {
+            const record = JSON.parse(line);
+            return [record.timestamp, record.error_severity, record.message, record.detail];
+        })
+        : parseCsv(text).map(r => [r[CSV_TIME], r[CSV_SEVERITY], r[CSV_MESSAGE], r[CSV_DETAIL]]);
+
+    for (const [time, severity, message, detail] of records) {
+        if (severity !== 'LOG' || typeof message !== 'string') continue;
+        const entry = statement(message, parseTimestamp(time));
+        if (entry) entry.params = parseParameters(detail) || [];
+    }
+    return entries;
+}
+
+/**
+ * Read a server log file into captured query entries (see parseServerLog).
+ *
+ * @param {string} file - postgresql.log, .csv or .json
+ * @param {Object} [options]
+ * @param {'stderr'|'csv'|'json'} [options.format] - Log format (default: detected)
+ * @returns {Promise<Array<Object>>}
+ */
+async function importLog(file, options = {}) {
+    return parseServerLog(await fs.readFile(file, 'utf-8'), options.format);
+}
+
+module.exports = {
+    parseServerLog,
+    importLog
+};
@@ -0,0 +1,383 @@
+/**
+ * Seedify Config
+ *
+ * Loads seedify.config.js or .seedifyrc.json so `generate` settings are
+ * written down once instead of repeated on every command line:
+ *
+ *   module.exports = {
+ *       input: '.seedify/queries.jsonl',
+ *       db: { host: 'localhost', name: 'app_test', user: 'postgres' },
+ *       engine: 'native',
+ *       tables: { audit_log: { skip: true } },
+ *       mask: { columns: { 'users.email': 'email' } },
+ *       profiles: {
+ *           staging: { db: { host: 'staging.internal', password: '${STAGING_PASSWORD}' } }
+ *       }
+ *   };
+ *
+ * The selected profile (--profile, SEEDIFY_PROFILE or `defaultProfile`) is
+ * deep-merged over the top-level settings. `${VAR}` and `${VAR:-default}`
+ * in the top-level and selected profile's strings are replaced from the
+ * environment. Command-line flags override everything in the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('../errors');
+const { FORMATS } = require('../format');
+const { quoteIdent, tableMatcher, splitQualified } = require('../sql');
+
+const CONFIG_FILES = ['seedify.config.js', '.seedifyrc.json'];
+
+// Setting name -> generate option name (see parseArgs in bin/seedify.js)
+const OPTION_NAMES = {
+    input: 'inputFile',
+    output: 'outputFile',
+    format: 'format',
+    engine: 'engine',
+    localScope: 'localScope',
+    allAssociations: 'allAssociations',
+    rowLimit: 'rowLimit',
+    fromResults: 'fromResults',
+    groupBy: 'groupBy',
+    resetSequences: 'resetSequences',
+    cache: 'cache',
+    validate: 'validate',
+    schemas: 'schemas',
+    excludeSchemas: 'excludeSchemas',
+    debug: 'debug'
+};
+
+const DB_OPTION_NAMES = {
+    host: 'dbHost',
+    port: 'dbPort',
+    name: 'dbName',
+    user: 'dbUser',
+    password: 'dbPassword',
+    service: 'dbService'
+};
+
+const TOP_LEVEL_KEYS = new Set([...Object.keys(OPTION_NAMES), 'db', 'tables', 'mask', 'capture', 'profiles', 'defaultProfile']);
+const DB_KEYS = new Set([...Object.keys(DB_OPTION_NAMES), 'url']);
+const TABLE_KEYS = new Set(['skip', 'where', 'rowLimit', 'allAssociations']);
+const MASK_KEYS = new Set(['secret', 'columns']);
+
+const isPlainObject = value => value !== null && typeof value === 'object'
+    && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Find the config file in a directory.
+ *
+ * @param {string} [cwd] - Directory to look in (default: process.cwd())
+ * @returns {string|null} - Absolute path, or null when there is none
+ */
+function findConfigFile(cwd = process.cwd()) {
+    for (const name of CONFIG_FILES) {
+        const file = path.join(cwd, name);
+        if (fs.existsSync(file)) return file;
+    }
+    return null;
+}
+
+/**
+ * Merge `override` into `base`. Plain objects merge key by key; anything
+ * else (arrays, RegExps, functions) replaces the base value.
+ */
+function deepMerge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+            ? deepMerge(merged[key], value)
+            : value;
+    }
+    return merged;
+}
+
+/**
+ * Replace `${VAR}` and `${VAR:-default}` in every string of a config value.
+ *
+ * @param {*} value - Config value
+ * @param {Object} env - Environment variables
+ * @param {string} [where] - Setting path, for error messages
+ * @returns {*}
+ */
+function interpolate(value, env, where = '') {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+            if (env[name] !== undefined && env[name] !== '') return env[name];
+            if (fallback !== undefined) return fallback;
+            throw new ConfigError(`Environment variable ${name} is not set (used in ${where || 'config'})`);
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, i) => interpolate(item, env, `${where}[${i}]`));
+    }
+    if (isPlainObject(value)) {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = interpolate(item, env, where ? `${where}.${key}` : key);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Reject misspelled settings instead of silently ignoring them.
+ *
+ * @param {Object} config - Settings
+ * @param {string} file - Where they come from, for error messages
+ * @throws {ConfigError}
+ */
+function validate(config, file) {
+    const unknown = (keys, allowed) => Object.keys(keys).filter(k => !allowed.has(k));
+    const fail = (what) => {
+        throw new ConfigError(`${file}: unknown ${what}`);
+    };
+
+    const top = unknown(config, TOP_LEVEL_KEYS);
+    if (top.length > 0) fail(`setting(s): ${top.join(', ')}`);
+
+    if (config.db !== undefined) {
+        if (!isPlainObject(config.db)) fail('db value: expected an object');
+        const db = unknown(config.db, DB_KEYS);
+        if (db.length > 0) fail(`db setting(s): ${db.join(', ')}`);
+    }
+
+    if (config.groupBy !== undefined && config.groupBy !== null && !['test', 'file'].includes(config.groupBy)) {
+        fail(`groupBy value: ${config.groupBy} (expected test or file)`);
+    }
+
+    if (config.format !== undefined && !Object.prototype.hasOwnProperty.call(FORMATS, config.format)) {
+        fail(`format value: ${config.format} (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    for (const key of ['schemas', 'excludeSchemas']) {
+        const value = config[key];
+        if (value !== undefined && ![].concat(value).every(name => typeof name === 'string' && name !== '')) {
+            fail(`${key} value: expected a schema name or an array of them`);
+        }
+    }
+
+    for (const [table, options] of Object.entries(config.tables || {})) {
+        if (!isPlainObject(options)) fail(`options for table ${table}: expected an object`);
+        const keys = unknown(options, TABLE_KEYS);
+        if (keys.length > 0) fail(`option(s) for table ${table}: ${keys.join(', ')}`);
+    }
+
+    if (config.mask !== undefined) {
+        if (!isPlainObject(config.mask)) fail('mask value: expected an object');
+        const mask = unknown(config.mask, MASK_KEYS);
+        if (mask.length > 0) fail(`mask setting(s): ${mask.join(', ')}`);
+        if (config.mask.columns !== undefined && !isPlainObject(config.mask.columns)) fail('mask.columns value: expected an object');
+    }
+}
+
+/**
+ * Read a config file: a CommonJS module or JSON.
+ */
+function readConfigFile(file) {
+    if (file.endsWith('.js') || file.endsWith('.cjs')) {
+        const resolved = require.resolve(path.resolve(file));
+        // Re-read on every load, so watchers and tests see edits
+        delete require.cache[resolved];
+        try {
+            // eslint-disable-next-line global-require, import/no-dynamic-require
+            const loaded = require(resolved);
+            return loaded && loaded.default ? loaded.default : loaded;
+        } catch (e) {
+            throw new ConfigError(`${file}: ${e.message}`, { cause: e });
+        }
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new ConfigError(`${file}: ${e.message}`, { cause: e });
+    }
+}
+
+/**
+ * Load the config file and resolve the selected profile.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - Config file (default: seedify.config.js or .seedifyrc.json in cwd)
+ * @param {string} [options.profile] - Profile name (default: SEEDIFY_PROFILE, then `defaultProfile`)
+ * @param {string} [options.cwd] - Directory to look for the config file in
+ * @param {Object} [options.env] - Environment variables (default: process.env)
+ * @returns {{file: string|null, profile: string|null, config: Object}} - `config` has
+ *   `profiles` removed and relative `input`/`output` paths resolved against the file's directory
+ */
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const file = options.file ? path.resolve(options.cwd || process.cwd(), options.file) : findConfigFile(options.cwd);
+
+    if (!file) {
+        if (options.profile) throw new ConfigError(`Profile "${options.profile}" requested but no ${CONFIG_FILES.join(' or ')} found`);
+        return { file: null, profile: null, config: {} };
+    }
+    if (!fs.existsSync(file)) throw new ConfigError(`Config file not found: ${file}`);
+
+    const raw = readConfigFile(file);
+    if (!isPlainObject(raw)) throw new ConfigError(`${file}: expected an object`);
+
+    const { profiles = {}, defaultProfile, ...base } = raw;
+    validate(base, file);
+
+    const profile = options.profile || env.SEEDIFY_PROFILE || defaultProfile || null;
+    const layers = [base];
+    if (profile) {
+        if (!isPlainObject(profiles[profile])) {
+            const available = Object.keys(profiles);
+            throw new ConfigError(`Unknown profile "${profile}" in ${file}${available.length ? ` (available: ${available.join(', ')})` : ''}`);
+        }
+        validate(profiles[profile], `${file} (profile ${profile})`);
+        layers.push(profiles[profile]);
+    }
+
+    // A profile's db.url replaces the top-level host, user, ... rather than
+    // being overridden by them, so URLs are expanded before merging
+    const config = layers
+        .map(layer => interpolate(layer, env))
+        .map(layer => (layer.db ? { ...layer, db: expandDbUrl(layer.db) } : layer))
+        .reduce((merged, layer) => deepMerge(merged, layer), {});
+    const dir = path.dirname(file);
+    for (const key of ['input', 'output']) {
+        if (typeof config[key] === 'string') config[key] = path.resolve(dir, config[key]);
+    }
+
+    return { file, profile, config };
+}
+
+/**
+ * Split a postgresql:// URL into `db` settings. Parts missing from the URL
+ * are left out.
+ *
+ * @param {string} url
+ * @returns {{host?: string, port?: string, name?: string, user?: string, password?: string}}
+ */
+function parseDbUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new ConfigError(`Invalid database URL: ${url.replace(/:[^:@/]*@/, ':***@')}`, { cause: e });
+    }
+
+    const parts = {
+        host: parsed.hostname,
+        port: parsed.port,
+        name: decodeURIComponent(parsed.pathname.slice(1)),
+        user: decodeURIComponent(parsed.username),
+        password: decodeURIComponent(parsed.password)
+    };
+    return Object.fromEntries(Object.entries(parts).filter(([, value]) => value));
+}
+
+/**
+ * Replace `db.url` by the settings it stands for. Settings given next to the
+ * URL win, so `{ url, password }` keeps the password out of the URL.
+ *
+ * @param {Object} [db] - `db` settings
+ * @returns {Object|undefined}
+ */
+function expandDbUrl(db) {
+    if (!db || !db.url) return db;
+    const { url, ...rest } = db;
+    return { ...parseDbUrl(url), ...rest };
+}
+
+/**
+ * Map a resolved config to the options `generate` uses. Only settings
+ * present in the config are returned, so the result can be layered over
+ * the defaults.
+ *
+ * @param {Object} config - `config` from loadConfig()
+ * @returns {Object}
+ */
+function toGenerateOptions(config) {
+    const options = {};
+
+    for (const [key, name] of Object.entries(OPTION_NAMES)) {
+        if (config[key] !== undefined) options[name] = config[key];
+    }
+    for (const key of ['schemas', 'excludeSchemas']) {
+        if (options[key] !== undefined) options[key] = [].concat(options[key]);
+    }
+
+    const db = expandDbUrl(config.db) || {};
+    for (const [key, name] of Object.entries(DB_OPTION_NAMES)) {
+        if (db[key] !== undefined && db[key] !== null) options[name] = String(db[key]);
+    }
+
+    if (config.tables) options.tables = config.tables;
+    if (config.mask) options.mask = config.mask;
+    return options;
+}
+
+/**
+ * Find the options for a table: by exact name, then by a key matching it
+ * (see sql.tableMatcher). A schema-qualified key also applies to the same
+ * table named without schema, but never to a table in another schema.
+ */
+function tableOptions(tables, table) {
+    if (!tables) return null;
+    if (tables[table]) return tables[table];
+
+    // A table named without schema is taken to be in the key's schema
+    const qualified = splitQualified(table).schema !== null;
+    const key = Object.keys(tables).find((k) => {
+        const { schema } = splitQualified(k);
+        return tableMatcher(k)(schema && !qualified ? `${quoteIdent(schema.text)}.${table}` : table);
+    });
+    return key ? tables[key] : null;
+}
+
+/**
+ * Apply per-table options to the subjects found in the captured queries:
+ *
+ *   skip: true           - drop the table's subject
+ *   where: '<condition>' - also export the rows matching the condition,
+ *                          whether or not the tests queried the table
+ *   rowLimit, allAssociations - override the global setting for the table's subjects
+ *
+ * @param {Array<{table: string, condition: string}>} subjects
+ * @param {Object<string, Object>} [tables] - `tables` config
+ * @returns {Array<{table: string, condition: string, rowLimit?: number, allAssociations?: boolean}>}
+ */
+function applyTableOptions(subjects, tables) {
+    if (!tables || Object.keys(tables).length === 0) return subjects;
+
+    const withOverrides = (subject, options) => {
+        const result = { ...subject };
+        if (options.rowLimit !== undefined) result.rowLimit = options.rowLimit;
+        if (options.allAssociations !== undefined) result.allAssociations = options.allAssociations;
+        return result;
+    };
+
+    const applied = [];
+    for (const subject of subjects) {
+        const options = tableOptions(tables, subject.table);
+        if (options && options.skip) continue;
+        applied.push(options ? withOverrides(subject, options) : subject);
+    }
+
+    for (const [table, options] of Object.entries(tables)) {
+        if (options.skip || !options.where) continue;
+        applied.push(withOverrides({ table, condition: options.where }, options));
+    }
+
+    return applied;
+}
+
+module.exports = {
+    CONFIG_FILES,
+    findConfigFile,
+    loadConfig,
+    validateSettings: validate,
+    deepMerge,
+    parseDbUrl,
+    expandDbUrl,
+    toGenerateOptions,
+    applyTableOptions
+};
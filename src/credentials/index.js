@@ -0,0 +1,256 @@
+/**
+ * Seedify Credentials
+ *
+ * Resolves the database connection for `seedify generate` the way libpq
+ * does, so passwords don't have to be typed on the command line:
+ *
+ *   host, port, database, user: command line > service file > PG* variables > defaults
+ *   password: command line > service file > PGPASSWORD > ~/.pgpass > interactive prompt
+ *
+ * The service comes from --db-service or PGSERVICE and is looked up in
+ * PGSERVICEFILE (default ~/.pg_service.conf), then PGSYSCONFDIR/pg_service.conf.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULTS = { host: 'localhost', port: '5432' };
+
+/**
+ * Parse a pg_service.conf file.
+ *
+ * @param {string} content - File content
+ * @returns {Object<string, Object<string, string>>} - Service name -> settings
+ */
+function parseServiceFile(content) {
+    const services = {};
+    let current = null;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const section = line.match(/^\[(.+)\]$/);
+        if (section) {
+            current = {};
+            services[section[1].trim()] = current;
+            continue;
+        }
+
+        const eq = line.indexOf('=');
+        if (current && eq > 0) {
+            current[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+        }
+    }
+
+    return services;
+}
+
+/**
+ * Find a service's settings in the user's or the system service file.
+ *
+ * @param {string} name - Service name
+ * @param {Object} env - Environment variables
+ * @returns {Object<string, string>}
+ */
+function readService(name, env) {
+    const files = [
+        env.PGSERVICEFILE || path.join(os.homedir(), '.pg_service.conf'),
+        env.PGSYSCONFDIR ? path.join(env.PGSYSCONFDIR, 'pg_service.conf') : null
+    ].filter(Boolean);
+
+    for (const file of files) {
+        let content;
+        try {
+            content = fs.readFileSync(file, 'utf-8');
+        } catch {
+            continue;
+        }
+        const services = parseServiceFile(content);
+        if (services[name]) return services[name];
+    }
+
+    throw new Error(`Service "${name}" not found in ${files.join(' or ')}`);
+}
+
+/**
+ * Parse a .pgpass file into entries. Fields are separated by `:`, with `\:`
+ * and `\\` escaping a literal colon or backslash.
+ *
+ * @param {string} content - File content
+ * @returns {Array<{host: string, port: string, database: string, user: string, password: string}>}
+ */
+function parsePgpass(content) {
+    const entries = [];
+
+    for (const line of content.split(/\r?\n/)) {
+        if (!line.trim() || line.startsWith('#')) continue;
+
+        const fields = [''];
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '\\' && i + 1 < line.length) {
+                fields[fields.length - 1] += line[++i];
+            } else if (line[i] === ':' && fields.length < 5) {
+                fields.push('');
+            } else {
+                fields[fields.length - 1] += line[i];
+            }
+        }
+
+        if (fields.length === 5) {
+            const [host, port, database, user, password] = fields;
+            entries.push({ host, port, database, user, password });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Location of the password file: PGPASSFILE, else ~/.pgpass
+ * (%APPDATA%\postgresql\pgpass.conf on Windows).
+ */
+function pgpassPath(env) {
+    if (env.PGPASSFILE) return env.PGPASSFILE;
+    if (process.platform === 'win32') {
+        return path.join(env.APPDATA || os.homedir(), 'postgresql', 'pgpass.conf');
+    }
+    return path.join(os.homedir(), '.pgpass');
+}
+
+/**
+ * Look up the password for a connection in the password file. Like libpq,
+ * a file readable by group or others is ignored.
+ *
+ * @param {{host: string, port: string, database: string, user: string}} connection
+ * @param {Object} env - Environment variables
+ * @returns {{password: string|null, warning: string|null}}
+ */
+function findPgpassPassword(connection, env) {
+    const file = pgpassPath(env);
+
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch {
+        return { password: null, warning: null };
+    }
+
+    if (process.platform !== 'win32' && (stat.mode & 0o077) !== 0) {
+        return {
+            password: null,
+            warning: `Password file ${file} has group or world access and was ignored; run chmod 0600 on it`
+        };
+    }
+
+    const matches = (pattern, value) => pattern === '*' || pattern === String(value);
+    const entry = parsePgpass(fs.readFileSync(file, 'utf-8')).find(e => matches(e.host, connection.host)
+        && matches(e.port, connection.port)
+        && matches(e.database, connection.database)
+        && matches(e.user, connection.user));
+
+    return { password: entry ? entry.password : null, warning: null };
+}
+
+/**
+ * Ask for a password on the terminal without echoing it.
+ *
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>}
+ */
+function promptPassword(question) {
+    // eslint-disable-next-line global-require
+    const readline = require('readline');
+
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        let muted = false;
+        // Print the question, then nothing the user types
+        rl._writeToOutput = (text) => {
+            if (!muted) rl.output.write(text);
+        };
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+/**
+ * Resolve the connection settings and password.
+ *
+ * @param {Object} options - Values given on the command line (null when not given)
+ * @param {string|null} [options.host]
+ * @param {string|null} [options.port]
+ * @param {string|null} [options.database]
+ * @param {string|null} [options.user]
+ * @param {string|null} [options.password]
+ * @param {string|null} [options.service] - Service name (overrides PGSERVICE)
+ * @param {boolean} [options.forcePrompt] - Always prompt for the password
+ * @param {Object} [context]
+ * @param {Object} [context.env] - Environment variables (default: process.env)
+ * @param {boolean} [context.interactive] - Whether a prompt is possible (default: a TTY outside CI)
+ * @param {function(string): Promise<string>} [context.prompt] - Password prompt
+ * @returns {Promise<{host: string, port: string, database: string|null, user: string|null,
+ *   password: string|null, passwordSource: string|null, warnings: string[]}>}
+ */
+async function resolveConnection(options, context = {}) {
+    const env = context.env || process.env;
+    const interactive = context.interactive !== undefined
+        ? context.interactive
+        : Boolean(process.stdin.isTTY) && !env.CI;
+    const prompt = context.prompt || promptPassword;
+    const warnings = [];
+
+    const serviceName = options.service || env.PGSERVICE || null;
+    const service = serviceName ? readService(serviceName, env) : {};
+
+    const pick = (given, serviceKey, envKey, fallback = null) => given || service[serviceKey] || env[envKey] || fallback;
+
+    const connection = {
+        host: pick(options.host, 'host', 'PGHOST', DEFAULTS.host),
+        port: String(pick(options.port, 'port', 'PGPORT', DEFAULTS.port)),
+        database: pick(options.database, 'dbname', 'PGDATABASE'),
+        user: pick(options.user, 'user', 'PGUSER', env.USER || null)
+    };
+
+    let password = null;
+    let passwordSource = null;
+
+    if (options.forcePrompt) {
+        // Explicitly asked for: skip every other source
+    } else if (options.password) {
+        password = options.password;
+        passwordSource = 'command line';
+    } else if (service.password) {
+        password = service.password;
+        passwordSource = `service ${serviceName}`;
+    } else if (env.PGPASSWORD) {
+        password = env.PGPASSWORD;
+        passwordSource = 'PGPASSWORD';
+    } else {
+        const found = findPgpassPassword(connection, env);
+        if (found.warning) warnings.push(found.warning);
+        if (found.password !== null) {
+            password = found.password;
+            passwordSource = pgpassPath(env);
+        }
+    }
+
+    if (password === null && (options.forcePrompt || interactive)) {
+        password = await prompt(`Password for ${connection.user}@${connection.host}/${connection.database}: `);
+        passwordSource = 'prompt';
+    }
+
+    return { ...connection, password, passwordSource, warnings };
+}
+
+module.exports = {
+    parseServiceFile,
+    parsePgpass,
+    findPgpassPassword,
+    resolveConnection
+};
@@ -0,0 +1,130 @@
+/**
+ * Seedify Diff
+ *
+ * Compares two seeds row by row, for reviewing a regenerated seed:
+ *
+ *   seedify diff .seedify/seed.sql /tmp/seed.sql
+ *
+ * Rows are matched by their primary key when it is known (from the seed's
+ * manifest, or `options.primaryKey`), else by an `id` column, so an edited
+ * row shows up as changed. Rows of tables without either are matched by
+ * content, so an edit shows up as a removed and an added row, and a row
+ * repeated a different number of times shows up as added or removed copies.
+ * Literals are compared in their canonical form, so quoting differences
+ * don't count.
+ */
+
+const fs = require('fs').promises;
+const format = require('../format');
+
+/**
+ * Rows of a seed per table, keyed for matching.
+ *
+ * @param {string} sql
+ * @param {function(string): (string[]|null)} primaryKey - Table -> key columns
+ * @returns {Map<string, {columns: string[], rows: Map<string, Object<string, string>>}>}
+ */
+function tableRows(sql, primaryKey) {
+    const tables = new Map();
+    for (const { table, columns, rows } of format.readSeed(sql).tables) {
+        const keyed = new Map();
+        const seen = new Map();
+        const known = primaryKey(table);
+        const keyColumns = known && known.every(c => columns.includes(c)) ? known : columns.includes('id') ? ['id'] : null;
+        const keyIndexes = keyColumns && keyColumns.map(c => columns.indexOf(c));
+        for (const row of rows) {
+            const values = row.map(format.normalizeLiteral);
+            const base = keyIndexes
+                ? keyColumns.map((c, i) => `${c}=${values[keyIndexes[i]]}`).join(', ')
+                : `(${values.join(', ')})`;
+            // Repeated rows (or keys) are told apart by their occurrence
+            const n = (seen.get(base) || 0) + 1;
+            seen.set(base, n);
+            const key = n > 1 ? `${base} #${n}` : base;
+            keyed.set(key, Object.fromEntries(columns.map((c, i) => [c, values[i]])));
+        }
+        tables.set(table, { columns, rows: keyed });
+    }
+    return tables;
+}
+
+/**
+ * Compare two seeds.
+ *
+ * @param {string} oldSql - Seed SQL before
+ * @param {string} newSql - Seed SQL after
+ * @param {Object} [options]
+ * @param {function(string): (string[]|null)} [options.primaryKey] - Table -> primary key
+ *   columns (see extractor.primaryKeys, or the manifest's `primaryKey`)
+ * @returns {{tables: Array<{table: string, added: Array<{key: string, row: Object}>,
+ *   removed: Array<{key: string, row: Object}>,
+ *   changed: Array<{key: string, columns: Array<{column: string, old: string, new: string}>}>,
+ *   unchanged: number}>, added: number, removed: number, changed: number}}
+ *   Tables in the new seed's order, then tables only the old seed has. Rows
+ *   map column names to canonical SQL literals; a column one side lacks is DEFAULT.
+ */
+function diffSeeds(oldSql, newSql, options = {}) {
+    const primaryKey = options.primaryKey || (() => null);
+    const before = tableRows(oldSql, primaryKey);
+    const after = tableRows(newSql, primaryKey);
+    const names = [...after.keys(), ...Array.from(before.keys()).filter(t => !after.has(t))];
+    const empty = { columns: [], rows: new Map() };
+
+    const tables = names.map((table) => {
+        const old = before.get(table) || empty;
+        const current = after.get(table) || empty;
+        const columns = [...current.columns, ...old.columns.filter(c => !current.columns.includes(c))];
+        const result = { table, added: [], removed: [], changed: [], unchanged: 0 };
+
+        for (const [key, row] of current.rows) {
+            const previous = old.rows.get(key);
+            if (!previous) {
+                result.added.push({ key, row });
+                continue;
+            }
+            const changes = columns
+                .map(column => ({ column, old: previous[column] || 'DEFAULT', new: row[column] || 'DEFAULT' }))
+                .filter(change => change.old !== change.new);
+            if (changes.length > 0) {
+                result.changed.push({ key, columns: changes });
+            } else {
+                result.unchanged++;
+            }
+        }
+        for (const [key, row] of old.rows) {
+            if (!current.rows.has(key)) result.removed.push({ key, row });
+        }
+        return result;
+    });
+
+    const total = field => tables.reduce((sum, t) => sum + t[field].length, 0);
+    return { tables, added: total('added'), removed: total('removed'), changed: total('changed') };
+}
+
+/**
+ * Primary keys recorded in the manifests next to seed files, for diffSeeds.
+ * Seeds without a readable manifest add none; later files win.
+ *
+ * @param {string[]} files - Seed files (sql format)
+ * @returns {Promise<function(string): (string[]|null)>} - table -> primary key columns
+ */
+async function manifestPrimaryKeys(files) {
+    const keys = new Map();
+    for (const file of files) {
+        let manifest;
+        try {
+            manifest = JSON.parse(await fs.readFile(format.manifestPath('sql', file), 'utf-8'));
+        } catch (e) {
+            continue;
+        }
+        for (const t of manifest.tables || []) {
+            if (Array.isArray(t.primaryKey) && t.primaryKey.length > 0) keys.set(t.table, t.primaryKey);
+        }
+    }
+    return table => keys.get(table) || null;
+}
+
+module.exports = {
+    diffSeeds,
+    manifestPrimaryKeys
+};
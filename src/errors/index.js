@@ -0,0 +1,89 @@
+/**
+ * Seedify Errors
+ *
+ * Errors thrown by the programmatic API (generate(), load(), loadConfig()). Every
+ * error is a SeedifyError with a stable `code`, so callers can branch on
+ * the kind of failure without matching messages:
+ *
+ *   ConfigError      SEEDIFY_CONFIG      bad config file, options or credentials setup
+ *   InputError       SEEDIFY_INPUT       missing or unusable captured queries
+ *   ConnectionError  SEEDIFY_CONNECTION  the database could not be reached or read
+ *   ExtractionError  SEEDIFY_EXTRACTION  Jailer or the native engine failed on a subject
+ *   LoadError        SEEDIFY_LOAD        a seed statement failed while loading (nothing was applied)
+ */
+
+class SeedifyError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {string} [details.hint] - What the user can do about it
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, details = {}) {
+        super(message, details.cause ? { cause: details.cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = 'SEEDIFY_ERROR';
+        this.hint = details.hint || null;
+    }
+}
+
+class ConfigError extends SeedifyError {
+    constructor(message, details) {
+        super(message, details);
+        this.code = 'SEEDIFY_CONFIG';
+    }
+}
+
+class InputError extends SeedifyError {
+    constructor(message, details) {
+        super(message, details);
+        this.code = 'SEEDIFY_INPUT';
+    }
+}
+
+class ConnectionError extends SeedifyError {
+    /**
+     * @param {string} message
+     * @param {Object} [details] - As SeedifyError, plus `stderr` of a failed Jailer run
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.code = 'SEEDIFY_CONNECTION';
+        this.stderr = details.stderr || null;
+    }
+}
+
+class ExtractionError extends SeedifyError {
+    /**
+     * @param {string} message
+     * @param {Object} [details] - As SeedifyError, plus the failed `subject` and Jailer's `stderr`
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.code = 'SEEDIFY_EXTRACTION';
+        this.subject = details.subject || null;
+        this.stderr = details.stderr || null;
+    }
+}
+
+class LoadError extends SeedifyError {
+    /**
+     * @param {string} message
+     * @param {Object} [details] - As SeedifyError, plus the failed `statement` and its `table`
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.code = 'SEEDIFY_LOAD';
+        this.statement = details.statement || null;
+        this.table = details.table || null;
+    }
+}
+
+module.exports = {
+    SeedifyError,
+    ConfigError,
+    InputError,
+    ConnectionError,
+    ExtractionError,
+    LoadError
+};
@@ -0,0 +1,604 @@
+/**
+ * Seedify Native Extractor
+ *
+ * Pure-Node alternative to Jailer built on pg. Reads foreign keys from
+ * pg_catalog, walks them from the subject rows and writes the rows as
+ * INSERT statements in dependency order. Produces the same SQL shape as
+ * Jailer's export, so the output goes through the same merge step.
+ *
+ * Foreign key cycles are broken per constraint: deferrable constraints are
+ * deferred (SET CONSTRAINTS ... DEFERRED), otherwise nullable columns are
+ * inserted as NULL and filled in by a follow-up UPDATE.
+ */
+
+const { quoteIdent, quoteQualified, quoteString, splitQualified } = require('../sql');
+
+// Column types rendered as bare numeric literals
+const NUMERIC_TYPES = new Set([
+    'smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision', 'oid'
+]);
+
+// Batch size for key lookups
+const FETCH_CHUNK_SIZE = 500;
+
+const COLUMNS_QUERY = `
+    SELECT n.nspname AS schema, c.relname AS table, a.attname AS column,
+           format_type(a.atttypid, a.atttypmod) AS type,
+           a.attnotnull AS not_null, a.attgenerated <> '' AS generated, a.attidentity AS identity,
+           pg_get_serial_sequence(format('%I.%I', n.nspname, c.relname), a.attname) AS sequence
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE c.relkind IN ('r', 'p') AND a.attnum > 0 AND NOT a.attisdropped
+      AND n.nspname NOT IN ('pg_catalog', 'information_schema') AND n.nspname NOT LIKE 'pg_toast%'
+    ORDER BY n.nspname, c.relname, a.attnum`;
+
+const CONSTRAINTS_QUERY = `
+    SELECT con.conname AS name, con.contype AS type, con.condeferrable AS deferrable,
+           n.nspname AS schema, c.relname AS table,
+           fn.nspname AS ref_schema, fc.relname AS ref_table,
+           ARRAY(SELECT a.attname FROM unnest(con.conkey) WITH ORDINALITY k(attnum, ord)
+                 JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+                 ORDER BY k.ord) AS columns,
+           ARRAY(SELECT a.attname FROM unnest(con.confkey) WITH ORDINALITY k(attnum, ord)
+                 JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+                 ORDER BY k.ord) AS ref_columns
+    FROM pg_constraint con
+    JOIN pg_class c ON c.oid = con.conrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    LEFT JOIN pg_class fc ON fc.oid = con.confrelid
+    LEFT JOIN pg_namespace fn ON fn.oid = fc.relnamespace
+    WHERE con.contype IN ('p', 'f')
+      AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+    ORDER BY n.nspname, c.relname, con.conname`;
+
+// Schemas unqualified names resolve to, in order (pg_catalog and temp schemas left out)
+const SEARCH_PATH_QUERY = `
+    SELECT s.schema FROM unnest(current_schemas(false)) WITH ORDINALITY AS s(schema, position)
+    ORDER BY s.position`;
+
+/**
+ * Build the schema model from catalog rows (see COLUMNS_QUERY / CONSTRAINTS_QUERY).
+ *
+ * @param {Array<Object>} columnRows - One row per column
+ * @param {Array<Object>} constraintRows - One row per primary or foreign key
+ * @returns {{tables: Map<string, Object>, foreignKeys: Array<Object>}}
+ */
+function buildSchema(columnRows, constraintRows) {
+    const tables = new Map();
+    const foreignKeys = [];
+
+    for (const row of columnRows) {
+        const key = `${row.schema}.${row.table}`;
+        if (!tables.has(key)) {
+            tables.set(key, {
+                key,
+                schema: row.schema,
+                name: row.table,
+                columns: [],
+                primaryKey: null,
+                foreignKeys: [],
+                referencedBy: []
+            });
+        }
+        tables.get(key).columns.push({
+            name: row.column,
+            type: row.type,
+            notNull: row.not_null,
+            generated: row.generated,
+            // 'a' for GENERATED ALWAYS AS IDENTITY, 'd' for BY DEFAULT, else null
+            identity: row.identity || null,
+            // Owned sequence of a serial or identity column
+            sequence: row.sequence || null
+        });
+    }
+
+    for (const row of constraintRows) {
+        const table = tables.get(`${row.schema}.${row.table}`);
+        if (!table) continue;
+
+        if (row.type === 'p') {
+            table.primaryKey = row.columns;
+            continue;
+        }
+
+        const parent = tables.get(`${row.ref_schema}.${row.ref_table}`);
+        if (!parent) continue;
+
+        const fk = {
+            name: row.name,
+            schema: row.schema,
+            child: table.key,
+            parent: parent.key,
+            columns: row.columns,
+            refColumns: row.ref_columns,
+            deferrable: row.deferrable
+        };
+        foreignKeys.push(fk);
+        table.foreignKeys.push(fk);
+        parent.referencedBy.push(fk);
+    }
+
+    return { tables, foreignKeys };
+}
+
+/**
+ * Load the schema model from a connected pg client, with the connection's
+ * search_path.
+ *
+ * @param {import('pg').Client} client - Connected client
+ * @returns {Promise<{tables: Map<string, Object>, foreignKeys: Array<Object>, searchPath: string[]}>}
+ */
+async function loadSchema(client) {
+    const columns = await client.query(COLUMNS_QUERY);
+    const constraints = await client.query(CONSTRAINTS_QUERY);
+    const searchPath = await client.query(SEARCH_PATH_QUERY);
+    return { ...buildSchema(columns.rows, constraints.rows), searchPath: searchPath.rows.map(r => r.schema) };
+}
+
+/**
+ * Matcher for a schema name pattern (--schema, --exclude-schema); `*` matches
+ * any run of characters, so `tenant_*` selects every tenant.
+ *
+ * @param {string} pattern
+ * @returns {function(string): boolean}
+ */
+function schemaMatcher(pattern) {
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return name => regex.test(name);
+}
+
+/**
+ * Test for schema names selected by include and exclude patterns (see
+ * schemaMatcher). Without include patterns every schema is included.
+ *
+ * @param {string[]} include
+ * @param {string[]} exclude
+ * @returns {function(string): boolean}
+ */
+function schemaSelector(include, exclude) {
+    const includes = include.map(schemaMatcher);
+    const excludes = exclude.map(schemaMatcher);
+    return name => (includes.length === 0 || includes.some(m => m(name))) && !excludes.some(m => m(name));
+}
+
+/**
+ * Restrict a schema model to some schemas. Foreign keys into the left-out
+ * schemas are dropped with their tables. The included schemas without `*`
+ * go to the front of the search_path, in the order given, so unqualified
+ * names resolve to the selected tenant first.
+ *
+ * @param {{tables: Map, foreignKeys: Array<Object>, searchPath?: string[]}} schema - Schema model
+ * @param {string[]} [include] - Schema patterns to keep (default: all)
+ * @param {string[]} [exclude] - Schema patterns to leave out
+ * @returns {{tables: Map, foreignKeys: Array<Object>, searchPath: string[]}}
+ */
+function selectSchemas(schema, include = [], exclude = []) {
+    const selected = schemaSelector(include, exclude);
+
+    const tables = new Map();
+    for (const [key, table] of schema.tables) {
+        if (!selected(table.schema)) continue;
+        tables.set(key, { ...table });
+    }
+    const foreignKeys = schema.foreignKeys.filter(fk => tables.has(fk.child) && tables.has(fk.parent));
+    const keptKeys = new Set(foreignKeys);
+    for (const table of tables.values()) {
+        table.foreignKeys = table.foreignKeys.filter(fk => keptKeys.has(fk));
+        table.referencedBy = table.referencedBy.filter(fk => keptKeys.has(fk));
+    }
+
+    const literal = include.filter(name => !name.includes('*'));
+    const searchPath = [...literal, ...(schema.searchPath || ['public']).filter(name => !literal.includes(name))]
+        .filter(selected);
+    return { ...schema, tables, foreignKeys, searchPath };
+}
+
+/**
+ * Resolve a table name from the analyzer ("users" or "public.users") to a schema key.
+ * Quoted parts (`public."Users"`) are unquoted; names are otherwise compared
+ * as stored in the catalog. Unqualified names prefer the first search_path
+ * schema that has the table (public when the search_path isn't known), then
+ * the only match.
+ *
+ * @param {{tables: Map, searchPath?: string[]}} schema - Schema model
+ * @returns {string|null}
+ */
+function resolveTableKey(schema, tableName) {
+    if (schema.tables.has(tableName)) return tableName;
+
+    const parts = splitQualified(tableName);
+    if (parts.schema) {
+        const key = `${parts.schema.text}.${parts.table.text}`;
+        return schema.tables.has(key) ? key : null;
+    }
+    const matches = Array.from(schema.tables.values()).filter(t => t.name === parts.table.text);
+    const searchPath = schema.searchPath || ['public'];
+    const preferred = searchPath.map(s => matches.find(t => t.schema === s)).find(Boolean)
+        || (matches.length === 1 ? matches[0] : null);
+    return preferred ? preferred.key : null;
+}
+
+/**
+ * Column type lookup for analyzer.generateJailerConditions, so condition
+ * literals are cast to the real column types.
+ *
+ * @param {{tables: Map}} schema - Schema model
+ * @returns {function(string, string): (string|null)} - (table, column) -> type
+ */
+function columnTypes(schema) {
+    return (tableName, columnName) => {
+        const key = resolveTableKey(schema, tableName);
+        const column = key && schema.tables.get(key).columns.find(c => c.name === columnName);
+        return column ? column.type : null;
+    };
+}
+
+/**
+ * Sequence lookup for seed.sequenceResets: the sequence owned by a serial
+ * or identity column.
+ *
+ * @param {{tables: Map}} schema - Schema model
+ * @returns {function(string, string): (string|null)} - (table, column) -> sequence name
+ */
+function columnSequences(schema) {
+    return (tableName, columnName) => {
+        const key = resolveTableKey(schema, tableName);
+        const column = key && schema.tables.get(key).columns.find(c => c.name === columnName);
+        return column ? column.sequence : null;
+    };
+}
+
+/**
+ * Primary key lookup for format.normalizeSeed.
+ *
+ * @param {{tables: Map}} schema - Schema model
+ * @returns {function(string): (string[]|null)} - table -> primary key columns
+ */
+function primaryKeys(schema) {
+    return (tableName) => {
+        const key = resolveTableKey(schema, tableName);
+        return key ? schema.tables.get(key).primaryKey : null;
+    };
+}
+
+/**
+ * Key lookup for seed.excludeRows: a table's schema key, primary key and
+ * foreign keys.
+ *
+ * @param {{tables: Map}} schema - Schema model
+ * @returns {function(string): ({key: string, primaryKey: string[]|null, foreignKeys: Array<Object>}|null)}
+ */
+function tableConstraints(schema) {
+    return (tableName) => {
+        const key = resolveTableKey(schema, tableName);
+        if (!key) return null;
+        const table = schema.tables.get(key);
+        return { key, primaryKey: table.primaryKey, foreignKeys: table.foreignKeys };
+    };
+}
+
+/**
+ * Foreign key lookup for analyzer.addWriteDependencies: the table and column
+ * a single-column foreign key references. The table is named the way a query
+ * would: unqualified when that resolves to it, schema-qualified otherwise.
+ *
+ * @param {{tables: Map}} schema - Schema model
+ * @returns {function(string, string): ({table: string, column: string}|null)} - (table, column) -> referenced column
+ */
+function columnReferences(schema) {
+    return (tableName, columnName) => {
+        const key = resolveTableKey(schema, tableName);
+        const fk = key && schema.tables.get(key).foreignKeys
+            .find(f => f.columns.length === 1 && f.columns[0] === columnName);
+        if (!fk) return null;
+
+        const parent = schema.tables.get(fk.parent);
+        return {
+            table: resolveTableKey(schema, parent.name) === parent.key ? parent.name : parent.key,
+            column: fk.refColumns[0]
+        };
+    };
+}
+
+/**
+ * Table rank lookup for format.readSeed: each table's position in the
+ * dependency order from planOrder.
+ *
+ * @param {{tables: Map}} schema - Schema model
+ * @param {{order: string[]}} plan - From planOrder
+ * @returns {function(string): (number|undefined)} - table -> rank
+ */
+function tableRanks(schema, plan) {
+    const ranks = new Map(plan.order.map((key, i) => [key, i]));
+    return (tableName) => {
+        const key = resolveTableKey(schema, tableName);
+        return key ? ranks.get(key) : undefined;
+    };
+}
+
+/**
+ * How a cycle-breaking foreign key is handled when loading.
+ */
+function breakMode(schema, fk) {
+    if (fk.deferrable) return 'defer';
+
+    const child = schema.tables.get(fk.child);
+    const nullable = fk.columns.every(c => !child.columns.find(col => col.name === c).notNull);
+    if (nullable && child.primaryKey) return 'update';
+
+    return 'none';
+}
+
+/**
+ * Order all tables so parents come before children, breaking FK cycles.
+ * Self-references always count as cycle edges, since the order rows are
+ * inserted in within one table is not controlled. Deterministic: ties are
+ * broken alphabetically.
+ *
+ * @param {{tables: Map, foreignKeys: Array}} schema
+ * @returns {{order: string[], breaks: Map<Object, string>, warnings: string[]}}
+ *   `breaks` maps cycle-breaking foreign keys to 'defer', 'update' or 'none'
+ */
+function planOrder(schema) {
+    const breaks = new Map();
+    const warnings = [];
+
+    const addBreak = (fk) => {
+        const mode = breakMode(schema, fk);
+        breaks.set(fk, mode);
+        if (mode === 'none') {
+            warnings.push(`Cannot break foreign key cycle on ${fk.child} (${fk.name}): ` +
+                'columns are NOT NULL and the constraint is not deferrable. ' +
+                'Load the seed with session_replication_role = replica.');
+        }
+    };
+
+    schema.foreignKeys.filter(fk => fk.child === fk.parent).forEach(addBreak);
+
+    const remaining = new Set(schema.tables.keys());
+    const order = [];
+
+    const pendingParents = (key) => schema.tables.get(key).foreignKeys
+        .filter(fk => !breaks.has(fk) && remaining.has(fk.parent) && fk.parent !== key);
+
+    while (remaining.size > 0) {
+        const ready = Array.from(remaining).filter(key => pendingParents(key).length === 0).sort();
+
+        if (ready.length === 0) {
+            // Cycle: break the first remaining table's edges to unprocessed parents
+            const victim = Array.from(remaining).sort()[0];
+            pendingParents(victim).forEach(addBreak);
+            continue;
+        }
+
+        for (const key of ready) {
+            order.push(key);
+            remaining.delete(key);
+        }
+    }
+
+    return { order, breaks, warnings };
+}
+
+/**
+ * Row source backed by a pg client. Values are fetched as text so every type
+ * round-trips exactly into the INSERT statements.
+ *
+ * @param {import('pg').Client} client - Connected client
+ */
+function createPgSource(client) {
+    const textTypes = { getTypeParser: () => value => value };
+
+    return {
+        async fetchWhere(table, condition) {
+            const result = await client.query({
+                text: `SELECT * FROM ${quoteQualified(table.schema, table.name)} WHERE ${condition}`,
+                types: textTypes
+            });
+            return result.rows;
+        },
+
+        async fetchByKeys(table, columns, tuples) {
+            const types = columns.map(c => table.columns.find(col => col.name === c).type);
+            const params = [];
+            let where;
+
+            if (columns.length === 1) {
+                params.push(tuples.map(t => t[0]));
+                where = `${quoteIdent(columns[0])} = ANY($1::${types[0]}[])`;
+            } else {
+                const rows = tuples.map(tuple => `(${tuple.map((value, i) => {
+                    params.push(value);
+                    return `$${params.length}::${types[i]}`;
+                }).join(', ')})`);
+                where = `(${columns.map(quoteIdent).join(', ')}) IN (${rows.join(', ')})`;
+            }
+
+            const result = await client.query({
+                text: `SELECT * FROM ${quoteQualified(table.schema, table.name)} WHERE ${where}`,
+                values: params,
+                types: textTypes
+            });
+            return result.rows;
+        }
+    };
+}
+
+/**
+ * Render a text value for a column as a SQL literal.
+ */
+function renderValue(value, column) {
+    if (value === null || value === undefined) return 'NULL';
+    if (NUMERIC_TYPES.has(column.type) && /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value)) {
+        return String(value);
+    }
+    return quoteString(value);
+}
+
+/**
+ * Extract one subject: its rows, every row they reference and, with
+ * allAssociations, every row referencing them.
+ *
+ * @param {Object} source - Row source (see createPgSource)
+ * @param {Object} schema - Schema model from loadSchema/buildSchema
+ * @param {Object} plan - Table order from planOrder
+ * @param {{table: string, condition: string}} subject - Jailer-style subject
+ * @param {{allAssociations?: boolean, rowLimit?: number}} [options]
+ * @returns {Promise<{sql: string, rows: number}>}
+ */
+async function extractSubject(source, schema, plan, subject, options = {}) {
+    const subjectKey = resolveTableKey(schema, subject.table);
+    if (!subjectKey) {
+        throw new Error(`Table not found in database: ${subject.table}`);
+    }
+
+    const rowsByTable = new Map(); // table key -> Map(row key -> row)
+    const requested = new Set(); // "table|columns|values" lookups already made
+    let rowCount = 0;
+    let frontier = [];
+
+    const addRows = (tableKey, rows) => {
+        const table = schema.tables.get(tableKey);
+        if (!rowsByTable.has(tableKey)) rowsByTable.set(tableKey, new Map());
+        const tableRows = rowsByTable.get(tableKey);
+
+        for (const row of rows) {
+            const identity = table.primaryKey
+                ? JSON.stringify(table.primaryKey.map(c => row[c]))
+                : JSON.stringify(row);
+            if (tableRows.has(identity)) continue;
+
+            tableRows.set(identity, row);
+            frontier.push({ table, row });
+            rowCount++;
+
+            if (options.rowLimit && rowCount > options.rowLimit) {
+                throw new Error(`Row limit of ${options.rowLimit} exceeded for subject ${subject.table}`);
+            }
+        }
+    };
+
+    addRows(subjectKey, await source.fetchWhere(schema.tables.get(subjectKey), subject.condition));
+
+    while (frontier.length > 0) {
+        const current = frontier;
+        frontier = [];
+
+        // Lookups needed by this round, grouped per (table, columns)
+        const lookups = new Map();
+        const need = (tableKey, columns, values) => {
+            if (values.some(v => v === null || v === undefined)) return;
+            const id = `${tableKey}|${columns.join(',')}`;
+            const requestKey = `${id}|${JSON.stringify(values)}`;
+            if (requested.has(requestKey)) return;
+            requested.add(requestKey);
+
+            if (!lookups.has(id)) lookups.set(id, { tableKey, columns, tuples: [] });
+            lookups.get(id).tuples.push(values);
+        };
+
+        for (const { table, row } of current) {
+            for (const fk of table.foreignKeys) {
+                need(fk.parent, fk.refColumns, fk.columns.map(c => row[c]));
+            }
+            if (options.allAssociations) {
+                for (const fk of table.referencedBy) {
+                    need(fk.child, fk.columns, fk.refColumns.map(c => row[c]));
+                }
+            }
+        }
+
+        for (const { tableKey, columns, tuples } of lookups.values()) {
+            const table = schema.tables.get(tableKey);
+            for (let i = 0; i < tuples.length; i += FETCH_CHUNK_SIZE) {
+                addRows(tableKey, await source.fetchByKeys(table, columns, tuples.slice(i, i + FETCH_CHUNK_SIZE)));
+            }
+        }
+    }
+
+    return { sql: renderSubject(schema, plan, subject, rowsByTable), rows: rowCount };
+}
+
+/**
+ * Render extracted rows as SQL in plan order, applying the cycle breaks.
+ */
+function renderSubject(schema, plan, subject, rowsByTable) {
+    const prelude = [];
+    const inserts = [];
+    const updates = [];
+
+    for (const tableKey of plan.order) {
+        const rows = rowsByTable.get(tableKey);
+        if (!rows || rows.size === 0) continue;
+
+        const table = schema.tables.get(tableKey);
+        const columns = table.columns.filter(c => !c.generated);
+        const qualified = quoteQualified(table.schema, table.name);
+
+        // Columns inserted as NULL and set afterwards
+        const deferredColumns = new Set();
+        const updateKeys = [];
+        for (const fk of table.foreignKeys) {
+            const mode = plan.breaks.get(fk);
+            if (mode === 'defer') {
+                prelude.push(`SET CONSTRAINTS ${quoteQualified(fk.schema, fk.name)} DEFERRED;`);
+            } else if (mode === 'update') {
+                fk.columns.forEach(c => deferredColumns.add(c));
+                updateKeys.push(fk.columns);
+            }
+        }
+
+        const tuples = [];
+        for (const row of rows.values()) {
+            tuples.push(`(${columns.map(c => (deferredColumns.has(c.name)
+                ? 'NULL'
+                : renderValue(row[c.name], c))).join(', ')})`);
+
+            for (const fkColumns of updateKeys) {
+                if (fkColumns.every(c => row[c] === null)) continue;
+                const column = name => table.columns.find(c => c.name === name);
+                const set = fkColumns.map(c => `${quoteIdent(c)} = ${renderValue(row[c], column(c))}`).join(', ');
+                const where = table.primaryKey.map(c => `${quoteIdent(c)} = ${renderValue(row[c], column(c))}`).join(' AND ');
+                updates.push(`UPDATE ${qualified} SET ${set} WHERE ${where};`);
+            }
+        }
+
+        // GENERATED ALWAYS identity columns only take the extracted ids with OVERRIDING
+        const overriding = columns.some(c => c.identity === 'a') ? ' OVERRIDING SYSTEM VALUE' : '';
+        inserts.push(`INSERT INTO ${qualified}(${columns.map(c => quoteIdent(c.name)).join(', ')})${overriding} VALUES\n    ${tuples.join(',\n    ')};`);
+    }
+
+    const header = [
+        '-- Generated by seedify native extractor',
+        // A line break in a captured value would end the comment and turn the rest into SQL
+        `-- Subject: ${subject.table} WHERE ${subject.condition}`.replace(/[\r\n]+/g, ' ')
+    ];
+    if (prelude.length > 0) {
+        header.push('-- Deferred constraints require loading inside a transaction');
+    }
+
+    return [
+        header.join('\n'),
+        ...Array.from(new Set(prelude)),
+        ...inserts,
+        ...updates
+    ].join('\n\n') + '\n';
+}
+
+module.exports = {
+    buildSchema,
+    loadSchema,
+    planOrder,
+    resolveTableKey,
+    schemaSelector,
+    selectSchemas,
+    columnTypes,
+    columnSequences,
+    tableRanks,
+    primaryKeys,
+    tableConstraints,
+    columnReferences,
+    createPgSource,
+    extractSubject
+};
@@ -0,0 +1,600 @@
+/**
+ * Seedify Output Formats
+ *
+ * Writes a seed in the format a stack loads fixtures with. Every format is
+ * rendered from the finished seed SQL, after masking and sequence resets,
+ * so all of them carry the same rows:
+ *
+ *   sql        the seed as-is (the default)
+ *   copy       COPY ... FROM stdin blocks, for psql -f
+ *   json       a directory with one array of row objects per table
+ *   csv        a directory with one CSV file (with header) per table
+ *   knex       a knex seed file
+ *   sequelize  a sequelize-cli seeder
+ *   prisma     a seed script for `prisma db seed`
+ *
+ * Each format comes with a manifest listing the tables in dependency order,
+ * with the statements to run before and after the rows (deferred
+ * constraints, cycle-breaking UPDATEs, setval()s).
+ *
+ * Before that, normalizeSeed puts the seed SQL in a stable form, so
+ * regenerating it only changes the lines of rows that changed.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const seed = require('../seed');
+const { ConfigError } = require('../errors');
+const { quoteIdent, quoteString } = require('../sql');
+
+// Format -> default output path (see resolveOutputFile), the extension of
+// per-test seeds and whether the output is a directory
+const FORMATS = {
+    sql: { output: './seed.sql', extension: '.sql', directory: false },
+    copy: { output: './seed.copy.sql', extension: '.copy.sql', directory: false },
+    json: { output: './fixtures', extension: '', directory: true },
+    csv: { output: './csv', extension: '', directory: true },
+    knex: { output: './seed.knex.js', extension: '.knex.js', directory: false },
+    sequelize: { output: './seed.sequelize.js', extension: '.sequelize.js', directory: false },
+    prisma: { output: './seed.prisma.js', extension: '.prisma.js', directory: false }
+};
+
+/**
+ * Read a seed into tables of rows, ordered by `rank` (parents first) and
+ * otherwise by first appearance. Statements other than INSERTs go to
+ * `before` when they precede the first INSERT and to `after` otherwise.
+ * A table inserted with different column lists gets their union, with
+ * DEFAULT for the columns a statement left out.
+ *
+ * @param {string} sql - Seed SQL
+ * @param {function(string): (number|undefined)} [rank] - Table name -> position in
+ *   dependency order (see extractor.tableRanks)
+ * @returns {{tables: Array<{table: string, columns: string[], rows: string[][], overriding: string|null}>,
+ *   before: string[], after: string[]}} - Names are unquoted; rows hold SQL literals.
+ *   `overriding` keeps an INSERT's OVERRIDING SYSTEM/USER VALUE clause
+ */
+function readSeed(sql, rank = () => undefined) {
+    const byTable = new Map();
+    const before = [];
+    const after = [];
+
+    for (const statement of seed.splitStatements(sql)) {
+        const insert = seed.parseInsert(statement);
+        if (!insert) {
+            (byTable.size === 0 ? before : after).push(`${statement};`);
+            continue;
+        }
+
+        const table = seed.unquoteName(insert.table);
+        if (!byTable.has(table)) byTable.set(table, { table, columns: [], rows: [], overriding: null });
+        const entry = byTable.get(table);
+        entry.overriding = entry.overriding || insert.overriding;
+
+        const columns = insert.columns.map(c => seed.unquoteName(c));
+        columns.filter(c => !entry.columns.includes(c)).forEach((c) => {
+            entry.columns.push(c);
+            entry.rows.forEach(row => row.push('DEFAULT'));
+        });
+
+        for (const row of insert.rows) {
+            const values = seed.splitTopLevel(row.slice(1, -1));
+            entry.rows.push(entry.columns.map((c) => {
+                const index = columns.indexOf(c);
+                return index === -1 ? 'DEFAULT' : values[index];
+            }));
+        }
+    }
+
+    const position = (entry) => {
+        const r = rank(entry.table);
+        return r === undefined || r === null ? Infinity : r;
+    };
+    const tables = Array.from(byTable.values())
+        .map((entry, index) => ({ entry, index, rank: position(entry) }))
+        .sort((a, b) => (a.rank === b.rank ? a.index - b.index : a.rank - b.rank))
+        .map(t => t.entry);
+
+    return { tables, before, after };
+}
+
+/**
+ * Canonical spelling of a literal: keywords upper case, strings quoted by
+ * quoteString, casts lower case. Other expressions are left alone.
+ */
+function normalizeLiteral(literal) {
+    if (/^(null|true|false|default)$/i.test(literal)) return literal.toUpperCase();
+
+    const parsed = seed.parseLiteral(literal);
+    if (!parsed) return literal;
+    if (parsed.number) return parsed.value;
+    return `${quoteString(parsed.value)}${parsed.cast.replace(/\s+/g, ' ').trim().toLowerCase()}`;
+}
+
+/**
+ * Sort key for a literal: NULL first, then numbers by value, then strings.
+ */
+function sortKey(literal) {
+    if (/^null$/i.test(literal)) return [0, 0];
+    const parsed = seed.parseLiteral(literal);
+    if (parsed && parsed.number) {
+        return [1, /^-?\d+$/.test(parsed.value) ? BigInt(parsed.value) : Number(parsed.value)];
+    }
+    return [2, parsed ? parsed.value : literal];
+}
+
+function compareLiterals(a, b) {
+    const [rankA, valueA] = sortKey(a);
+    const [rankB, valueB] = sortKey(b);
+    if (rankA !== rankB) return rankA - rankB;
+    if (valueA < valueB) return -1;
+    if (valueA > valueB) return 1;
+    return 0;
+}
+
+/**
+ * Rewrite a seed so the same rows always produce the same text, and a change
+ * to the data shows up as a change to the lines of its rows: one INSERT per
+ * table in dependency order, one row per line sorted by primary key,
+ * canonical literals, and cycle-breaking UPDATEs sorted.
+ *
+ * @param {string} sql - Seed SQL
+ * @param {Object} [options]
+ * @param {function(string): (number|undefined)} [options.rank] - Dependency order (see readSeed)
+ * @param {function(string): (string[]|null)} [options.primaryKey] - Table -> primary key
+ *   columns (see extractor.primaryKeys). Without one, rows are sorted by an `id`
+ *   column, else by all their columns.
+ * @param {string[]} [options.header] - Comment lines to add below the seed's own header
+ * @returns {string}
+ */
+function normalizeSeed(sql, options = {}) {
+    const model = readSeed(sql, options.rank);
+    const primaryKey = options.primaryKey || (() => null);
+
+    const header = (sql.match(/^(?:--[^\n]*\n|\s*\n)*/) || [''])[0]
+        .split('\n')
+        .filter(line => line.startsWith('--'))
+        .concat((options.header || []).map(line => `-- ${line}`));
+
+    const inserts = model.tables.map(({ table, columns, rows, overriding }) => {
+        const keyColumns = (primaryKey(table) || (columns.includes('id') ? ['id'] : columns))
+            .map(c => columns.indexOf(c))
+            .filter(i => i !== -1);
+        const normalized = rows.map(row => row.map(normalizeLiteral));
+        normalized.sort((a, b) => {
+            for (const i of keyColumns) {
+                const order = compareLiterals(a[i], b[i]);
+                if (order !== 0) return order;
+            }
+            const textA = a.join(', ');
+            const textB = b.join(', ');
+            return textA < textB ? -1 : textA > textB ? 1 : 0;
+        });
+
+        return `${insertHead(table, columns, overriding)}\n    ${normalized.map(row => `(${row.join(', ')})`).join(',\n    ')};`;
+    });
+
+    const isUpdate = statement => /^update\s/i.test(statement);
+    const after = [
+        ...model.after.filter(isUpdate).sort(),
+        ...model.after.filter(statement => !isUpdate(statement))
+    ];
+
+    const body = [...model.before, ...inserts, ...after].join('\n\n');
+    return `${header.length > 0 ? `${header.join('\n')}\n\n` : ''}${body}\n`;
+}
+
+/**
+ * Convert a SQL literal to a JavaScript value. Numbers that survive the
+ * round trip become numbers, TRUE/FALSE booleans, json and jsonb strings
+ * (with `parseJson`) their parsed value; other strings keep PostgreSQL's
+ * text form. DEFAULT and expressions come back as `{expression}`.
+ *
+ * @param {string} literal
+ * @param {{parseJson?: boolean}} [options]
+ * @returns {{value: *}|{expression: string}}
+ */
+function literalValue(literal, options = {}) {
+    if (/^null$/i.test(literal)) return { value: null };
+    if (/^true$/i.test(literal)) return { value: true };
+    if (/^false$/i.test(literal)) return { value: false };
+
+    const parsed = seed.parseLiteral(literal);
+    if (!parsed) return { expression: literal };
+
+    if (parsed.number) {
+        const number = Number(parsed.value);
+        return { value: String(number) === parsed.value ? number : parsed.value };
+    }
+    if (options.parseJson && /^::jsonb?$/i.test(parsed.cast.trim())) {
+        try {
+            return { value: JSON.parse(parsed.value) };
+        } catch {
+            return { value: parsed.value };
+        }
+    }
+    return { value: parsed.value };
+}
+
+/**
+ * Value in PostgreSQL's text input form, as COPY and CSV carry it, or null
+ * for NULL. Undefined when the literal is DEFAULT or an expression.
+ */
+function textValue(literal) {
+    if (/^null$/i.test(literal)) return null;
+    if (/^true$/i.test(literal)) return 't';
+    if (/^false$/i.test(literal)) return 'f';
+    const parsed = seed.parseLiteral(literal);
+    return parsed ? parsed.value : undefined;
+}
+
+/**
+ * Escape a value for COPY's text format.
+ */
+function copyText(value) {
+    if (value === null) return '\\N';
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/\t/g, '\\t')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r');
+}
+
+/**
+ * Quote a CSV field when needed. NULL is an empty field and the empty string
+ * is quoted, as COPY ... CSV reads them.
+ */
+function csvField(value) {
+    if (value === null) return '';
+    if (value === '' || /[",\n\r]/.test(value) || value.trim() !== value) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+}
+
+/**
+ * File name for a table in a directory format.
+ */
+function tableFileName(table, extension) {
+    return `${table.replace(/[\\/:*?"<>|]/g, '_')}.${extension}`;
+}
+
+/**
+ * Render the COPY format. Rows with DEFAULT or expressions can't be copied
+ * and stay INSERTs.
+ */
+function renderCopy(model) {
+    const blocks = [];
+
+    for (const { table, columns, rows, overriding } of model.tables) {
+        const copyable = [];
+        const inserts = [];
+        for (const row of rows) {
+            const values = row.map(textValue);
+            if (values.includes(undefined)) {
+                inserts.push(row);
+            } else {
+                copyable.push(values);
+            }
+        }
+
+        const name = quoteName(table);
+        const columnList = columns.map(c => quoteIdent(c)).join(', ');
+        if (copyable.length > 0) {
+            blocks.push([
+                `COPY ${name} (${columnList}) FROM stdin;`,
+                ...copyable.map(values => values.map(copyText).join('\t')),
+                '\\.'
+            ].join('\n'));
+        }
+        if (inserts.length > 0) {
+            blocks.push(`${insertHead(table, columns, overriding)}\n    ${inserts.map(r => `(${r.join(', ')})`).join(',\n    ')};`);
+        }
+    }
+
+    return [
+        '-- Generated by seedify (COPY format). Load with: psql -v ON_ERROR_STOP=1 -1 -f <file>',
+        ...model.before,
+        ...blocks,
+        ...model.after
+    ].join('\n\n') + '\n';
+}
+
+/**
+ * Quote a catalog name (possibly schema-qualified) for SQL.
+ */
+function quoteName(name) {
+    return name.split('.').map(quoteIdent).join('.');
+}
+
+/**
+ * `INSERT INTO table(columns) [OVERRIDING ... VALUE] VALUES`
+ */
+function insertHead(table, columns, overriding) {
+    const clause = overriding ? ` OVERRIDING ${overriding} VALUE` : '';
+    return `INSERT INTO ${quoteName(table)}(${columns.map(c => quoteIdent(c)).join(', ')})${clause} VALUES`;
+}
+
+/**
+ * Rows as JavaScript source, for the seed modules: `raw(...)` wraps DEFAULT
+ * and expressions so the module can hand them to its query builder.
+ */
+function rowsSource(model) {
+    const tables = model.tables.map(({ table, columns, rows }) => {
+        const objects = rows.map((row) => {
+            const fields = columns.map((column, i) => {
+                const converted = literalValue(row[i]);
+                const value = 'expression' in converted
+                    ? `raw(${JSON.stringify(converted.expression)})`
+                    : JSON.stringify(converted.value);
+                return `${JSON.stringify(column)}: ${value}`;
+            });
+            return `        { ${fields.join(', ')} }`;
+        });
+        return `    ${JSON.stringify(table)}: [\n${objects.join(',\n')}\n    ]`;
+    });
+    return `const rows = raw => ({\n${tables.join(',\n')}\n});`;
+}
+
+/**
+ * Shared head of the seed modules: table order and statements.
+ */
+function moduleHead(model, title) {
+    return [
+        `// Generated by seedify (${title}). Tables are in dependency order.`,
+        '',
+        `const tables = ${JSON.stringify(model.tables.map(t => t.table), null, 4)};`,
+        '',
+        `const before = ${JSON.stringify(model.before, null, 4)};`,
+        '',
+        `const after = ${JSON.stringify(model.after, null, 4)};`,
+        ''
+    ].join('\n');
+}
+
+function renderKnex(model) {
+    return `${moduleHead(model, 'knex seed')}
+${rowsSource(model)}
+
+exports.tables = tables;
+
+exports.seed = async function (knex) {
+    const data = rows(sql => knex.raw(sql));
+    await knex.transaction(async (trx) => {
+        for (const statement of before) await trx.raw(statement);
+        for (const table of tables) {
+            for (let i = 0; i < data[table].length; i += 500) {
+                await trx(table).insert(data[table].slice(i, i + 500));
+            }
+        }
+        for (const statement of after) await trx.raw(statement);
+    });
+};
+`;
+}
+
+function renderSequelize(model) {
+    return `${moduleHead(model, 'sequelize-cli seeder')}
+${rowsSource(model)}
+
+// "schema.table" -> { schema, tableName }
+const tableRef = (table) => {
+    const dot = table.indexOf('.');
+    return dot === -1 ? table : { schema: table.slice(0, dot), tableName: table.slice(dot + 1) };
+};
+
+module.exports = {
+    tables,
+
+    async up(queryInterface, Sequelize) {
+        const data = rows(sql => Sequelize.literal(sql));
+        await queryInterface.sequelize.transaction(async (transaction) => {
+            for (const statement of before) await queryInterface.sequelize.query(statement, { transaction });
+            for (const table of tables) {
+                await queryInterface.bulkInsert(tableRef(table), data[table], { transaction });
+            }
+            for (const statement of after) await queryInterface.sequelize.query(statement, { transaction });
+        });
+    },
+
+    // Empties the seeded tables, children first
+    async down(queryInterface) {
+        await queryInterface.sequelize.transaction(async (transaction) => {
+            for (const table of [...tables].reverse()) {
+                await queryInterface.bulkDelete(tableRef(table), null, { transaction });
+            }
+        });
+    }
+};
+`;
+}
+
+function renderPrisma(model, sql) {
+    const statements = seed.splitStatements(sql).map(s => `${s};`);
+    return `${moduleHead(model, 'Prisma seed script')}
+// Prisma models may be named differently from their tables, so the seed
+// runs as SQL
+const statements = ${JSON.stringify(statements, null, 4)};
+
+async function seed(prisma) {
+    await prisma.$transaction(async (tx) => {
+        for (const statement of statements) await tx.$executeRawUnsafe(statement);
+    });
+}
+
+module.exports = { tables, before, after, statements, seed };
+
+// \`prisma db seed\` runs this file
+if (require.main === module) {
+    // eslint-disable-next-line global-require
+    const { PrismaClient } = require('@prisma/client');
+    const prisma = new PrismaClient();
+    seed(prisma)
+        .catch((e) => {
+            console.error(e);
+            process.exitCode = 1;
+        })
+        .finally(() => prisma.$disconnect());
+}
+`;
+}
+
+/**
+ * Manifest file for an output: `manifest.json` inside a directory format,
+ * `<name>.manifest.json` next to a file.
+ */
+function manifestPath(format, output) {
+    if (FORMATS[format].directory) return path.join(output, 'manifest.json');
+    const base = path.basename(output);
+    const dot = base.lastIndexOf('.');
+    return path.join(path.dirname(output), `${dot > 0 ? base.slice(0, dot) : base}.manifest.json`);
+}
+
+/**
+ * Make a directory ready for a json or csv output. The files an earlier
+ * seedify run listed in its manifest are removed; anything else is left
+ * alone, and a non-empty directory without such a manifest is refused.
+ *
+ * @throws {ConfigError}
+ */
+async function prepareDirectory(output) {
+    let entries;
+    try {
+        entries = await fs.readdir(output);
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw new ConfigError(`Cannot write to ${output}: ${e.message}`, { cause: e });
+        await fs.mkdir(output, { recursive: true });
+        return;
+    }
+    if (entries.length === 0) return;
+
+    let manifest = null;
+    try {
+        manifest = JSON.parse(await fs.readFile(path.join(output, 'manifest.json'), 'utf-8'));
+    } catch (e) {
+        // No manifest, or not one of ours
+    }
+    if (!manifest || manifest.generator !== 'seedify') {
+        throw new ConfigError(`${output} is not empty and holds no seedify manifest`, {
+            hint: 'Pick an empty or new directory with -o, or remove its contents yourself'
+        });
+    }
+
+    // Only plain file names, so a manifest can't point outside the directory
+    const files = (manifest.tables || [])
+        .map(t => t.file)
+        .filter(file => typeof file === 'string' && file === path.basename(file) && file !== '..');
+    await Promise.all([...files, 'manifest.json'].map(file => fs.rm(path.join(output, file), { force: true })));
+}
+
+/**
+ * Write a seed in a format, with its manifest.
+ *
+ * @param {string} format - One of FORMATS
+ * @param {string} sql - Seed SQL
+ * @param {string} output - Output file, or directory for json and csv
+ * @param {Object} [options]
+ * @param {function(string): (number|undefined)} [options.rank] - Dependency order (see readSeed)
+ * @param {function(string): (string[]|null)} [options.primaryKey] - Table -> primary key
+ *   columns, recorded in the manifest for `seedify diff`
+ * @returns {Promise<{output: string, manifest: string, tables: Array<{table: string, rows: number}>,
+ *   warnings: string[]}>}
+ * @throws {ConfigError} When a json or csv directory holds files seedify didn't write
+ */
+async function writeFormat(format, sql, output, options = {}) {
+    if (!FORMATS[format]) throw new Error(`Unknown format: ${format}`);
+
+    const model = readSeed(sql, options.rank);
+    const warnings = [];
+    const primaryKey = options.primaryKey || (() => null);
+    const tables = model.tables.map(t => ({ table: t.table, rows: t.rows.length, columns: t.columns, primaryKey: primaryKey(t.table) }));
+
+    if (FORMATS[format].directory) {
+        await prepareDirectory(output);
+    } else {
+        await fs.mkdir(path.dirname(output), { recursive: true });
+    }
+
+    if (format === 'json' || format === 'csv') {
+        for (const [t, { table, columns, rows }] of model.tables.entries()) {
+            const file = tableFileName(table, format);
+            let unrepresentable = 0;
+            let content;
+
+            if (format === 'json') {
+                const objects = rows.map(row => Object.fromEntries(columns.flatMap((column, i) => {
+                    const converted = literalValue(row[i], { parseJson: true });
+                    if (!('expression' in converted)) return [[column, converted.value]];
+                    // DEFAULT: leave the column out
+                    if (/^default$/i.test(row[i])) return [];
+                    unrepresentable++;
+                    return [[column, converted.expression]];
+                })));
+                content = `${JSON.stringify(objects, null, 2)}\n`;
+            } else {
+                // COPY reads an empty field as NULL, not the default: columns
+                // that are DEFAULT in every row are left out instead
+                const isDefault = literal => /^default$/i.test(literal);
+                const kept = columns.map((column, i) => i).filter(i => rows.length === 0 || !rows.every(row => isDefault(row[i])));
+                let defaults = 0;
+                const lines = rows.map(row => kept.map((i) => {
+                    const value = textValue(row[i]);
+                    if (value !== undefined) return csvField(value);
+                    if (isDefault(row[i])) {
+                        defaults++;
+                        return '';
+                    }
+                    unrepresentable++;
+                    return csvField(row[i]);
+                }).join(','));
+                content = `${[kept.map(i => csvField(columns[i])).join(','), ...lines].join('\n')}\n`;
+                tables[t].columns = kept.map(i => columns[i]);
+
+                if (defaults > 0) {
+                    warnings.push(`${table}: ${defaults} DEFAULT value(s) written as empty fields in ${file}, which COPY reads as NULL`);
+                }
+            }
+
+            if (unrepresentable > 0) {
+                warnings.push(`${table}: ${unrepresentable} SQL expression value(s) written as their SQL text in ${file}`);
+            }
+            tables[t].file = file;
+            await fs.writeFile(path.join(output, file), content);
+        }
+    } else {
+        const render = {
+            sql: () => sql,
+            copy: () => renderCopy(model),
+            knex: () => renderKnex(model),
+            sequelize: () => renderSequelize(model),
+            prisma: () => renderPrisma(model, sql)
+        }[format];
+        await fs.writeFile(output, render());
+    }
+
+    const manifest = manifestPath(format, output);
+    await fs.writeFile(manifest, `${JSON.stringify({
+        generator: 'seedify',
+        format,
+        tables,
+        before: model.before,
+        after: model.after
+    }, null, 2)}\n`);
+
+    return {
+        output,
+        manifest,
+        tables: tables.map(t => ({ table: t.table, rows: t.rows })),
+        warnings
+    };
+}
+
+module.exports = {
+    FORMATS,
+    readSeed,
+    normalizeSeed,
+    normalizeLiteral,
+    literalValue,
+    manifestPath,
+    writeFormat
+};
@@ -0,0 +1,1142 @@
+/**
+ * Seedify Generate
+ *
+ * The `seedify generate` pipeline as a library function:
+ *
+ *   const { generate } = require('seedify');
+ *   const result = await generate({ input: '.seedify/queries.jsonl', db: { name: 'app', user: 'postgres' } });
+ *
+ * Settings use the config file's vocabulary (see ../config) and are layered
+ * over seedify.config.js / .seedifyrc.json like command-line flags are.
+ * Failures throw the typed errors from ../errors instead of exiting, and
+ * progress goes to an optional logger with the CLI's interface.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+
+const analyzer = require('../analyzer');
+const seed = require('../seed');
+const extractor = require('../extractor');
+const results = require('../results');
+const credentials = require('../credentials');
+const config = require('../config');
+const mask = require('../mask');
+const format = require('../format');
+const cache = require('../cache');
+const validate = require('../validate');
+const { quoteQualified, splitQualified } = require('../sql');
+const { ConfigError, InputError, ConnectionError, ExtractionError } = require('../errors');
+
+const JAILER_HOME = process.env.JAILER_HOME || path.join(os.homedir(), '.seedify', 'jailer');
+
+// Settings generate() takes besides those of the config file
+const API_SETTINGS = ['config', 'profile', 'passwordPrompt', 'jailerHome', 'logger'];
+
+const SILENT_LOGGER = {
+    begin() { },
+    stepStart() { },
+    info() { },
+    success() { },
+    cmd() { }
+};
+
+/**
+ * Fill in the logger methods a caller left out.
+ */
+function createLogger(logger) {
+    if (!logger) return SILENT_LOGGER;
+    const wrapped = {};
+    for (const method of Object.keys(SILENT_LOGGER)) {
+        wrapped[method] = (...args) => (typeof logger[method] === 'function' ? logger[method](...args) : undefined);
+    }
+    return wrapped;
+}
+
+/**
+ * Resolve generate() settings to the flat options the pipeline uses:
+ * defaults (and the DB_* variables), then the config file and profile,
+ * then the settings themselves.
+ *
+ * @param {Object} [settings] - See generate()
+ * @param {Object} [env] - Environment variables (default: process.env)
+ * @returns {Object} - Options keyed like `inputFile`, `dbHost`, ..., plus `configFile` and `profile`
+ */
+function resolveOptions(settings = {}, env = process.env) {
+    const overrides = {};
+    for (const [key, value] of Object.entries(settings)) {
+        if (!API_SETTINGS.includes(key) && value !== undefined) overrides[key] = value;
+    }
+    config.validateSettings(overrides, 'generate() settings');
+    if (overrides.db) overrides.db = config.expandDbUrl(overrides.db);
+
+    const loaded = settings.config === false
+        ? { file: null, profile: null, config: {} }
+        : config.loadConfig({ file: settings.config, profile: settings.profile, env });
+
+    const options = {
+        inputFile: null,
+        outputFile: './seed.sql',  // Will be placed in .seedify directory
+        format: 'sql',
+        // Unset values fall back to the service file, PG* variables and ~/.pgpass
+        dbHost: env.DB_HOST || null,
+        dbPort: env.DB_PORT || null,
+        dbName: env.DB_NAME || null,
+        dbUser: env.DB_USER || null,
+        dbPassword: env.DB_PASSWORD || null,
+        dbService: null,
+        localScope: false,
+        allAssociations: false,
+        rowLimit: null,
+        // Unset: Jailer, or the native engine when there is a password (see generateByExtraction)
+        engine: null,
+        fromResults: false,
+        groupBy: null,
+        resetSequences: true,
+        cache: true,
+        validate: false,
+        schemas: null,
+        excludeSchemas: null,
+        debug: false,
+        tables: null,
+        mask: null,
+        ...config.toGenerateOptions(config.deepMerge(loaded.config, overrides)),
+        passwordPrompt: Boolean(settings.passwordPrompt),
+        configFile: loaded.file,
+        profile: loaded.profile
+    };
+
+    // Without an explicit output, each format has its own default
+    if (options.outputFile === './seed.sql') {
+        options.outputFile = format.FORMATS[options.format].output;
+    }
+    return options;
+}
+
+/**
+ * Absolute output path. A path starting with ./ (the default ./seed.sql)
+ * is placed in the .seedify directory.
+ */
+function resolveOutputFile(outputFile, seedifyDir) {
+    return outputFile.startsWith('./')
+        ? path.join(seedifyDir, path.basename(outputFile))
+        : path.resolve(outputFile);
+}
+
+/**
+ * File name for a per-test / per-file seed: a readable slug plus a short hash,
+ * so tests with similar titles don't collide.
+ */
+function seedFileName(group) {
+    const label = group.test || (group.file ? path.basename(group.file) : 'outside-tests');
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+    const hash = crypto
+        .createHash('sha1')
+        .update(JSON.stringify([group.file, group.test]))
+        .digest('hex')
+        .slice(0, 8);
+    return `${slug || 'test'}-${hash}`;
+}
+
+/**
+ * Run a Jailer CLI command. Arguments go straight to the process, not
+ * through a shell, so quotes and metacharacters in them are harmless.
+ * Throws with `stderr` attached when Jailer fails.
+ */
+function runJailer(jailerPath, args, { cwd, debug, secret, log }) {
+    log.cmd(jailerPath, args, [secret]);
+    const result = spawnSync(jailerPath, args, {
+        cwd,
+        stdio: debug ? 'inherit' : 'pipe'
+    });
+
+    if (result.error) throw result.error;
+    if (result.status !== 0) {
+        const error = new Error(`Jailer exited with code ${result.status}`);
+        error.stderr = result.stderr;
+        throw error;
+    }
+}
+
+/**
+ * Check that the captured queries exist.
+ */
+async function resolveInput(options) {
+    if (!options.inputFile) {
+        throw new InputError('Queries file required', {
+            hint: 'Pass it as the first argument, or set `input` in seedify.config.js'
+        });
+    }
+
+    const inputFiles = await analyzer.resolveQueryFiles(options.inputFile).catch(() => []);
+    if (inputFiles.length === 0) {
+        throw new InputError(`Queries file not found: ${options.inputFile}`);
+    }
+    return inputFiles;
+}
+
+/**
+ * Seed header line naming the captured queries and their sha256, so a seed
+ * can be traced back to the capture it was generated from.
+ */
+async function queriesHeader(options, inputFiles) {
+    const hash = crypto.createHash('sha256');
+    for (const file of [...inputFiles].sort()) {
+        hash.update(await fs.readFile(file));
+    }
+    return `Queries: ${path.relative(process.cwd(), options.inputFile) || options.inputFile} (sha256 ${hash.digest('hex')})`;
+}
+
+/**
+ * Generate a seed from captured queries.
+ *
+ * @param {Object} [settings] - Config file settings (input, output, db, engine, tables, ...),
+ *   layered over the config file like command-line flags
+ * @param {string|false} [settings.config] - Config file (default: found in cwd; false: none)
+ * @param {string} [settings.profile] - Config profile
+ * @param {boolean} [settings.passwordPrompt] - Always prompt for the password
+ * @param {string} [settings.jailerHome] - Jailer installation (default: JAILER_HOME or ~/.seedify/jailer)
+ * @param {Object} [settings.logger] - Progress logger: begin(title, steps), stepStart, info,
+ *   success and cmd(file, args, secrets); missing methods are skipped
+ * @returns {Promise<{mode: string, format: string, output: string, files: Array<{path: string,
+ *   manifest: string, test: string|null, file: string|null, rows: number}>, tables: Array<{table: string, rows: number}>,
+ *   subjects: Array<{table: string, condition: string, rows: number, newRows: number}>,
+ *   sequences: Array<{table: string, column: string, sequence: string, value: string}>,
+ *   masked: Array<{table: string, column: string, strategy: string, rows: number}>,
+ *   cache: {dataModel: boolean, reused: number, exported: number}|null,
+ *   validation: {rejected: Array<Object>, corrected: Array<Object>}|null,
+ *   excluded: Array<{table: string, rows: number}>,
+ *   rows: number, warnings: string[], configFile: string|null, profile: string|null}>}
+ *   `mode` is 'extract' or 'results'; `files[0]` is the combined seed, followed by
+ *   per-test or per-file seeds, each in `format` with its manifest. `sequences` lists the setval()s ending the seed,
+ *   `masked` the columns the `mask` rules applied to. `cache` tells whether Jailer's data model
+ *   was reused and how many subject exports came from .seedify/cache (null when not cached);
+ *   `validation` the conditions `validate` rejected or moved to another table, with the reasons;
+ *   `excluded` the rows left out because the tests insert them.
+ * @throws {ConfigError|InputError|ConnectionError|ExtractionError}
+ */
+async function generate(settings = {}) {
+    const log = createLogger(settings.logger);
+    const options = resolveOptions(settings);
+    // Before anything runs, so a bad rule fails fast
+    const masker = mask.createMasker(options.mask);
+
+    if (options.fromResults) {
+        return generateFromResults(options, log, masker);
+    }
+    return generateByExtraction(options, log, masker, settings.jailerHome || JAILER_HOME);
+}
+
+/**
+ * Apply the `mask` rules to a seed; a no-op without rules.
+ *
+ * @returns {{sql: string, columns: Array<{table: string, column: string, strategy: string, rows: number}>}}
+ */
+function maskSeed(sql, masker) {
+    return masker ? mask.maskSeed(sql, masker) : { sql, columns: [] };
+}
+
+/**
+ * Report the masked columns, and warn when the masking key is the public default.
+ */
+function reportMasking(masker, columns, log, warn) {
+    if (!masker) return;
+    if (!masker.secretSet) {
+        warn('No mask secret (mask.secret or SEEDIFY_MASK_SECRET): masked values can be checked against guesses');
+    }
+    log.success(columns.length > 0
+        ? `Masked ${columns.length} columns: ${columns.map(c => `${c.table}.${c.column} (${c.strategy})`).join(', ')}`
+        : 'No columns matched the mask rules');
+}
+
+/**
+ * Report the conditions validation corrected and rejected.
+ */
+function reportValidation(validation, log) {
+    log.success(`Validated conditions against the catalog: ${validation.rejected.length} rejected, ${validation.corrected.length} corrected`);
+    validation.corrected.forEach((c) => {
+        log.info(`  Corrected ${c.table}.${c.column} -> ${c.to}.${c.column}: ${c.reason}`);
+    });
+    validation.rejected.forEach((r) => {
+        log.info(`  Rejected ${validate.describeCondition(r)}: ${r.reason}`);
+    });
+}
+
+/**
+ * Analyze the captured queries and extract the subjects with Jailer or the
+ * native engine.
+ */
+async function generateByExtraction(options, log, masker, jailerHome) {
+    // Before credentials, so a missing file fails without a password prompt
+    const inputFiles = await resolveInput(options);
+
+    let connection;
+    try {
+        connection = await credentials.resolveConnection({
+            host: options.dbHost,
+            port: options.dbPort,
+            database: options.dbName,
+            user: options.dbUser,
+            password: options.dbPassword,
+            service: options.dbService,
+            forcePrompt: options.passwordPrompt
+        });
+    } catch (e) {
+        throw new ConfigError(e.message, { cause: e });
+    }
+
+    options.dbHost = connection.host;
+    options.dbPort = connection.port;
+    options.dbName = connection.database;
+    options.dbUser = connection.user;
+    options.dbPassword = connection.password || '';
+
+    // Jailer only takes the password as an argument, which ps shows, so a
+    // password picks the native engine unless Jailer was asked for
+    const engineChosen = Boolean(options.engine);
+    if (!engineChosen) options.engine = options.dbPassword ? 'native' : 'jailer';
+
+    if (!options.dbName || !options.dbUser) {
+        throw new ConfigError('Database connection required', {
+            hint: 'Use --db-name <name> --db-user <user>, --db-service <name> (pg_service.conf), or PGDATABASE/PGUSER'
+        });
+    }
+
+    const warnings = [];
+    const warn = (message) => {
+        warnings.push(message);
+        log.info(`Warning: ${message}`);
+    };
+
+    log.begin('Seedify - Generating Test Seeder', 4);
+
+    // Step 1: Validate inputs
+    log.stepStart('Validating inputs...');
+
+    log.success(inputFiles.length === 1
+        ? `Found queries file: ${inputFiles[0]}`
+        : `Found ${inputFiles.length} queries files in ${options.inputFile}`);
+
+    if (!['jailer', 'native'].includes(options.engine)) {
+        throw new ConfigError(`Unknown engine: ${options.engine} (expected jailer or native)`);
+    }
+
+    const jailerPath = path.join(jailerHome, 'jailer.sh');
+    if (options.engine === 'jailer') {
+        try {
+            await fs.access(jailerPath);
+        } catch {
+            throw new ConfigError('Jailer not installed', { hint: 'Run: seedify install (or use --engine native)' });
+        }
+        log.success(`Jailer installed at: ${jailerHome}`);
+    } else {
+        log.success(`Using native extraction engine${engineChosen ? '' : ' (a password is set; pass --engine jailer to use Jailer)'}`);
+    }
+
+    // Use local .seedify directory for temp files instead of system temp
+    const seedifyDir = path.join(process.cwd(), '.seedify');
+    const dataModelDir = path.join(seedifyDir, 'datamodel');
+    const cacheDir = path.join(seedifyDir, 'cache');
+    const outputFileAbs = resolveOutputFile(options.outputFile, seedifyDir);
+
+    if (options.configFile) {
+        log.info(`Config: ${path.relative(process.cwd(), options.configFile)}${options.profile ? ` (profile ${options.profile})` : ''}`);
+    }
+    log.info(`Database: ${options.dbUser}@${options.dbHost}:${options.dbPort}/${options.dbName}`);
+    log.info(`Password: ${connection.passwordSource ? `from ${connection.passwordSource}` : 'none'}`);
+    connection.warnings.forEach(warn);
+    if (connection.passwordSource === 'command line') {
+        warn('The password was given on the command line, where ps and your shell history show it; '
+            + 'use ~/.pgpass, PGPASSWORD or --db-service instead');
+    }
+    if (options.engine === 'jailer' && options.dbPassword) {
+        warn('Jailer takes the password as an argument, which ps shows while it runs; leave out --engine jailer to use the native engine');
+    }
+    log.info(`Output: ${outputFileAbs}`);
+
+    // Step 2: Analyze queries
+    log.stepStart('Analyzing captured queries...');
+
+    let analysis, jailerConditions;
+    const conditionOptions = {};
+    // Once the catalog is read, foreign keys the tests write add conditions
+    // and, with --validate, conditions the catalog rejects are dropped
+    let prepareAnalysis = a => a;
+    // Until the catalog is read, only schema-qualified tables can be told
+    // outside the schemas --schema and --exclude-schema select
+    let inSchemas = schemaFilter(options, null);
+    // Subjects for an analysis, with the config's per-table options applied
+    const allSubjectsFor = a => config.applyTableOptions(analyzer.generateJailerConditions(prepareAnalysis(a), conditionOptions), options.tables);
+    const subjectsFor = a => allSubjectsFor(a).filter(subject => inSchemas(subject.table));
+    try {
+        analysis = await analyzer.analyzeFile(options.inputFile);
+        jailerConditions = subjectsFor(analysis);
+    } catch (e) {
+        throw new InputError(`Failed to analyze: ${e.message}`, { cause: e });
+    }
+
+    log.success(`Analyzed ${analysis.queryCount} queries`);
+    log.success(`Found ${analysis.tables.length} tables`);
+    log.success(`Extracted ${jailerConditions.length} conditions`);
+    if (analysis.writes.length > 0) {
+        log.success(`Found ${analysis.writes.length} INSERT/UPDATE rows`);
+    }
+
+    if (analysis.tables.length > 0) {
+        log.info(`Tables: ${analysis.tables.slice(0, 5).join(', ')}${analysis.tables.length > 5 ? '...' : ''}`);
+    }
+
+    // Written rows can still add conditions once the catalog is read
+    const noConditions = () => new InputError('No conditions extracted from queries', {
+        hint: 'Your queries may not have simple WHERE clauses; try adding more specific test queries'
+    });
+    if (jailerConditions.length === 0 && analysis.writes.length === 0) {
+        throw noConditions();
+    }
+
+    const jdbcUrl = `jdbc:postgresql://${options.dbHost}:${options.dbPort}/${options.dbName}`;
+
+    // Native engine: read the foreign key graph straight from pg_catalog
+    let nativeContext = null;
+    if (options.engine === 'native') {
+        log.stepStart('Reading database schema from pg_catalog...');
+
+        // eslint-disable-next-line global-require
+        const { Client } = require('pg');
+        const client = new Client({
+            host: options.dbHost,
+            port: parseInt(options.dbPort, 10),
+            database: options.dbName,
+            user: options.dbUser,
+            password: options.dbPassword || undefined
+        });
+
+        try {
+            await client.connect();
+            const schema = selectSchemas(await extractor.loadSchema(client), options);
+            const plan = extractor.planOrder(schema);
+            nativeContext = { client, schema, plan, source: extractor.createPgSource(client) };
+
+            // Now that column types are known, render condition literals with them
+            conditionOptions.columnType = extractor.columnTypes(schema);
+            jailerConditions = subjectsFor(analysis);
+
+            log.success(`Loaded ${schema.tables.size} tables, ${schema.foreignKeys.length} foreign keys`);
+            if (plan.breaks.size > 0) {
+                log.info(`Breaking ${plan.breaks.size} foreign key cycle edge(s)`);
+            }
+            plan.warnings.forEach(warn);
+        } catch (e) {
+            await client.end().catch(() => { });
+            throw new ConnectionError(`Failed to connect/analyze database: ${e.message}`, { cause: e });
+        }
+    }
+
+    const subjectsDir = path.join(seedifyDir, 'subjects');
+    try {
+        // The catalog gives the table order, primary keys and sequences, and
+        // the schema fingerprint the cache is keyed by
+        const catalog = nativeContext || (options.engine === 'jailer' ? await loadCatalog(options, warn) : null);
+        const fingerprint = catalog ? cache.schemaFingerprint(catalog.schema) : null;
+        const cacheStats = fingerprint ? { dataModel: false, reused: 0, exported: 0 } : null;
+
+        let validation = null;
+        if (catalog) {
+            inSchemas = schemaFilter(options, catalog.schema);
+            if (options.schemas || options.excludeSchemas) {
+                const schemas = new Set(Array.from(catalog.schema.tables.values(), t => t.schema));
+                log.success(`Selected ${schemas.size} schema(s), ${catalog.schema.tables.size} tables: ${[...schemas].sort().join(', ')}`);
+            }
+
+            const references = extractor.columnReferences(catalog.schema);
+            const withDependencies = a => analyzer.addWriteDependencies(a, references);
+            prepareAnalysis = withDependencies;
+
+            if (options.validate) {
+                validation = validate.validateConditions(withDependencies(analysis), catalog.schema);
+                prepareAnalysis = a => validate.validateConditions(withDependencies(a), catalog.schema).analysis;
+                reportValidation(validation, log);
+            }
+            jailerConditions = subjectsFor(analysis);
+
+            if (validation && jailerConditions.length === 0) {
+                throw new InputError('No conditions left after validating them against the catalog', {
+                    hint: 'See the rejected conditions above, or run without --validate'
+                });
+            }
+        } else if (options.validate) {
+            warn('Conditions not validated: the catalog could not be read');
+        }
+
+        const outside = [...new Set(allSubjectsFor(analysis).filter(s => !inSchemas(s.table)).map(s => s.table))];
+        if (outside.length > 0) {
+            log.info(`Left out subjects on tables outside the selected schemas: ${outside.join(', ')}`);
+        }
+        if (jailerConditions.length === 0) {
+            throw noConditions();
+        }
+
+        // Rows the tests insert themselves are left out of the seeds
+        const constraintsOf = catalog ? extractor.tableConstraints(catalog.schema) : null;
+        const excludeCreated = (sql, a) => {
+            const created = a.writes.filter(w => w.operation === 'insert');
+            return constraintsOf && created.length > 0
+                ? seed.excludeRows(sql, created, constraintsOf)
+                : { sql, excluded: [] };
+        };
+
+        // Jailer's build-model reads the user's default schema only. With
+        // schemas selected, or subjects elsewhere, it reads each schema with
+        // qualified names, and the subjects are named schema.table to match.
+        const modelSchemas = options.engine === 'jailer' ? jailerModelSchemas(options, catalog, jailerConditions) : null;
+        const scope = [modelSchemas, catalog ? catalog.schema.searchPath : null];
+        const jailerTable = (table) => {
+            const key = catalog && extractor.resolveTableKey(catalog.schema, table);
+            if (key) {
+                const resolved = catalog.schema.tables.get(key);
+                return quoteQualified(modelSchemas ? resolved.schema : null, resolved.name);
+            }
+            const parts = splitQualified(table);
+            return quoteQualified(parts.schema && parts.schema.text, parts.table.text);
+        };
+
+        let nonDependencyAssociations = [];
+        if (options.engine === 'jailer') {
+            // Step 3: Build Jailer data model
+            log.stepStart('Building database model with Jailer...');
+
+            // The model only changes with the schema, so it is kept while the fingerprint matches
+            const modelStamp = path.join(cacheDir, 'datamodel.json');
+            const modelKey = fingerprint && cache.cacheKey([fingerprint, jdbcUrl, options.dbUser, modelSchemas]);
+            const modelBuilt = await fs.access(path.join(dataModelDir, 'table.csv')).then(() => true, () => false);
+            await fs.rm(path.join(seedifyDir, 'extraction.csv'), { force: true }).catch(() => { });
+
+            if (options.cache && modelKey && modelBuilt && await cache.readStamp(modelStamp) === modelKey) {
+                cacheStats.dataModel = true;
+                log.success(`Schema unchanged, reusing ${path.relative(process.cwd(), dataModelDir)}`);
+            } else {
+                try {
+                    // Clean up the existing datamodel to avoid stale data
+                    await fs.rm(modelStamp, { force: true }).catch(() => { });
+                    await fs.rm(dataModelDir, { recursive: true, force: true }).catch(() => { });
+                    await fs.mkdir(dataModelDir, { recursive: true });
+
+                    // jailer.sh is patched during install to include PostgreSQL driver
+                    // Jailer CLI uses positional args: <driver> <url> <user> <password>
+                    const buildModel = (dir, extraArgs) => runJailer(jailerPath, [
+                        'build-model', '-datamodel', dir, ...extraArgs,
+                        'org.postgresql.Driver', jdbcUrl, options.dbUser, options.dbPassword
+                    ], { cwd: seedifyDir, debug: options.debug, secret: options.dbPassword, log });
+
+                    if (modelSchemas) {
+                        // One model per schema, numbered since schema names needn't be valid file names
+                        const schemasDir = path.join(seedifyDir, 'datamodel-schemas');
+                        const schemaDirs = [];
+                        await fs.rm(schemasDir, { recursive: true, force: true }).catch(() => { });
+                        for (const name of modelSchemas) {
+                            const dir = path.join(schemasDir, String(schemaDirs.length + 1));
+                            await fs.mkdir(dir, { recursive: true });
+                            buildModel(dir, ['-schema', name, '-qualifyNames']);
+                            schemaDirs.push(dir);
+                        }
+                        await mergeDataModels(schemaDirs, dataModelDir);
+                        await fs.rm(schemasDir, { recursive: true, force: true }).catch(() => { });
+                        log.success(`Database model built for schema(s) ${modelSchemas.join(', ')}`);
+                    } else {
+                        buildModel(dataModelDir, []);
+                        log.success('Database model built');
+                    }
+                } catch (e) {
+                    throw new ConnectionError('Failed to connect/analyze database', { cause: e, stderr: e.stderr });
+                }
+                if (modelKey) await cache.writeStamp(modelStamp, modelKey);
+            }
+
+            // Parse association.csv to find non-dependency associations (for dependencies-only
+            // mode, which a table's `allAssociations: false` turns on despite --all-associations)
+            const dependenciesOnly = !options.allAssociations
+                || Object.values(options.tables || {}).some(t => t.allAssociations === false);
+            if (dependenciesOnly) {
+                nonDependencyAssociations = await readNonDependencyAssociations(dataModelDir, log, options.allAssociations);
+            }
+        }
+
+        // Step 4: Extract subset
+        log.stepStart(`Extracting database subset (${jailerConditions.length} subjects)...`);
+
+        await fs.mkdir(path.dirname(outputFileAbs), { recursive: true }).catch(() => { });
+
+        // Jailer exports one subject per run, so each subject gets its own
+        // extraction model and output file; the outputs are merged afterwards.
+        await fs.rm(subjectsDir, { recursive: true, force: true }).catch(() => { });
+        await fs.mkdir(subjectsDir, { recursive: true });
+
+        const extractionModelPath = path.join(seedifyDir, 'extraction.csv');
+        // "table; condition; options" -> exported SQL, so subjects shared by several tests run once
+        const subjectCache = new Map();
+        // Exports of earlier runs, so only subjects with new conditions are extracted again
+        const storedSubjects = fingerprint
+            ? cache.createSubjectCache(path.join(cacheDir, 'subjects'), { read: options.cache })
+            : null;
+
+        const extractSubject = async (subject, allAssociations, rowLimit) => {
+            if (nativeContext) {
+                try {
+                    const { sql } = await extractor.extractSubject(
+                        nativeContext.source,
+                        nativeContext.schema,
+                        nativeContext.plan,
+                        subject,
+                        {
+                            allAssociations,
+                            rowLimit: rowLimit ? parseInt(rowLimit, 10) : null
+                        }
+                    );
+                    return sql;
+                } catch (e) {
+                    throw new ExtractionError(`Native extraction failed for subject ${subject.table}: ${e.message}`, { cause: e, subject });
+                }
+            }
+
+            const condition = extractionCondition(subject.condition);
+            if (condition === null) {
+                warn(`Subject ${subject.table} left out: its condition has ';' or a line break outside a string literal, `
+                    + `which Jailer's extraction model can't hold: ${subject.condition}`);
+                return '';
+            }
+            const subjectOutput = path.join(subjectsDir, `subject-${subjectCache.size + 1}.sql`);
+
+            // Create extraction model file (.csv) that Jailer expects
+            // Format: subject table on first line, then optional restrictions
+            let extractionModel = `# Seedify extraction model
+# subject; where
+${jailerTable(subject.table)}; ${condition}
+`;
+
+            // Add restrictions for non-dependency associations (dependencies-only mode)
+            if (!allAssociations && nonDependencyAssociations.length > 0) {
+                extractionModel += `\n# Restrictions (dependencies-only mode)\n`;
+                for (const assocName of nonDependencyAssociations) {
+                    extractionModel += `${assocName}; false\n`;
+                }
+            }
+
+            await fs.writeFile(extractionModelPath, extractionModel);
+
+            try {
+                // Build export arguments with optional local scope flags
+                // Use -use-rowid-if-needed to handle tables without primary keys (uses PostgreSQL ctid)
+                const extractArgs = ['export', extractionModelPath, '-datamodel', dataModelDir, '-e', subjectOutput, '-format', 'SQL'];
+
+                // Add local scope flags if requested
+                if (options.localScope) {
+                    const localDbPath = path.join(seedifyDir, 'tmp');
+                    extractArgs.push('-scope', 'LOCAL_DATABASE', '-local-database-storage', localDbPath);
+                }
+
+                // Add row limit if specified
+                if (rowLimit) {
+                    extractArgs.push('-row-limit', String(rowLimit));
+                }
+
+                extractArgs.push('-use-rowid-if-needed', 'org.postgresql.Driver', jdbcUrl, options.dbUser, options.dbPassword);
+                runJailer(jailerPath, extractArgs, { cwd: seedifyDir, debug: options.debug, secret: options.dbPassword, log });
+
+                const sql = await fs.readFile(subjectOutput, 'utf-8');
+
+                // Clean up temp files if local scope was used
+                if (options.localScope) {
+                    await fs.rm(path.join(seedifyDir, 'tmp'), { recursive: true, force: true }).catch(() => { });
+                }
+
+                return sql;
+            } catch (e) {
+                throw new ExtractionError(`Jailer extraction failed for subject ${subject.table}: ${e.message}`, {
+                    cause: e,
+                    subject,
+                    stderr: e.stderr
+                });
+            }
+        };
+
+        const exportSubject = async (subject) => {
+            const allAssociations = subject.allAssociations !== undefined ? subject.allAssociations : options.allAssociations;
+            const rowLimit = subject.rowLimit !== undefined ? subject.rowLimit : options.rowLimit;
+
+            const key = `${subject.table}; ${subject.condition}; ${allAssociations}; ${rowLimit}`;
+            if (subjectCache.has(key)) return subjectCache.get(key);
+
+            const storedKey = storedSubjects && cache.cacheKey([
+                fingerprint, options.engine, jdbcUrl, options.dbUser, options.localScope, scope, key
+            ]);
+            let sql = storedKey ? await storedSubjects.get(storedKey) : null;
+            if (sql === null) {
+                sql = await extractSubject(subject, allAssociations, rowLimit);
+                if (storedKey) await storedSubjects.set(storedKey, sql);
+            }
+            subjectCache.set(key, sql);
+            return sql;
+        };
+
+        const subjectOutputs = [];
+        for (let i = 0; i < jailerConditions.length; i++) {
+            const subject = jailerConditions[i];
+            log.info(`Subject ${i + 1}/${jailerConditions.length}: ${subject.table} WHERE ${subject.condition}`);
+            subjectOutputs.push({ subject, sql: await exportSubject(subject) });
+        }
+        if (storedSubjects) {
+            log.success(`Reused ${storedSubjects.hits} cached subject export(s), extracted ${storedSubjects.misses}`);
+        }
+
+        // Merge all subject exports into one deduplicated seed
+        const merged = seed.mergeSeeds(subjectOutputs.map(o => o.sql));
+
+        const rank = catalog ? extractor.tableRanks(catalog.schema, catalog.plan) : undefined;
+        const header = [await queriesHeader(options, inputFiles)];
+        const primaryKey = catalog ? extractor.primaryKeys(catalog.schema) : undefined;
+        const normalize = sql => format.normalizeSeed(sql, { rank, primaryKey, header });
+
+        // End the seed with setval()s for the serial and identity columns it fills
+        const sequenceFor = options.resetSequences && catalog ? extractor.columnSequences(catalog.schema) : null;
+        let withSequences = sql => ({ sql, sequences: [] });
+        if (sequenceFor) {
+            withSequences = (sql) => {
+                const resets = seed.sequenceResets(sql, sequenceFor);
+                return { sql: resets.sql ? `${sql}\n${resets.sql}` : sql, sequences: resets.sequences };
+            };
+        }
+
+        const kept = excludeCreated(merged.sql, analysis);
+        // Masked before the sequence resets, which read the masked values
+        const masked = maskSeed(kept.sql, masker);
+        const seeded = withSequences(normalize(masked.sql));
+        const written = await format.writeFormat(options.format, seeded.sql, outputFileAbs, { rank, primaryKey });
+        written.warnings.forEach(warn);
+
+        log.success('Rows per subject:');
+        subjectOutputs.forEach((o, i) => {
+            const { rows, newRows } = merged.stats[i];
+            log.info(`  ${o.subject.table} WHERE ${o.subject.condition}: ${rows} rows (${newRows} new)`);
+        });
+
+        const lines = seeded.sql.split('\n').length;
+        const excludedRows = kept.excluded.reduce((sum, e) => sum + e.rows, 0);
+        const totalRows = merged.stats.reduce((sum, st) => sum + st.newRows, 0) - excludedRows;
+        if (excludedRows > 0) {
+            log.success(`Left out ${excludedRows} rows the tests insert themselves: ${kept.excluded.map(e => `${e.table} (${e.rows})`).join(', ')}`);
+        }
+
+        log.success(`Generated: ${outputFileAbs}${options.format !== 'sql' ? ` (${options.format})` : ''}`);
+        if (options.format === 'sql') {
+            const stat = await fs.stat(outputFileAbs);
+            log.success(`Size: ${(stat.size / 1024).toFixed(1)} KB (${lines} lines, ${totalRows} rows)`);
+        } else {
+            log.success(`Rows: ${totalRows} in ${written.tables.length} tables`);
+        }
+        log.info(`Manifest: ${written.manifest}`);
+        if (seeded.sequences.length > 0) {
+            log.success(`Resetting ${seeded.sequences.length} sequences: ${seeded.sequences.map(q => q.sequence).join(', ')}`);
+        }
+        reportMasking(masker, masked.columns, log, warn);
+
+        const files = [{ path: outputFileAbs, manifest: written.manifest, test: null, file: null, rows: totalRows }];
+
+        // Optional: one seed per test or per spec file, next to the combined seed
+        if (options.groupBy) {
+            const seedsDir = path.join(path.dirname(outputFileAbs), 'seeds');
+            await fs.mkdir(seedsDir, { recursive: true });
+
+            const groups = await analyzer.analyzeFileByGroup(options.inputFile, options.groupBy);
+            log.success(`Writing ${groups.length} per-${options.groupBy} seeds to ${seedsDir}`);
+
+            for (const group of groups) {
+                const groupSubjects = subjectsFor(group.analysis);
+                const label = group.test || group.file || '(outside tests)';
+                if (groupSubjects.length === 0) {
+                    log.info(`  ${label}: no conditions, skipped`);
+                    continue;
+                }
+
+                const sqls = [];
+                for (const subject of groupSubjects) {
+                    sqls.push(await exportSubject(subject));
+                }
+
+                const groupSeed = seed.mergeSeeds(sqls);
+                const groupKept = excludeCreated(groupSeed.sql, group.analysis);
+                const groupFile = path.join(seedsDir, `${seedFileName(group)}${format.FORMATS[options.format].extension}`);
+                const groupWritten = await format.writeFormat(options.format, withSequences(normalize(maskSeed(groupKept.sql, masker).sql)).sql, groupFile, { rank, primaryKey });
+
+                const groupRows = groupSeed.stats.reduce((sum, st) => sum + st.newRows, 0)
+                    - groupKept.excluded.reduce((sum, e) => sum + e.rows, 0);
+                files.push({ path: groupFile, manifest: groupWritten.manifest, test: group.test || null, file: group.file || null, rows: groupRows });
+                log.info(`  ${label}: ${groupRows} rows -> ${path.basename(groupFile)}`);
+            }
+        }
+
+        // Drop the exports of conditions the queries no longer have
+        if (storedSubjects) {
+            await storedSubjects.prune();
+            cacheStats.reused = storedSubjects.hits;
+            cacheStats.exported = storedSubjects.misses;
+        }
+
+        return {
+            mode: 'extract',
+            format: options.format,
+            output: outputFileAbs,
+            files,
+            // Counted from the written seed, after the rows the tests insert are left out
+            tables: written.tables,
+            subjects: subjectOutputs.map((o, i) => ({
+                table: o.subject.table,
+                condition: o.subject.condition,
+                ...merged.stats[i]
+            })),
+            sequences: seeded.sequences,
+            masked: masked.columns,
+            cache: cacheStats,
+            validation: validation && { rejected: validation.rejected, corrected: validation.corrected },
+            excluded: kept.excluded,
+            rows: totalRows,
+            warnings,
+            configFile: options.configFile,
+            profile: options.profile
+        };
+    } finally {
+        if (nativeContext) {
+            await nativeContext.client.end().catch(() => { });
+        }
+        await fs.rm(subjectsDir, { recursive: true, force: true }).catch(() => { });
+    }
+}
+
+/**
+ * Schema and table order for a Jailer seed: Jailer reports neither the
+ * dependency order, the primary keys nor the sequences, so the catalog is
+ * read with pg. Its fingerprint also keys the cache.
+ * Returns null, with a warning, when that fails.
+ *
+ * @returns {Promise<{schema: Object, plan: Object}|null>}
+ */
+async function loadCatalog(options, warn) {
+    // eslint-disable-next-line global-require
+    const { Client } = require('pg');
+    const client = new Client({
+        host: options.dbHost,
+        port: parseInt(options.dbPort, 10),
+        database: options.dbName,
+        user: options.dbUser,
+        password: options.dbPassword || undefined
+    });
+
+    try {
+        await client.connect();
+        const schema = selectSchemas(await extractor.loadSchema(client), options);
+        return { schema, plan: extractor.planOrder(schema) };
+    } catch (e) {
+        warn(`Could not read the catalog, the seed won't reset sequences, keeps Jailer's table order and isn't cached: ${e.message}`);
+        return null;
+    } finally {
+        await client.end().catch(() => { });
+    }
+}
+
+/**
+ * The schema model restricted to the schemas --schema and --exclude-schema
+ * select; unchanged without them.
+ */
+function selectSchemas(schema, options) {
+    if (!options.schemas && !options.excludeSchemas) return schema;
+    return extractor.selectSchemas(schema, options.schemas || [], options.excludeSchemas || []);
+}
+
+/**
+ * Whether a subject's table is in the selected schemas. With the (selected)
+ * schema model the table must resolve in it; without, only a schema-qualified
+ * name can be checked.
+ *
+ * @param {Object} options - Generate options
+ * @param {Object|null} schema - Schema model from selectSchemas, if read
+ * @returns {function(string): boolean}
+ */
+function schemaFilter(options, schema) {
+    if (!options.schemas && !options.excludeSchemas) return () => true;
+    if (schema) return table => extractor.resolveTableKey(schema, table) !== null;
+
+    const selected = extractor.schemaSelector(options.schemas || [], options.excludeSchemas || []);
+    return (table) => {
+        const parts = splitQualified(table);
+        return !parts.schema || selected(parts.schema.text);
+    };
+}
+
+/**
+ * Schemas to build Jailer's data model from one by one, with qualified names,
+ * or null for the default build of the user's default schema. Needed when
+ * schemas are selected or a subject's table is outside the default schema.
+ * Without the catalog, only the --schema names without `*` are known.
+ *
+ * @returns {string[]|null}
+ */
+function jailerModelSchemas(options, catalog, subjects) {
+    if (!catalog) {
+        const names = (options.schemas || []).filter(name => !name.includes('*'));
+        return names.length > 0 ? names : null;
+    }
+
+    const { tables, searchPath } = catalog.schema;
+    const defaultSchema = (searchPath && searchPath[0]) || 'public';
+    const elsewhere = subjects.some((subject) => {
+        const key = extractor.resolveTableKey(catalog.schema, subject.table);
+        return key && tables.get(key).schema !== defaultSchema;
+    });
+    if (!options.schemas && !options.excludeSchemas && !elsewhere) return null;
+    return [...new Set(Array.from(tables.values(), t => t.schema))].sort();
+}
+
+/**
+ * The quoted identifier, dollar-quoted string or comment `text` starts with,
+ * or null.
+ */
+function quotedSection(text) {
+    if (text.startsWith('"')) return /^"(?:[^"]|"")*"?/.exec(text)[0];
+    if (text.startsWith('--')) return text;
+    if (text.startsWith('/*')) {
+        const end = text.indexOf('*/', 2);
+        return end === -1 ? text : text.slice(0, end + 2);
+    }
+    const tag = /^\$\w*\$/.exec(text);
+    if (tag) {
+        const end = text.indexOf(tag[0], tag[0].length);
+        return end === -1 ? text : text.slice(0, end + tag[0].length);
+    }
+    return null;
+}
+
+/**
+ * A condition as a field of Jailer's extraction model, a CSV file whose
+ * fields end at `;` and records at line breaks. String literals holding
+ * either are rewritten as E'' strings with escapes; line breaks between
+ * tokens become spaces. Null when `;` or a line break sits anywhere else
+ * (a quoted identifier, dollar quote or comment), which can't be escaped.
+ *
+ * @param {string} condition - SQL condition
+ * @returns {string|null}
+ */
+function extractionCondition(condition) {
+    const special = /[;\r\n]/;
+    const escapes = { ';': '\\073', '\n': '\\n', '\r': '\\r' };
+    let result = '';
+    let i = 0;
+
+    while (i < condition.length) {
+        const ch = condition[i];
+        const section = quotedSection(condition.slice(i));
+
+        if (ch === "'") {
+            // E'...' strings: a backslash escapes the next character
+            const escapeString = /(^|[^\w$])[eE]$/.test(result);
+            // Characters of the literal's value, as written between the quotes
+            const chars = [];
+            let j = i + 1;
+            for (; j < condition.length; j++) {
+                if (escapeString && condition[j] === '\\' && j + 1 < condition.length) {
+                    chars.push(condition.slice(j, j + 2));
+                    j++;
+                } else if (condition[j] === "'" && condition[j + 1] === "'") {
+                    chars.push("''");
+                    j++;
+                } else if (condition[j] === "'") {
+                    break;
+                } else {
+                    chars.push(condition[j]);
+                }
+            }
+
+            if (chars.some(c => special.test(c))) {
+                const escaped = chars.map((c) => {
+                    const plain = c.length === 2 && c[0] === '\\' ? c[1] : c;
+                    if (escapes[plain]) return escapes[plain];
+                    return !escapeString && c === '\\' ? '\\\\' : c;
+                });
+                result = `${escapeString ? result.slice(0, -1) : result}E'${escaped.join('')}'`;
+            } else {
+                result += condition.slice(i, j + 1);
+            }
+            i = j + 1;
+        } else if (section) {
+            if (special.test(section)) return null;
+            result += section;
+            i += section.length;
+        } else if (ch === ';') {
+            return null;
+        } else {
+            result += ch === '\r' || ch === '\n' ? ' ' : ch;
+            i++;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Merge the data models Jailer built per schema: each CSV file gets the
+ * lines of all models, without duplicates.
+ */
+async function mergeDataModels(dirs, target) {
+    const files = new Map();
+    for (const dir of dirs) {
+        for (const name of await fs.readdir(dir)) {
+            if (!name.endsWith('.csv')) continue;
+            if (!files.has(name)) files.set(name, new Set());
+            const content = await fs.readFile(path.join(dir, name), 'utf-8');
+            content.split('\n').filter(line => line.trim() !== '').forEach(line => files.get(name).add(line));
+        }
+    }
+    await fs.mkdir(target, { recursive: true });
+    for (const [name, lines] of files) {
+        await fs.writeFile(path.join(target, name), `${[...lines].join('\n')}\n`);
+    }
+}
+
+/**
+ * Names of the associations Jailer's data model marks as non-dependencies,
+ * from association.csv.
+ */
+async function readNonDependencyAssociations(dataModelDir, log, allAssociations) {
+    const names = [];
+    try {
+        const csvContent = await fs.readFile(path.join(dataModelDir, 'association.csv'), 'utf-8');
+        for (const line of csvContent.split('\n')) {
+            if (line.startsWith('#') || line.trim() === '') continue;
+            // Format: TableA; TableB; dependency; cardinality; join-condition; name
+            const parts = line.split(';').map(p => p.trim());
+            if (parts.length >= 6) {
+                const dependency = parts[2]; // A, B, or empty
+                const associationName = parts[5];
+                if (dependency === '' && associationName) {
+                    names.push(associationName);
+                }
+            }
+        }
+        if (names.length > 0 && !allAssociations) {
+            log.success(`Dependencies-only mode: disabled ${names.length} non-dependency associations`);
+        }
+    } catch (e) {
+        log.info('Could not parse associations, using all associations');
+    }
+    return names;
+}
+
+/**
+ * Build the seed from the SELECT results recorded with
+ * start({ captureResults: true }), without a database connection.
+ */
+async function generateFromResults(options, log, masker) {
+    const inputFiles = await resolveInput(options);
+
+    log.begin('Seedify - Generating Test Seeder from Captured Results', 2);
+
+    // Step 1: Read captured results
+    log.stepStart('Reading captured query results...');
+
+    let entries;
+    try {
+        await analyzer.loadParser();
+        entries = await analyzer.readQueries(options.inputFile);
+    } catch (e) {
+        throw new InputError(`Failed to read queries file: ${e.message}`, { cause: e });
+    }
+
+    const resultCount = entries.filter(e => e.result).length;
+    log.success(`Found ${entries.length} queries, ${resultCount} with results`);
+
+    if (resultCount === 0) {
+        throw new InputError('No query results in the captured file', {
+            hint: 'Capture them with seedify.start({ captureResults: true })'
+        });
+    }
+
+    // Step 2: Build the seed
+    log.stepStart('Building seed from results...');
+
+    const outputFileAbs = resolveOutputFile(options.outputFile, path.join(process.cwd(), '.seedify'));
+    await fs.mkdir(path.dirname(outputFileAbs), { recursive: true });
+
+    const header = [await queriesHeader(options, inputFiles)];
+    const built = results.buildSeedFromResults(entries);
+    const masked = maskSeed(built.sql, masker);
+    const written = await format.writeFormat(options.format, format.normalizeSeed(masked.sql, { header }), outputFileAbs);
+
+    const warnings = [];
+    built.tables.forEach(t => log.info(`${t.table}: ${t.rows} rows`));
+    if (built.unresolvedCount > 0) {
+        warnings.push(`Skipped ${built.unresolvedCount} table(s) no query names directly`);
+        log.info(warnings[warnings.length - 1]);
+    }
+    const warn = (message) => {
+        warnings.push(message);
+        log.info(`Warning: ${message}`);
+    };
+    written.warnings.forEach(warn);
+    reportMasking(masker, masked.columns, log, warn);
+
+    const totalRows = built.tables.reduce((sum, t) => sum + t.rows, 0);
+    log.success(`Generated: ${outputFileAbs} (${options.format !== 'sql' ? `${options.format}, ` : ''}${totalRows} rows)`);
+    log.info(`Manifest: ${written.manifest}`);
+
+    const files = [{ path: outputFileAbs, manifest: written.manifest, test: null, file: null, rows: totalRows }];
+
+    if (options.groupBy) {
+        const seedsDir = path.join(path.dirname(outputFileAbs), 'seeds');
+        await fs.mkdir(seedsDir, { recursive: true });
+
+        const groups = analyzer.groupEntries(entries, options.groupBy);
+        log.success(`Writing ${groups.length} per-${options.groupBy} seeds to ${seedsDir}`);
+
+        for (const group of groups) {
+            const groupSeed = results.buildSeedFromResults(group.entries);
+            const groupRows = groupSeed.tables.reduce((sum, t) => sum + t.rows, 0);
+            const label = group.test || group.file || '(outside tests)';
+            if (groupRows === 0) {
+                log.info(`  ${label}: no rows, skipped`);
+                continue;
+            }
+
+            const groupFile = path.join(seedsDir, `${seedFileName(group)}${format.FORMATS[options.format].extension}`);
+            const groupWritten = await format.writeFormat(options.format, format.normalizeSeed(maskSeed(groupSeed.sql, masker).sql, { header }), groupFile);
+            files.push({ path: groupFile, manifest: groupWritten.manifest, test: group.test || null, file: group.file || null, rows: groupRows });
+            log.info(`  ${label}: ${groupRows} rows -> ${path.basename(groupFile)}`);
+        }
+    }
+
+    return {
+        mode: 'results',
+        format: options.format,
+        output: outputFileAbs,
+        files,
+        tables: built.tables,
+        subjects: [],
+        sequences: [],
+        masked: masked.columns,
+        cache: null,
+        validation: null,
+        excluded: [],
+        rows: totalRows,
+        warnings,
+        configFile: options.configFile,
+        profile: options.profile
+    };
+}
+
+module.exports = {
+    JAILER_HOME,
+    createLogger,
+    resolveOptions,
+    resolveOutputFile,
+    generate
+};
@@ -0,0 +1,20 @@
+/**
+ * Seedify Jest hooks
+ *
+ * Tags every captured query with the running test. Add to jest.config.js:
+ *
+ *   setupFilesAfterEnv: ['seedify/src/hooks/jest']
+ */
+
+const capturer = require('../capture');
+
+/* global beforeEach, afterEach, expect */
+beforeEach(() => {
+    const { currentTestName, testPath } = expect.getState();
+    // Jest exposes the full title (describe blocks + test name) but not the suite alone
+    capturer.setContext({ test: currentTestName, file: testPath });
+});
+
+afterEach(() => {
+    capturer.setContext(null);
+});
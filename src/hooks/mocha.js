@@ -0,0 +1,24 @@
+/**
+ * Seedify Mocha hooks
+ *
+ * Root hook plugin that tags every captured query with the running test.
+ *
+ *   mocha --require seedify/src/hooks/mocha
+ */
+
+const capturer = require('../capture');
+
+exports.mochaHooks = {
+    beforeEach() {
+        const test = this.currentTest;
+        capturer.setContext({
+            test: test.fullTitle(),
+            file: test.file,
+            suite: test.parent ? test.parent.fullTitle() : undefined
+        });
+    },
+
+    afterEach() {
+        capturer.setContext(null);
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * Seedify Vitest hooks
+ *
+ * Tags every captured query with the running test. Add to vitest.config.js:
+ *
+ *   test: { setupFiles: ['seedify/src/hooks/vitest.mjs'] }
+ */
+
+import { beforeEach, afterEach } from 'vitest';
+import capturer from '../capture/index.js';
+
+/**
+ * Full title of a task: its describe blocks and name, joined with spaces.
+ */
+function fullTitle(task) {
+    const names = [];
+    for (let current = task; current && current.type !== 'file' && current.name; current = current.suite) {
+        names.unshift(current.name);
+    }
+    return names.join(' ');
+}
+
+beforeEach((context) => {
+    const { task } = context;
+    capturer.setContext({
+        test: fullTitle(task),
+        file: task.file ? task.file.filepath : undefined,
+        suite: task.suite && task.suite.type !== 'file' ? fullTitle(task.suite) : undefined
+    });
+});
+
+afterEach(() => {
+    capturer.setContext(null);
+});
@@ -5,7 +5,17 @@
  */
 
 const capturer = require('./capture');
+const { createCaptureProxy } = require('./capture/proxy');
+const { importLog } = require('./capture/server-log');
 const analyzer = require('./analyzer');
+const config = require('./config');
+const mask = require('./mask');
+const format = require('./format');
+const { diffSeeds } = require('./diff');
+const { validateConditions } = require('./validate');
+const { generate } = require('./generate');
+const { load } = require('./load');
+const errors = require('./errors');
 
 module.exports = {
     // Query capturing
@@ -14,11 +24,33 @@ module.exports = {
     // Query analysis
     analyzer,
 
+    // Config file (seedify.config.js / .seedifyrc.json)
+    config,
+
+    // Masking personal data in seeds (the `mask` config)
+    mask,
+
+    // Output formats (the `format` setting)
+    format,
+
+    // Seed generation and loading (what `seedify generate` and `seedify load` run)
+    // and their error classes
+    generate,
+    load,
+    ...errors,
+
     // Convenience re-exports
     start: capturer.start,
     stop: capturer.stop,
     dump: capturer.dump,
     getQueries: capturer.getQueries,
     clear: capturer.clear,
-    analyzeFile: analyzer.analyzeFile
+    adapters: capturer.adapters,
+    setContext: capturer.setContext,
+    createCaptureProxy,
+    importLog,
+    analyzeFile: analyzer.analyzeFile,
+    loadConfig: config.loadConfig,
+    diffSeeds,
+    validateConditions
 };
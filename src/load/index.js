@@ -0,0 +1,289 @@
+/**
+ * Seedify Load
+ *
+ * Applies a generated seed to a database, typically the test database in a
+ * beforeAll:
+ *
+ *   const { load } = require('seedify');
+ *   beforeAll(() => load({ client }));
+ *
+ * Everything runs in one transaction, so a failing seed leaves the database
+ * untouched. Foreign keys are not checked while loading: with
+ * `session_replication_role = replica` when the user may set it (superusers
+ * and, on PostgreSQL 15+, roles granted the setting), otherwise by deferring
+ * constraints, which only covers foreign keys declared DEFERRABLE.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const seed = require('../seed');
+const { quoteIdent } = require('../sql');
+const credentials = require('../credentials');
+const { createLogger, resolveOptions, resolveOutputFile } = require('../generate');
+const { ConfigError, InputError, ConnectionError, LoadError } = require('../errors');
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Connect with the db settings, the config file and the usual credential
+ * sources (see ../credentials).
+ */
+async function connect(options, settings) {
+    let connection;
+    try {
+        connection = await credentials.resolveConnection({
+            host: options.dbHost,
+            port: options.dbPort,
+            database: options.dbName,
+            user: options.dbUser,
+            password: options.dbPassword,
+            service: options.dbService,
+            forcePrompt: settings.passwordPrompt
+        });
+    } catch (e) {
+        throw e instanceof ConfigError ? e : new ConfigError(e.message, { cause: e });
+    }
+
+    if (!connection.database || !connection.user) {
+        throw new ConfigError('Database connection required', {
+            hint: 'Use --db-name <name> --db-user <user>, --db-url, --db-service <name>, or PGDATABASE/PGUSER'
+        });
+    }
+
+    // eslint-disable-next-line global-require
+    const { Client } = require('pg');
+    const client = new Client({
+        host: connection.host,
+        port: parseInt(connection.port, 10),
+        database: connection.database,
+        user: connection.user,
+        password: connection.password || undefined
+    });
+
+    try {
+        await client.connect();
+    } catch (e) {
+        throw new ConnectionError(`Failed to connect to ${connection.user}@${connection.host}:${connection.port}/${connection.database}: ${e.message}`, { cause: e });
+    }
+    return client;
+}
+
+/**
+ * Turn off foreign key checks for the transaction. 'auto' tries
+ * session_replication_role first and falls back to deferred constraints.
+ *
+ * @returns {Promise<string>} - The mode used: 'replica' or 'deferred'
+ */
+async function relaxConstraints(client, mode, warn) {
+    if (mode === 'replica' || mode === 'auto') {
+        await client.query('SAVEPOINT seedify_replica');
+        try {
+            await client.query('SET LOCAL session_replication_role = replica');
+            await client.query('RELEASE SAVEPOINT seedify_replica');
+            return 'replica';
+        } catch (e) {
+            await client.query('ROLLBACK TO SAVEPOINT seedify_replica');
+            if (mode === 'replica') {
+                throw new LoadError(`Cannot set session_replication_role: ${e.message}`, {
+                    cause: e,
+                    hint: 'Load as a superuser, or use constraints: deferred'
+                });
+            }
+            warn(`Cannot set session_replication_role (${e.message}); deferring constraints instead, which only covers DEFERRABLE foreign keys`);
+        }
+    }
+
+    await client.query('SET CONSTRAINTS ALL DEFERRED');
+    return 'deferred';
+}
+
+/**
+ * Move the sequences of serial and identity columns past the largest value
+ * in each table. Sequences already further along are left alone.
+ *
+ * @returns {Promise<Array<{table: string, column: string, sequence: string, value: number}>>}
+ */
+async function resetSequences(client, tables) {
+    const reset = [];
+
+    for (const table of tables) {
+        const { rows: columns } = await client.query(
+            `SELECT c.oid::regclass::text AS table_name, a.attname AS column_name,
+                    pg_get_serial_sequence(c.oid::regclass::text, a.attname) AS sequence_name
+             FROM pg_class c
+             JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+             WHERE c.oid = $1::regclass`,
+            [table]
+        );
+
+        for (const column of columns.filter(c => c.sequence_name)) {
+            // table_name is regclass output, so it is already quoted where needed
+            const { rows } = await client.query(
+                `SELECT setval($1::regclass, m.max_value) AS value
+                 FROM (SELECT MAX(${quoteIdent(column.column_name)})::bigint AS max_value FROM ${column.table_name}) m
+                 WHERE m.max_value IS NOT NULL
+                   AND m.max_value > COALESCE(pg_sequence_last_value($1::regclass), 0)`,
+                [column.sequence_name]
+            );
+            if (rows.length > 0) {
+                reset.push({
+                    table: column.table_name,
+                    column: column.column_name,
+                    sequence: column.sequence_name,
+                    value: Number(rows[0].value)
+                });
+            }
+        }
+    }
+
+    return reset;
+}
+
+/**
+ * Load a seed into a database.
+ *
+ * @param {Object} [settings]
+ * @param {string} [settings.seed] - Seed file (default: the config's `output`, else .seedify/seed.sql)
+ * @param {string} [settings.sql] - Seed SQL, instead of a file
+ * @param {Object} [settings.client] - Connected pg client to use; it is left open. Without one,
+ *   `db`, `config`, `profile` and `passwordPrompt` are resolved like generate()'s
+ * @param {boolean|string} [settings.truncate] - Empty the seeded tables first; 'cascade' also
+ *   empties the tables referencing them
+ * @param {boolean} [settings.resetSequences] - Move sequences past the loaded ids (default: true)
+ * @param {string} [settings.onConflict] - 'error' (default) fails on rows that already exist,
+ *   'skip' keeps the existing rows and reports them
+ * @param {string} [settings.constraints] - 'auto' (default), 'replica' or 'deferred'
+ * @param {Object} [settings.logger] - Progress logger, as for generate()
+ * @returns {Promise<{seed: string|null, statements: number, constraints: string, truncated: string[],
+ *   tables: Array<{table: string, rows: number, skipped: number}>,
+ *   conflicts: Array<{table: string, rows: number}>,
+ *   sequences: Array<{table: string, column: string, sequence: string, value: number}>,
+ *   warnings: string[]}>}
+ * @throws {ConfigError|InputError|ConnectionError|LoadError}
+ */
+async function load(settings = {}) {
+    const log = createLogger(settings.logger);
+    const onConflict = settings.onConflict || 'error';
+    const constraints = settings.constraints || 'auto';
+
+    if (!['error', 'skip'].includes(onConflict)) {
+        throw new ConfigError(`Unknown onConflict: ${onConflict} (expected error or skip)`);
+    }
+    if (!['auto', 'replica', 'deferred'].includes(constraints)) {
+        throw new ConfigError(`Unknown constraints mode: ${constraints} (expected auto, replica or deferred)`);
+    }
+
+    const warnings = [];
+    const warn = (message) => {
+        warnings.push(message);
+        log.info(`Warning: ${message}`);
+    };
+
+    // The config file supplies the connection and the default seed file
+    const options = settings.client && (settings.seed || settings.sql !== undefined)
+        ? null
+        : resolveOptions({ config: settings.config, profile: settings.profile, db: settings.db });
+
+    let seedFile = null;
+    let sql = settings.sql;
+    if (sql === undefined) {
+        seedFile = settings.seed
+            ? path.resolve(settings.seed)
+            : resolveOutputFile(options.outputFile, path.join(process.cwd(), '.seedify'));
+        try {
+            sql = await fs.readFile(seedFile, 'utf-8');
+        } catch (e) {
+            throw new InputError(`Seed file not found: ${seedFile}`, { cause: e, hint: 'Run seedify generate first' });
+        }
+    }
+
+    const client = settings.client || await connect(options, settings);
+    try {
+        const statements = seed.splitStatements(sql).map(text => ({ text, insert: seed.parseInsert(text) }));
+        const tables = Array.from(new Set(statements.filter(s => s.insert).map(s => s.insert.table)));
+
+        log.begin('Seedify - Loading Seed', 3);
+        log.stepStart(`Loading ${statements.length} statements into ${tables.length} tables...`);
+
+        await client.query('BEGIN');
+        try {
+            const mode = await relaxConstraints(client, constraints, warn);
+            log.success(mode === 'replica' ? 'Foreign key checks off (session_replication_role = replica)' : 'Constraints deferred');
+
+            let truncated = [];
+            if (settings.truncate && tables.length > 0) {
+                await client.query(`TRUNCATE ${tables.join(', ')}${settings.truncate === 'cascade' ? ' CASCADE' : ''}`);
+                truncated = tables;
+                log.success(`Truncated ${tables.length} tables`);
+            }
+
+            const counts = new Map(tables.map(t => [t, { table: t, rows: 0, skipped: 0 }]));
+            for (const { text, insert } of statements) {
+                const skipExisting = insert && onConflict === 'skip' && !/\bon\s+conflict\b/i.test(text);
+                try {
+                    const result = await client.query(skipExisting ? `${text} ON CONFLICT DO NOTHING` : text);
+                    if (insert) {
+                        const count = counts.get(insert.table);
+                        const inserted = typeof result.rowCount === 'number' ? result.rowCount : insert.rows.length;
+                        count.rows += inserted;
+                        count.skipped += insert.rows.length - inserted;
+                    }
+                } catch (e) {
+                    const table = insert ? insert.table : null;
+                    if (e.code === UNIQUE_VIOLATION) {
+                        throw new LoadError(`Row already exists in ${table || 'the database'}: ${e.detail || e.message}`, {
+                            cause: e,
+                            statement: text,
+                            table,
+                            hint: 'Empty the tables first (--truncate) or keep existing rows (--on-conflict skip)'
+                        });
+                    }
+                    throw new LoadError(`Failed to load ${table ? `rows into ${table}` : 'statement'}: ${e.message}`, {
+                        cause: e,
+                        statement: text,
+                        table
+                    });
+                }
+            }
+
+            const loaded = Array.from(counts.values());
+            const conflicts = loaded.filter(t => t.skipped > 0).map(t => ({ table: t.table, rows: t.skipped }));
+            loaded.forEach(t => log.info(`${t.table}: ${t.rows} rows${t.skipped ? ` (${t.skipped} already present, skipped)` : ''}`));
+
+            log.stepStart('Resetting sequences...');
+            let sequences = [];
+            if (settings.resetSequences !== false && tables.length > 0) {
+                sequences = await resetSequences(client, tables);
+                sequences.forEach(s => log.info(`${s.sequence} -> ${s.value}`));
+            }
+            log.success(`Reset ${sequences.length} sequences`);
+
+            log.stepStart('Committing...');
+            await client.query('COMMIT');
+            log.success(`Loaded ${loaded.reduce((sum, t) => sum + t.rows, 0)} rows`);
+
+            return {
+                seed: seedFile,
+                statements: statements.length,
+                constraints: mode,
+                truncated,
+                tables: loaded,
+                conflicts,
+                sequences,
+                warnings
+            };
+        } catch (e) {
+            await client.query('ROLLBACK').catch(() => { });
+            throw e instanceof LoadError ? e : new LoadError(e.message, { cause: e });
+        }
+    } finally {
+        if (!settings.client) {
+            await client.end().catch(() => { });
+        }
+    }
+}
+
+module.exports = {
+    load
+};
@@ -0,0 +1,271 @@
+/**
+ * Seedify Mask
+ *
+ * Masks personal data in seeds before they are written, configured per
+ * column in seedify.config.js:
+ *
+ *   mask: {
+ *       secret: '${SEEDIFY_MASK_SECRET}',
+ *       columns: {
+ *           'users.email': 'email',
+ *           '*.phone*': 'phone',
+ *           'users.first_name': 'firstName',
+ *           'users.password_hash': 'null',
+ *           'public.payments.card_number': 'hash',
+ *           'users.bio': (value, { hash }) => `bio ${hash.slice(0, 6)}`
+ *       }
+ *   }
+ *
+ * A pattern is `column`, `table.column` or `schema.table.column`, with `*`
+ * matching any characters; the first matching rule wins. Every strategy
+ * derives its output from an HMAC of the original value alone, so the same
+ * value masks the same way in every table and every run: a masked email used
+ * as a key still joins. Without a secret the HMAC key is fixed and public,
+ * which lets anyone confirm a guessed value.
+ */
+
+const crypto = require('crypto');
+
+const seed = require('../seed');
+const { quoteString } = require('../sql');
+const { ConfigError } = require('../errors');
+
+const DEFAULT_SECRET = 'seedify';
+
+const FIRST_NAMES = [
+    'Alex', 'Blake', 'Casey', 'Dana', 'Drew', 'Eden', 'Emery', 'Finley', 'Gray', 'Harper',
+    'Hayden', 'Jamie', 'Jordan', 'Kai', 'Logan', 'Morgan', 'Noel', 'Parker', 'Quinn', 'Reese',
+    'Riley', 'Robin', 'Rowan', 'Sage', 'Skyler', 'Taylor'
+];
+
+const LAST_NAMES = [
+    'Abbott', 'Baker', 'Carter', 'Dalton', 'Ellis', 'Fisher', 'Garcia', 'Hughes', 'Ingram', 'Jensen',
+    'Keller', 'Lopez', 'Moreno', 'Nguyen', 'Olsen', 'Patel', 'Quist', 'Romero', 'Silva', 'Tanaka',
+    'Ueda', 'Vargas', 'Walsh', 'Young', 'Zimmer'
+];
+
+const ALPHANUMERIC = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Digest bytes, repeated as needed to cover `length`.
+ */
+function digestBytes(digest, length) {
+    const bytes = [];
+    for (let i = 0; i < length; i++) bytes.push(digest[i % digest.length]);
+    return bytes;
+}
+
+/**
+ * Replace every digit, keeping everything else. A number keeps a non-zero
+ * leading digit so it doesn't change length when read back.
+ */
+function maskDigits(text, digest) {
+    const bytes = digestBytes(digest, text.length);
+    let first = true;
+    return text.replace(/\d/g, (digit, i) => {
+        let replacement = bytes[i] % 10;
+        if (first && replacement === 0 && /\d/.test(text[i + 1] || '')) replacement = 1 + (bytes[i] % 9);
+        first = false;
+        return String(replacement);
+    });
+}
+
+const STRATEGIES = {
+    null: () => null,
+    hash: (value, { hash, digest }) => {
+        if (/^-?\d+(\.\d+)?$/.test(value)) return maskDigits(value, digest);
+        // Same length (up to a full digest) so varchar limits still hold
+        return hash.slice(0, Math.max(1, Math.min(value.length, hash.length)));
+    },
+    email: (value, { digest }) => {
+        const local = value.includes('@') ? value.slice(0, value.lastIndexOf('@')) : value;
+        const masked = digestBytes(digest, Math.max(local.length, 8))
+            .map(b => ALPHANUMERIC[b % ALPHANUMERIC.length])
+            .join('');
+        return `${masked}@example.com`;
+    },
+    phone: (value, { digest }) => maskDigits(value, digest),
+    firstName: (value, { pick }) => pick(FIRST_NAMES),
+    lastName: (value, { digest }) => LAST_NAMES[digest.readUInt32BE(4) % LAST_NAMES.length],
+    name: (value, context) => `${STRATEGIES.firstName(value, context)} ${STRATEGIES.lastName(value, context)}`
+};
+
+/**
+ * Turn a `*` pattern into a case-insensitive RegExp.
+ */
+function patternRegExp(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Parse a rule pattern into table and column matchers. A table pattern
+ * without a schema matches the table in any schema.
+ */
+function parsePattern(pattern) {
+    const parts = pattern.split('.');
+    if (parts.length > 3 || parts.some(p => p === '')) {
+        throw new ConfigError(`Invalid mask pattern: ${pattern} (expected column, table.column or schema.table.column)`);
+    }
+
+    const column = patternRegExp(parts.pop());
+    const table = parts.length > 0 ? patternRegExp(parts.join('.')) : null;
+    const qualified = parts.length === 2;
+    return (tableName, columnName) => {
+        if (!column.test(columnName)) return false;
+        if (!table) return true;
+        return table.test(qualified ? tableName : tableName.split('.').pop());
+    };
+}
+
+/**
+ * Create a masker from the `mask` config.
+ *
+ * @param {Object} [options] - `mask` config
+ * @param {string} [options.secret] - HMAC key (default: SEEDIFY_MASK_SECRET, else a fixed key)
+ * @param {Object<string, string|Function>} [options.columns] - Pattern -> strategy name
+ *   ('null', 'hash', 'email', 'phone', 'name', 'firstName', 'lastName') or
+ *   function(value, {table, column, hash, digest, pick}) returning the new value
+ * @param {Object} [env] - Environment variables (default: process.env)
+ * @returns {{secretSet: boolean, ruleFor: Function, maskValue: Function, maskLiteral: Function}|null}
+ *   Null when there are no rules
+ * @throws {ConfigError}
+ */
+function createMasker(options, env = process.env) {
+    if (!options || !options.columns || Object.keys(options.columns).length === 0) return null;
+
+    const secret = options.secret || env.SEEDIFY_MASK_SECRET || null;
+    const rules = Object.entries(options.columns).map(([pattern, strategy]) => {
+        if (typeof strategy !== 'function' && !Object.prototype.hasOwnProperty.call(STRATEGIES, strategy)) {
+            throw new ConfigError(`Unknown mask strategy for ${pattern}: ${strategy} (expected ${Object.keys(STRATEGIES).join(', ')} or a function)`);
+        }
+        return {
+            pattern,
+            matches: parsePattern(pattern),
+            apply: typeof strategy === 'function' ? strategy : STRATEGIES[strategy],
+            strategy: typeof strategy === 'function' ? 'function' : strategy
+        };
+    });
+
+    // (table, column) -> rule, looked up once per column
+    const ruleCache = new Map();
+    const ruleFor = (table, column) => {
+        const key = `${table}\0${column}`;
+        if (!ruleCache.has(key)) ruleCache.set(key, rules.find(r => r.matches(table, column)) || null);
+        return ruleCache.get(key);
+    };
+
+    /**
+     * Mask one value. Null stays null; other values are masked as text.
+     *
+     * @param {string} table - Table name as stored in the catalog, optionally schema-qualified
+     * @param {string} column - Column name as stored in the catalog
+     * @param {*} value
+     * @returns {*} - The masked value, or `value` when no rule matches
+     */
+    const maskValue = (table, column, value) => {
+        const rule = ruleFor(table, column);
+        if (!rule || value === null || value === undefined) return value;
+
+        const text = String(value);
+        const digest = crypto.createHmac('sha256', secret || DEFAULT_SECRET).update(text).digest();
+        const masked = rule.apply(text, {
+            table,
+            column,
+            digest,
+            hash: digest.toString('hex'),
+            pick: list => list[digest.readUInt32BE(0) % list.length]
+        });
+        return masked === undefined ? null : masked;
+    };
+
+    /**
+     * Mask a SQL literal, keeping its cast. Expressions other than string and
+     * number literals (DEFAULT, function calls) are only replaced by the
+     * 'null' strategy.
+     *
+     * @returns {string} - SQL literal
+     */
+    const maskLiteral = (table, column, literal) => {
+        const rule = ruleFor(table, column);
+        if (!rule || /^null$/i.test(literal)) return literal;
+
+        const parsed = seed.parseLiteral(literal);
+        if (!parsed) return rule.strategy === 'null' ? 'NULL' : literal;
+
+        const masked = maskValue(table, column, parsed.value);
+        if (masked === null) return 'NULL';
+        if (typeof masked === 'number' || (parsed.number && /^-?\d+(\.\d+)?$/.test(masked))) return String(masked);
+        return `${quoteString(masked)}${parsed.cast}`;
+    };
+
+    return { secretSet: Boolean(secret), ruleFor, maskValue, maskLiteral };
+}
+
+/**
+ * Mask the `column = literal` pairs of an UPDATE, as the native engine writes
+ * them to fill in cycle-breaking foreign keys.
+ */
+function maskUpdate(statement, masker) {
+    const match = statement.match(/^update\s+([^\s]+)\s+set\s+([\s\S]*)$/i);
+    if (!match) return statement;
+
+    const table = seed.unquoteName(match[1]);
+    const literal = /E?'(?:[^']|'')*'(?:::[\w ."[\]()]+)?|-?\d+(?:\.\d+)?\b|NULL\b/i.source;
+    const pair = new RegExp(`("(?:[^"]|"")*"|[A-Za-z_][\\w$]*)(\\s*=\\s*)(${literal})`, 'g');
+    return statement.slice(0, statement.length - match[2].length)
+        + match[2].replace(pair, (m, column, eq, value) => `${column}${eq}${masker.maskLiteral(table, seed.unquoteName(column), value)}`);
+}
+
+/**
+ * Mask a seed: the values of INSERTs and UPDATEs in masked columns.
+ * Comments at the top of the seed are kept; the statements are re-rendered
+ * the way mergeSeeds writes them.
+ *
+ * @param {string} sql - Seed SQL
+ * @param {Object} masker - From createMasker
+ * @returns {{sql: string, columns: Array<{table: string, column: string, strategy: string, rows: number}>}}
+ *   `columns` lists the masked columns and how many rows they were masked in
+ */
+function maskSeed(sql, masker) {
+    const header = (sql.match(/^(?:--[^\n]*\n|\s*\n)*/) || [''])[0];
+    const masked = new Map();
+    const count = (table, column, rows) => {
+        const rule = masker.ruleFor(table, column);
+        if (!rule) return;
+        const key = `${table}\0${column}`;
+        if (!masked.has(key)) masked.set(key, { table, column, strategy: rule.strategy, rows: 0 });
+        masked.get(key).rows += rows;
+    };
+
+    const statements = seed.splitStatements(sql).map((statement) => {
+        const insert = seed.parseInsert(statement);
+        if (!insert) {
+            return `${/^update\s/i.test(statement) ? maskUpdate(statement, masker) : statement};`;
+        }
+
+        const table = seed.unquoteName(insert.table);
+        const columns = insert.columns.map(c => seed.unquoteName(c));
+        if (!columns.some(c => masker.ruleFor(table, c))) {
+            return `${insert.head}\n    ${insert.rows.join(',\n    ')};`;
+        }
+
+        columns.forEach(c => count(table, c, insert.rows.length));
+        const rows = insert.rows.map((row) => {
+            const values = seed.splitTopLevel(row.slice(1, -1));
+            return `(${values.map((value, i) => masker.maskLiteral(table, columns[i], value)).join(', ')})`;
+        });
+        return `${insert.head}\n    ${rows.join(',\n    ')};`;
+    });
+
+    return {
+        sql: `${header.trim() ? `${header.trimEnd()}\n\n` : ''}${statements.join('\n\n')}\n`,
+        columns: Array.from(masked.values())
+    };
+}
+
+module.exports = {
+    STRATEGIES: Object.keys(STRATEGIES),
+    createMasker,
+    maskSeed
+};
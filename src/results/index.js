@@ -0,0 +1,269 @@
+/**
+ * Seedify Offline Seed Builder
+ *
+ * Builds seed SQL from the SELECT results recorded by the capturer
+ * (start({ captureResults: true })), without connecting to the source database.
+ *
+ * Result fields carry the table OID and column number of every plain column.
+ * OIDs are mapped to table names by lining the fields up with the query's
+ * target list (see analyzer.describeSelectTargets); one query that names a
+ * table is enough to resolve its OID in every other query. Rows of the same
+ * table are merged by their `id` column when it is present.
+ *
+ * Nothing is known about foreign keys offline, so tables are ordered by
+ * `<table>_id` column names: `orders.user_id` puts users before orders.
+ */
+
+const { describeSelectTargets } = require('../analyzer');
+const { quoteIdent, quoteQualified, quoteString, arrayLiteral, objectText } = require('../sql');
+
+const NUMERIC_TYPES = new Set([20, 21, 23, 26, 700, 701, 1700]);
+const JSON_TYPES = new Set([114, 3802]);
+const BOOL_TYPE = 16;
+
+/**
+ * Learn table names and column names per table OID from the captured queries.
+ *
+ * @returns {{tables: Map<number, string>, columns: Map<number, Map<number, string>>}}
+ */
+function resolveTableOids(entries) {
+    const tables = new Map();
+    const columns = new Map();
+
+    const learn = (oid, table, columnID, column) => {
+        if (!oid || !table) return;
+        if (!tables.has(oid)) {
+            tables.set(oid, table);
+            columns.set(oid, new Map());
+        }
+        if (tables.get(oid) === table && column && !columns.get(oid).has(columnID)) {
+            columns.get(oid).set(columnID, column);
+        }
+    };
+
+    for (const { query, result } of entries) {
+        const targets = describeSelectTargets(query);
+        if (!targets) continue;
+
+        const { fields } = result;
+        let f = 0;
+
+        for (const target of targets) {
+            if (f >= fields.length) break;
+
+            if (!target || !target.star) {
+                const field = fields[f++];
+                if (target && target.table) learn(field.tableID, target.table, field.columnID, target.column);
+                continue;
+            }
+
+            // A star expands to one run of fields per FROM item; a run is
+            // only recognisable by its table OID
+            let aligned = true;
+            for (const table of target.tables) {
+                const oid = f < fields.length ? fields[f].tableID : 0;
+                if (!oid) {
+                    aligned = false;
+                    break;
+                }
+                while (f < fields.length && fields[f].tableID === oid) {
+                    learn(oid, table, fields[f].columnID, fields[f].name);
+                    f++;
+                }
+            }
+            if (!aligned) break;
+        }
+    }
+
+    return { tables, columns };
+}
+
+/**
+ * Split one result row into per-table parts. A table appearing twice (a
+ * self-join) yields one part per occurrence.
+ *
+ * Rows are keyed by field name, so when two fields share a name only the
+ * last one's value is real; the earlier ones are left out.
+ */
+function splitRow(fields, row, known) {
+    const parts = [];
+    const lastIndex = new Map(fields.map((f, i) => [f.name, i]));
+
+    fields.forEach((field, i) => {
+        if (!known.has(field.tableID)) return;
+
+        let value;
+        if (Array.isArray(row)) {
+            value = row[i];
+        } else {
+            if (lastIndex.get(field.name) !== i) return;
+            value = row[field.name];
+        }
+        if (value === undefined) return;
+
+        let part = parts.find(p => p.oid === field.tableID && !p.values.has(field.columnID));
+        if (!part) {
+            part = { oid: field.tableID, values: new Map() };
+            parts.push(part);
+        }
+        part.values.set(field.columnID, { value, dataTypeID: field.dataTypeID });
+    });
+
+    return parts;
+}
+
+/**
+ * Render a captured value as a SQL literal for a column of the given type.
+ */
+function renderValue(value, dataTypeID) {
+    if (value === null || value === undefined) return 'NULL';
+    if (JSON_TYPES.has(dataTypeID)) return quoteString(JSON.stringify(value));
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : quoteString(String(value));
+    if (NUMERIC_TYPES.has(dataTypeID) && /^-?\d+(\.\d+)?$/.test(String(value))) return String(value);
+    if (Array.isArray(value)) return quoteString(arrayLiteral(value));
+    if (typeof value === 'object') {
+        const text = objectText(value, dataTypeID);
+        return quoteString(text === null ? JSON.stringify(value) : text);
+    }
+    if (dataTypeID === BOOL_TYPE) return value === 't' || value === 'true' ? 'TRUE' : 'FALSE';
+    return quoteString(value);
+}
+
+/**
+ * Singular form of a table name, for matching `<singular>_id` columns.
+ */
+function singular(name) {
+    const base = name.split('.').pop().toLowerCase();
+    if (base.endsWith('ies')) return `${base.slice(0, -3)}y`;
+    if (/(s|x|ch|sh)es$/.test(base)) return base.slice(0, -2);
+    if (base.endsWith('s')) return base.slice(0, -1);
+    return base;
+}
+
+/**
+ * Order tables so that a table with a `<parent>_id` column comes after
+ * <parent>. Ties and cycles are broken alphabetically, so the order doesn't
+ * depend on the order queries were captured in.
+ */
+function orderTables(tables) {
+    const names = new Map(tables.map(t => [t.table, new Set([t.table.split('.').pop().toLowerCase(), singular(t.table)])]));
+
+    const parentsOf = t => tables.filter(other => other !== t && t.columnNames.some((column) => {
+        const match = column.toLowerCase().match(/^(.+)_id$/);
+        return match && names.get(other.table).has(match[1]);
+    }));
+
+    const remaining = [...tables].sort((a, b) => (a.table < b.table ? -1 : a.table > b.table ? 1 : 0));
+    const order = [];
+    while (remaining.length > 0) {
+        const ready = remaining.find(t => parentsOf(t).every(p => !remaining.includes(p))) || remaining[0];
+        order.push(ready);
+        remaining.splice(remaining.indexOf(ready), 1);
+    }
+    return order;
+}
+
+/**
+ * Build seed SQL from captured query results.
+ * The SQL parser must already be loaded (analyzer.loadParser()).
+ *
+ * @param {Array<Object>} entries - Captured queries; entries without a result are ignored
+ * @returns {{sql: string, tables: Array<{table: string, rows: number}>, resultCount: number, unresolvedCount: number}}
+ *   `unresolvedCount` counts table OIDs no query could be matched to a table name
+ */
+function buildSeedFromResults(entries) {
+    const withResults = entries.filter(e => e.result && Array.isArray(e.result.fields) && e.result.fields.length > 0);
+    const { tables: oidTables, columns: oidColumns } = resolveTableOids(withResults);
+
+    // OID -> { table, parts: Array<Map(columnID -> {value, dataTypeID})> }
+    const byOid = new Map();
+    const unresolved = new Set();
+
+    for (const { result } of withResults) {
+        result.fields.forEach((f) => {
+            if (!f.tableID) return;
+            if (!oidTables.has(f.tableID)) {
+                unresolved.add(f.tableID);
+                return;
+            }
+            // Columns no query lined up: the field name is the best guess
+            const names = oidColumns.get(f.tableID);
+            if (!names.has(f.columnID)) names.set(f.columnID, f.name);
+        });
+
+        for (const row of result.rows) {
+            for (const part of splitRow(result.fields, row, oidTables)) {
+                if (!byOid.has(part.oid)) {
+                    byOid.set(part.oid, { table: oidTables.get(part.oid), parts: [] });
+                }
+                byOid.get(part.oid).parts.push(part.values);
+            }
+        }
+    }
+
+    const tables = [];
+    for (const [oid, entry] of byOid) {
+        const columnNames = oidColumns.get(oid);
+        const idColumn = Array.from(columnNames).find(([, name]) => name === 'id');
+        const idColumnID = idColumn ? idColumn[0] : null;
+
+        // Merge the parts by id, or by their full contents without one
+        const rows = new Map();
+        for (const values of entry.parts) {
+            let identity;
+            if (idColumnID !== null) {
+                if (!values.has(idColumnID)) continue;
+                identity = JSON.stringify(values.get(idColumnID).value);
+            } else {
+                identity = JSON.stringify(Array.from(values).sort((a, b) => a[0] - b[0]).map(([id, v]) => [id, v.value]));
+            }
+
+            if (!rows.has(identity)) rows.set(identity, new Map());
+            const merged = rows.get(identity);
+            for (const [columnID, value] of values) {
+                if (!merged.has(columnID)) merged.set(columnID, value);
+            }
+        }
+
+        if (rows.size === 0) continue;
+
+        const columnIDs = Array.from(new Set(Array.from(rows.values()).flatMap(r => Array.from(r.keys()))))
+            .filter(id => columnNames.has(id))
+            .sort((a, b) => a - b);
+
+        tables.push({
+            table: entry.table,
+            columnIDs,
+            columnNames: columnIDs.map(id => columnNames.get(id)),
+            rows: Array.from(rows.values())
+        });
+    }
+
+    const ordered = orderTables(tables);
+    const statements = ordered.map((t) => {
+        const [schema, name] = t.table.includes('.') ? t.table.split(/\.(.*)/) : [null, t.table];
+        const tuples = t.rows.map(row => `(${t.columnIDs.map((id) => {
+            const cell = row.get(id);
+            return cell ? renderValue(cell.value, cell.dataTypeID) : 'DEFAULT';
+        }).join(', ')})`);
+
+        return `INSERT INTO ${quoteQualified(schema, name)}(${t.columnNames.map(quoteIdent).join(', ')}) VALUES\n    ${tuples.join(',\n    ')};`;
+    });
+
+    const header = [
+        '-- Generated by seedify from captured query results',
+        '-- Table order is inferred from <table>_id column names'
+    ].join('\n');
+
+    return {
+        sql: [header, ...statements].join('\n\n') + '\n',
+        tables: ordered.map(t => ({ table: t.table, rows: t.rows.length })),
+        resultCount: withResults.length,
+        unresolvedCount: unresolved.size
+    };
+}
+
+module.exports = {
+    buildSeedFromResults
+};
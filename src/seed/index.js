@@ -0,0 +1,433 @@
+/**
+ * Seedify Seed Utilities
+ *
+ * Parses the SQL files that Jailer exports into statements and rows, so the
+ * output of several extraction runs can be merged into one deduplicated seed.
+ */
+
+const { quoteString } = require('../sql');
+
+/**
+ * Splits a SQL script into statements.
+ * Semicolons inside string literals, quoted identifiers and comments are ignored.
+ * Comments between statements are dropped.
+ *
+ * @param {string} sql - SQL script
+ * @returns {string[]} - Statements without the trailing semicolon
+ */
+function splitStatements(sql) {
+    const statements = [];
+    let current = '';
+    let i = 0;
+
+    while (i < sql.length) {
+        const ch = sql[i];
+        const next = sql[i + 1];
+
+        // Line comment
+        if (ch === '-' && next === '-') {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end + 1;
+            if (current.trim()) current += '\n';
+            continue;
+        }
+
+        // Block comment
+        if (ch === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = end === -1 ? sql.length : end + 2;
+            continue;
+        }
+
+        // String literal or quoted identifier ('' and "" are escapes)
+        if (ch === '\'' || ch === '"') {
+            let j = i + 1;
+            while (j < sql.length) {
+                if (sql[j] === ch) {
+                    if (sql[j + 1] === ch) {
+                        j += 2;
+                        continue;
+                    }
+                    break;
+                }
+                j++;
+            }
+            current += sql.slice(i, j + 1);
+            i = j + 1;
+            continue;
+        }
+
+        if (ch === ';') {
+            if (current.trim()) statements.push(current.trim());
+            current = '';
+            i++;
+            continue;
+        }
+
+        current += ch;
+        i++;
+    }
+
+    if (current.trim()) statements.push(current.trim());
+    return statements;
+}
+
+/**
+ * Splits a comma-separated list at the top level, respecting parentheses and quotes.
+ *
+ * @param {string} text - List text
+ * @returns {string[]} - Trimmed list items
+ */
+function splitTopLevel(text) {
+    const items = [];
+    let depth = 0;
+    let start = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quote) {
+            if (ch === quote) {
+                if (text[i + 1] === quote) {
+                    i++;
+                } else {
+                    quote = null;
+                }
+            }
+            continue;
+        }
+
+        if (ch === '\'' || ch === '"') {
+            quote = ch;
+        } else if (ch === '(') {
+            depth++;
+        } else if (ch === ')') {
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            items.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+
+    const last = text.slice(start).trim();
+    if (last) items.push(last);
+    return items;
+}
+
+/**
+ * Parses an INSERT statement as written by Jailer's SQL export.
+ *
+ * @param {string} statement - Single SQL statement
+ * @returns {{table: string, columns: string[], head: string, overriding: string|null, rows: string[]}|null}
+ *   `head` is the statement up to and including VALUES, `overriding` 'SYSTEM'
+ *   or 'USER' for an OVERRIDING ... VALUE clause, `rows` are the raw value
+ *   tuples including their parentheses. Null if not a VALUES insert.
+ */
+function parseInsert(statement) {
+    const match = statement.match(/^(insert\s+into\s+([^\s(]+)\s*\(([^)]*)\)\s*(?:overriding\s+(system|user)\s+value\s+)?values)\s*([\s\S]*)$/i);
+    if (!match) return null;
+
+    const rows = splitTopLevel(match[5]);
+    if (rows.length === 0 || !rows.every(r => r.startsWith('(') && r.endsWith(')'))) {
+        return null;
+    }
+
+    return {
+        table: match[2],
+        columns: match[3].split(',').map(c => c.trim()),
+        head: match[1].replace(/\s+/g, ' '),
+        overriding: match[4] ? match[4].toUpperCase() : null,
+        rows
+    };
+}
+
+/**
+ * Merges several Jailer SQL exports into one seed.
+ * Statements keep their original order (each export is already in dependency
+ * order, so appending keeps parents ahead of children). Rows already emitted
+ * by an earlier export are dropped, as are repeated non-INSERT statements.
+ *
+ * @param {string[]} sqls - SQL exports, in the order they should be applied
+ * @returns {{sql: string, stats: Array<{rows: number, newRows: number}>, tables: Array<{table: string, rows: number}>}}
+ *   `stats[i]` reports how many rows export i contained and how many of them
+ *   were not already present in an earlier export. `tables` counts the rows
+ *   of the merged seed per table, in order of first appearance.
+ */
+function mergeSeeds(sqls) {
+    const seenRows = new Set();
+    const seenStatements = new Set();
+    const output = [];
+    const stats = [];
+    const tableRows = new Map();
+
+    for (const sql of sqls) {
+        const stat = { rows: 0, newRows: 0 };
+
+        for (const statement of splitStatements(sql)) {
+            const insert = parseInsert(statement);
+
+            if (!insert) {
+                const key = statement.replace(/\s+/g, ' ');
+                if (!seenStatements.has(key)) {
+                    seenStatements.add(key);
+                    output.push(`${statement};`);
+                }
+                continue;
+            }
+
+            const newRows = [];
+            for (const row of insert.rows) {
+                stat.rows++;
+                const key = `${unquoteName(insert.table)}:${row.replace(/\s+/g, ' ')}`;
+                if (seenRows.has(key)) continue;
+                seenRows.add(key);
+                newRows.push(row);
+            }
+
+            if (newRows.length > 0) {
+                stat.newRows += newRows.length;
+                tableRows.set(insert.table, (tableRows.get(insert.table) || 0) + newRows.length);
+                output.push(`${insert.head}\n    ${newRows.join(',\n    ')};`);
+            }
+        }
+
+        stats.push(stat);
+    }
+
+    const header = `-- Generated by seedify from ${sqls.length} extraction run(s)\n\n`;
+    return {
+        sql: header + output.join('\n\n') + '\n',
+        stats,
+        tables: Array.from(tableRows, ([table, rows]) => ({ table, rows }))
+    };
+}
+
+/**
+ * Name as stored in the catalog: quoted identifiers keep their case, others
+ * are folded to lower case. Qualified names are unquoted part by part.
+ */
+function unquoteName(name) {
+    return (name.match(/"(?:[^"]|"")*"|[^.]+/g) || [])
+        .map(part => (part.startsWith('"') ? part.slice(1, -1).replace(/""/g, '"') : part.toLowerCase()))
+        .join('.');
+}
+
+/**
+ * Parse a string or number literal as the seed writers render them: numbers,
+ * and '' or E'' strings with an optional cast. Escapes are resolved.
+ *
+ * @param {string} literal - SQL literal
+ * @returns {{value: string, cast: string, number: boolean}|null} - Null for anything else
+ *   (NULL, DEFAULT, TRUE, expressions)
+ */
+function parseLiteral(literal) {
+    if (/^-?\d+(\.\d+)?$/.test(literal)) return { value: literal, cast: '', number: true };
+
+    const match = literal.match(/^(E?)'((?:[^']|'')*)'((?:::[\w ."[\]()]+)?)$/i);
+    if (!match) return null;
+
+    let value = match[2].replace(/''/g, "'");
+    if (match[1]) {
+        const escapes = { n: '\n', r: '\r', t: '\t' };
+        value = value.replace(/\\(.)/g, (m, ch) => (escapes[ch] !== undefined ? escapes[ch] : ch));
+    }
+    return { value, cast: match[3], number: false };
+}
+
+/**
+ * Build `setval` statements that move each serial or identity sequence past
+ * the largest value the seed inserts into its column, so rows the tests
+ * insert later don't collide with seeded ids. A sequence that is already
+ * further along on the target database is left where it is.
+ *
+ * @param {string} sql - Seed SQL
+ * @param {function(string, string): (string|null)} sequenceFor - (table, column) -> sequence
+ *   name, or null when the column has none (see extractor.columnSequences)
+ * @returns {{sql: string, sequences: Array<{table: string, column: string, sequence: string, value: string}>}}
+ *   `sql` is empty when there is nothing to reset; `value` is a decimal string
+ */
+function sequenceResets(sql, sequenceFor) {
+    // "table\0column" -> { table, column, sequence, max }
+    const found = new Map();
+
+    for (const statement of splitStatements(sql)) {
+        const insert = parseInsert(statement);
+        if (!insert) continue;
+
+        const table = unquoteName(insert.table);
+        insert.columns.forEach((rawColumn, index) => {
+            const column = unquoteName(rawColumn);
+            const key = `${table}\0${column}`;
+            if (!found.has(key)) {
+                const sequence = sequenceFor(table, column);
+                found.set(key, sequence ? { table, column, sequence, max: null } : null);
+            }
+            const entry = found.get(key);
+            if (!entry) return;
+
+            for (const row of insert.rows) {
+                const value = splitTopLevel(row.slice(1, -1))[index];
+                if (!/^-?\d+$/.test(value || '')) continue;
+                if (entry.max === null || BigInt(value) > entry.max) entry.max = BigInt(value);
+            }
+        });
+    }
+
+    const sequences = Array.from(found.values())
+        .filter(e => e && e.max !== null)
+        .map(e => ({ table: e.table, column: e.column, sequence: e.sequence, value: e.max.toString() }));
+    if (sequences.length === 0) return { sql: '', sequences };
+
+    const statements = sequences.map(({ sequence, value }) => {
+        const name = quoteString(sequence);
+        return `SELECT setval(${name}, GREATEST(${value}::bigint, COALESCE(pg_sequence_last_value(${name}), 0)));`;
+    });
+    return {
+        sql: `-- Move sequences past the seeded ids\n${statements.join('\n')}\n`,
+        sequences
+    };
+}
+
+/**
+ * A seed literal as text, to compare with captured values: strings and
+ * numbers by their value, NULL as null, anything else lower-cased.
+ */
+function literalText(literal) {
+    const parsed = parseLiteral(literal);
+    if (parsed) return parsed.value;
+    return /^null$/i.test(literal) ? null : literal.toLowerCase();
+}
+
+/**
+ * Parse `a = 1, b = 'x'` (separator ',') or `a = 1 AND b = 2` (' AND ') into
+ * column -> text. Null when a part isn't a plain `column = literal`.
+ */
+function parseAssignments(text, separator) {
+    const parts = separator === ',' ? splitTopLevel(text) : text.split(/\s+and\s+/i);
+    const values = {};
+    for (const part of parts) {
+        const match = part.match(/^("(?:[^"]|"")*"|[A-Za-z_][\w$]*)\s*=\s*([\s\S]+)$/);
+        if (!match) return null;
+        values[unquoteName(match[1])] = literalText(match[2].trim());
+    }
+    return values;
+}
+
+/**
+ * Drop the rows of a seed that the tests insert themselves, which would make
+ * the test's INSERT fail on a duplicate key, and the rows referencing them.
+ * A created row matches a seeded row when it sets every primary key column
+ * to the same value; the UPDATEs that fill in dropped rows go as well.
+ *
+ * @param {string} sql - Seed SQL
+ * @param {Array<{table: string, values: Object<string, any>}>} created - Rows the tests insert
+ * @param {function(string): ({key: string, primaryKey: string[]|null,
+ *   foreignKeys: Array<{columns: string[], parent: string, refColumns: string[]}>}|null)} tableInfo -
+ *   table name -> its schema key, primary key and foreign keys (parents by schema key)
+ * @returns {{sql: string, excluded: Array<{table: string, rows: number}>}}
+ */
+function excludeRows(sql, created, tableInfo) {
+    // schema key -> column -> text of each dropped (or created) row
+    const dropped = new Map();
+    const drop = (key, values) => {
+        if (!dropped.has(key)) dropped.set(key, []);
+        dropped.get(key).push(values);
+    };
+    const isDropped = (key, columns, valueOf) => (dropped.get(key) || []).some(values => columns.every(
+        (c, i) => values[c] !== undefined && values[c] !== null && values[c] === valueOf(i)
+    ));
+
+    for (const row of created) {
+        const info = tableInfo(row.table);
+        if (!info) continue;
+        const values = {};
+        Object.entries(row.values).forEach(([column, value]) => {
+            values[column] = value === null || value === undefined ? null : String(value);
+        });
+        drop(info.key, values);
+    }
+    if (dropped.size === 0) return { sql, excluded: [] };
+
+    const header = (sql.match(/^(?:--[^\n]*\n|\s*\n)*/) || [''])[0];
+    const statements = splitStatements(sql).map((statement) => {
+        const insert = parseInsert(statement);
+        if (insert) {
+            const table = unquoteName(insert.table);
+            const columns = insert.columns.map(c => unquoteName(c));
+            const rows = insert.rows.map((text) => {
+                const literals = splitTopLevel(text.slice(1, -1)).map(literalText);
+                return { text, values: Object.fromEntries(columns.map((c, i) => [c, literals[i]])), dropped: false };
+            });
+            return { statement, insert, table, info: tableInfo(table), rows };
+        }
+
+        const update = statement.match(/^update\s+([^\s]+)\s+set\s+([\s\S]+?)\s+where\s+([\s\S]+)$/i);
+        const set = update && parseAssignments(update[2], ',');
+        const where = update && parseAssignments(update[3], 'and');
+        if (!set || !where) return { statement };
+        return { statement, table: unquoteName(update[1]), info: tableInfo(unquoteName(update[1])), set, where };
+    });
+
+    const inserts = statements.filter(st => st.insert && st.info);
+    // UPDATEs fill in foreign keys left NULL by the INSERT: read the row with them applied
+    for (const st of statements.filter(u => u.set && u.info && u.info.primaryKey)) {
+        const pk = st.info.primaryKey;
+        for (const insert of inserts.filter(i => i.info.key === st.info.key)) {
+            const row = insert.rows.find(r => pk.every(c => r.values[c] !== undefined && r.values[c] === st.where[c]));
+            if (!row) continue;
+            for (const [column, value] of Object.entries(st.set)) {
+                if (row.values[column] === null || row.values[column] === undefined) row.values[column] = value;
+            }
+        }
+    }
+
+    // Until nothing changes, as a dropped row can be referenced by an earlier statement
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const { info, rows } of inserts) {
+            for (const row of rows) {
+                if (row.dropped) continue;
+                const valueOf = columns => i => row.values[columns[i]];
+                const hit = (info.primaryKey && isDropped(info.key, info.primaryKey, valueOf(info.primaryKey)))
+                    || info.foreignKeys.some(fk => isDropped(fk.parent, fk.refColumns, valueOf(fk.columns)));
+                if (!hit) continue;
+                row.dropped = true;
+                changed = true;
+                drop(info.key, row.values);
+            }
+        }
+    }
+
+    const excluded = [];
+    const output = [];
+    for (const st of statements) {
+        if (st.insert) {
+            const kept = st.rows.filter(r => !r.dropped);
+            if (kept.length < st.rows.length) excluded.push({ table: st.table, rows: st.rows.length - kept.length });
+            if (kept.length > 0) output.push(`${st.insert.head}\n    ${kept.map(r => r.text).join(',\n    ')};`);
+            continue;
+        }
+        if (st.where && st.info && st.info.primaryKey && isDropped(st.info.key, st.info.primaryKey, i => st.where[st.info.primaryKey[i]])) {
+            continue;
+        }
+        output.push(`${st.statement};`);
+    }
+
+    return {
+        sql: `${header.trim() ? `${header.trimEnd()}\n\n` : ''}${output.join('\n\n')}\n`,
+        excluded
+    };
+}
+
+module.exports = {
+    splitStatements,
+    splitTopLevel,
+    parseInsert,
+    unquoteName,
+    parseLiteral,
+    mergeSeeds,
+    sequenceResets,
+    excludeRows
+};
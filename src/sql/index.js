@@ -0,0 +1,232 @@
+/**
+ * Seedify SQL Helpers
+ *
+ * Identifier and literal quoting shared by the extractors and seed writers.
+ */
+
+// Keywords that must be quoted when used as identifiers: the reserved ones,
+// and those PostgreSQL allows only as type or function names
+const RESERVED_WORDS = new Set([
+    'all', 'analyse', 'analyze', 'and', 'any', 'array', 'as', 'asc', 'asymmetric',
+    'both', 'case', 'cast', 'check', 'collate', 'column', 'constraint', 'create',
+    'current_catalog', 'current_date', 'current_role', 'current_time',
+    'current_timestamp', 'current_user', 'default', 'deferrable', 'desc',
+    'distinct', 'do', 'else', 'end', 'except', 'false', 'fetch', 'for', 'foreign',
+    'from', 'grant', 'group', 'having', 'in', 'initially', 'intersect', 'into',
+    'lateral', 'leading', 'limit', 'localtime', 'localtimestamp', 'not', 'null',
+    'offset', 'on', 'only', 'or', 'order', 'placing', 'primary', 'references',
+    'returning', 'select', 'session_user', 'some', 'symmetric', 'system_user',
+    'table', 'then', 'to', 'trailing', 'true', 'union', 'unique', 'user', 'using',
+    'variadic', 'when', 'where', 'window', 'with',
+    // Type and function names only
+    'authorization', 'between', 'binary', 'collation', 'concurrently', 'cross',
+    'current_schema', 'freeze', 'full', 'ilike', 'inner', 'is', 'isnull', 'join',
+    'left', 'like', 'natural', 'notnull', 'outer', 'overlaps', 'right', 'similar',
+    'tablesample', 'verbose'
+]);
+
+/**
+ * Quote an identifier if PostgreSQL would not read it back unchanged.
+ *
+ * @param {string} name - Identifier as stored in the catalog
+ * @returns {string}
+ */
+function quoteIdent(name) {
+    if (/^[a-z_][a-z0-9_$]*$/.test(name) && !RESERVED_WORDS.has(name)) {
+        return name;
+    }
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a schema-qualified name.
+ *
+ * @param {string|null} schema - Schema name, or null for an unqualified name
+ * @param {string} name - Table name
+ * @returns {string}
+ */
+function quoteQualified(schema, name) {
+    return schema ? `${quoteIdent(schema)}.${quoteIdent(name)}` : quoteIdent(name);
+}
+
+/**
+ * Split a table name into its schema and table parts. Parts in double quotes
+ * are unquoted and marked `quoted`; others are kept as written, so catalog
+ * names (`tenant_42.users`, `CamelCaseTable`) and SQL names
+ * (`public."CamelCaseTable"`, `"order"`) both split.
+ *
+ * @param {string} name - Table name, optionally schema-qualified
+ * @returns {{schema: {text: string, quoted: boolean}|null, table: {text: string, quoted: boolean}}}
+ */
+function splitQualified(name) {
+    const parts = (name.match(/"(?:[^"]|"")*"|[^.]+/g) || []).map(part => (part.startsWith('"')
+        ? { text: part.slice(1, -1).replace(/""/g, '"'), quoted: true }
+        : { text: part, quoted: false }));
+    const table = parts.pop() || { text: '', quoted: false };
+    return { schema: parts.length > 0 ? parts[parts.length - 1] : null, table };
+}
+
+/**
+ * Matcher for a table name pattern from the config (`users`,
+ * `tenant_42.users`, `"CamelCaseTable"`). Unquoted parts match
+ * case-insensitively, quoted parts exactly; a pattern without a schema
+ * matches the table in any schema.
+ *
+ * @param {string} pattern - Table name pattern
+ * @returns {function(string): boolean} - Tests a catalog table name, optionally schema-qualified
+ */
+function tableMatcher(pattern) {
+    const expected = splitQualified(pattern);
+    const same = (part, text) => (part.quoted ? part.text === text : part.text.toLowerCase() === text.toLowerCase());
+    return (tableName) => {
+        const { schema, table } = splitQualified(tableName);
+        if (!same(expected.table, table.text)) return false;
+        return !expected.schema || (schema !== null && same(expected.schema, schema.text));
+    };
+}
+
+/**
+ * Quote a string as a SQL literal. Backslashes switch to an E'' literal so the
+ * result is the same whatever standard_conforming_strings is set to.
+ *
+ * @param {string} value - String value
+ * @returns {string}
+ */
+function quoteString(value) {
+    const escaped = String(value).replace(/'/g, "''");
+    if (escaped.includes('\\')) {
+        return `E'${escaped.replace(/\\/g, '\\\\')}'`;
+    }
+    return `'${escaped}'`;
+}
+
+/**
+ * PostgreSQL array literal text, e.g. {1,2} or {"a b",NULL}.
+ *
+ * @param {Array} values - Array elements, possibly nested
+ * @returns {string}
+ */
+function arrayLiteral(values) {
+    return `{${values.map((v) => {
+        if (v === null || v === undefined) return 'NULL';
+        if (Array.isArray(v)) return arrayLiteral(v);
+        const text = typeof v === 'object' ? JSON.stringify(v) : String(v);
+        return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }).join(',')}}`;
+}
+
+// Type OIDs pg parses into objects
+const INTERVAL_OID = 1186;
+const POINT_OID = 600;
+const CIRCLE_OID = 718;
+const INTERVAL_FIELDS = ['years', 'months', 'days', 'hours', 'minutes', 'seconds'];
+
+/**
+ * Interval input text for postgres-interval fields, e.g. `1 days 2 hours`.
+ */
+function intervalText(value) {
+    const seconds = (value.seconds || 0) + (value.milliseconds || 0) / 1000;
+    const parts = INTERVAL_FIELDS
+        .map(field => [field, field === 'seconds' ? seconds : value[field]])
+        .filter(([, amount]) => amount)
+        .map(([field, amount]) => `${amount} ${field}`);
+    return parts.length > 0 ? parts.join(' ') : '0';
+}
+
+/**
+ * PostgreSQL text form of a value pg parsed into an object: anything with
+ * toPostgres() (intervals, range libraries), and intervals, points and
+ * circles by type OID, also after a JSON round trip.
+ *
+ * @param {Object} value - Parsed value
+ * @param {number|null} [dataTypeID] - Type OID of the column
+ * @returns {string|null} - Null when the object is no such value
+ */
+function objectText(value, dataTypeID) {
+    if (typeof value.toPostgres === 'function') return String(value.toPostgres(v => v));
+    if (dataTypeID === INTERVAL_OID) return intervalText(value);
+    if (dataTypeID === POINT_OID) return `(${value.x},${value.y})`;
+    if (dataTypeID === CIRCLE_OID) return `<(${value.x},${value.y}),${value.radius}>`;
+    return null;
+}
+
+// Type families, by the names format_type() returns
+const NUMERIC_TYPE = /^(smallint|integer|bigint|numeric|decimal|real|double precision|oid)(\(\d+(,\s*\d+)?\))?$/;
+const TEXT_TYPE = /^(text|character varying|character|varchar|char|name|citext)(\(\d+\))?$/;
+
+/**
+ * Whether a value is a Buffer, or a Buffer after a JSON round trip.
+ */
+function isBuffer(value) {
+    return Buffer.isBuffer(value)
+        || (value && value.type === 'Buffer' && Array.isArray(value.data));
+}
+
+/**
+ * bytea hex input text for a Buffer (or its JSON form).
+ */
+function bufferText(value) {
+    return `\\x${Buffer.from(Buffer.isBuffer(value) ? value : value.data).toString('hex')}`;
+}
+
+/**
+ * Render a JavaScript value (a query param, possibly after a JSON round trip)
+ * as a SQL literal. When the column type is known the literal is cast to it,
+ * except for text and numeric columns where PostgreSQL infers it anyway.
+ * Without a type, Dates become timestamptz, Buffers bytea and plain objects
+ * jsonb.
+ *
+ * @param {*} value - Value to render
+ * @param {string|null} [type] - Column type as format_type() prints it, e.g. 'timestamp with time zone'
+ * @returns {string}
+ */
+function renderLiteral(value, type) {
+    if (value === null || value === undefined) return 'NULL';
+
+    const cast = literal => (type && !TEXT_TYPE.test(type) ? `${literal}::${type}` : literal);
+
+    if (Array.isArray(value)) {
+        return cast(quoteString(arrayLiteral(value.map(v => (isBuffer(v) ? bufferText(v) : v)))));
+    }
+
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+
+    if (typeof value === 'bigint' || (typeof value === 'number' && Number.isFinite(value))) {
+        return type && !NUMERIC_TYPE.test(type) ? cast(quoteString(String(value))) : String(value);
+    }
+
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) return 'NULL';
+        return type ? cast(quoteString(value.toISOString())) : `${quoteString(value.toISOString())}::timestamptz`;
+    }
+
+    if (isBuffer(value)) {
+        return `${quoteString(bufferText(value))}::bytea`;
+    }
+
+    if (typeof value === 'object') {
+        return type ? cast(quoteString(JSON.stringify(value))) : `${quoteString(JSON.stringify(value))}::jsonb`;
+    }
+
+    if (type && NUMERIC_TYPE.test(type) && /^-?\d+(\.\d+)?$/.test(String(value))) {
+        return String(value);
+    }
+    if (type === 'boolean' && /^(t|f|true|false)$/i.test(String(value))) {
+        return /^t/i.test(String(value)) ? 'TRUE' : 'FALSE';
+    }
+
+    return cast(quoteString(String(value)));
+}
+
+module.exports = {
+    quoteIdent,
+    quoteQualified,
+    splitQualified,
+    tableMatcher,
+    quoteString,
+    arrayLiteral,
+    objectText,
+    renderLiteral
+};
@@ -0,0 +1,113 @@
+/**
+ * Seedify Validate
+ *
+ * Checks the analyzer's conditions against the database catalog. The
+ * analyzer only sees query text: a table it found may not exist, a column
+ * may be misattributed, and an unqualified column in a join is assigned to
+ * the query's first table. With the schema model from extractor.loadSchema,
+ * each condition is
+ *
+ *   kept       when its table has the column,
+ *   corrected  when the column belongs to another of the query's tables, or
+ *              the table is only found in a schema off the search_path,
+ *   rejected   otherwise, with the reason.
+ */
+
+const analyzer = require('../analyzer');
+const extractor = require('../extractor');
+
+/**
+ * Find a table from the analyzer in the schema model.
+ *
+ * @returns {{name: string, table: Object}|null} - `name` is the table name to
+ *   use in conditions: as given when it resolves through the search_path,
+ *   schema-qualified otherwise
+ */
+function findTable(schema, name) {
+    const key = extractor.resolveTableKey(schema, name);
+    if (!key) return null;
+
+    const table = schema.tables.get(key);
+    const onPath = name.includes('.') || (schema.searchPath || ['public']).includes(table.schema);
+    return { name: onPath ? name : key, table };
+}
+
+/**
+ * One condition as text, for the report.
+ *
+ * @param {{table: string, column: string, operator?: string, values: any[]}} condition
+ * @returns {string}
+ */
+function describeCondition(condition) {
+    const operator = condition.operator || (condition.values.length > 1 ? 'IN' : '=');
+    const values = condition.values.map(v => JSON.stringify(v)).join(', ');
+    return `${condition.table}.${condition.column} ${operator}${values ? ` ${condition.values.length > 1 ? `(${values})` : values}` : ''}`;
+}
+
+/**
+ * Why no candidate table has the column.
+ */
+function rejectionReason(column, candidates, found) {
+    const missing = candidates.filter((c, i) => !found[i]);
+    if (missing.length === candidates.length) {
+        return missing.length === 1
+            ? `table ${missing[0]} does not exist`
+            : `none of the tables ${missing.join(', ')} exist`;
+    }
+    return `column ${column} does not exist in ${found.filter(Boolean).map(f => f.name).join(' or ')}`;
+}
+
+/**
+ * Validate an analysis' conditions against the catalog.
+ *
+ * @param {{conditions: Array<Object>}} analysis - From analyzer.analyzeFile
+ * @param {{tables: Map, searchPath?: string[]}} schema - Schema model (extractor.loadSchema)
+ * @returns {{analysis: Object, rejected: Array<{table: string, column: string, operator?: string,
+ *   values: any[], reason: string}>, corrected: Array<{table: string, column: string, to: string, reason: string}>}}
+ *   `analysis` is a copy with the kept and corrected conditions, merged again
+ */
+function validateConditions(analysis, schema) {
+    const kept = [];
+    const rejected = [];
+    const corrected = [];
+
+    for (const condition of analysis.conditions) {
+        const { candidates: listed, ...rest } = condition;
+        const candidates = listed || [condition.table];
+        const found = candidates.map(name => (name ? findTable(schema, name) : null));
+        const owners = found.filter(f => f && f.table.columns.some(c => c.name === condition.column));
+
+        if (owners.length === 0) {
+            rejected.push({ ...rest, reason: rejectionReason(condition.column, candidates, found) });
+            continue;
+        }
+        if (owners.length > 1) {
+            rejected.push({ ...rest, reason: `column ${condition.column} is ambiguous between ${owners.map(o => o.name).join(' and ')}` });
+            continue;
+        }
+
+        const [owner] = owners;
+        if (owner.name !== condition.table) {
+            corrected.push({
+                table: condition.table,
+                column: condition.column,
+                to: owner.name,
+                reason: owner.table.name === condition.table
+                    ? `${condition.table} is only found in schema ${owner.table.schema}, which is not on the search_path`
+                    : `column ${condition.column} belongs to ${owner.name}`
+            });
+        }
+        kept.push({ ...rest, table: owner.name });
+    }
+
+    return {
+        analysis: { ...analysis, conditions: analyzer.mergeConditions(kept) },
+        rejected,
+        corrected
+    };
+}
+
+module.exports = {
+    validateConditions,
+    describeCondition
+};
@@ -3,7 +3,8 @@
  */
 const assert = require('assert');
 const path = require('path');
-const { analyzeFile, generateJailerConditions } = require('../src/analyzer');
+const fs = require('fs').promises;
+const { analyzeFile, analyzeFileByGroup, readQueries, generateJailerConditions } = require('../src/analyzer');
 
 describe('Analyzer Integration', function () {
     describe('analyzeFile', function () {
@@ -38,4 +39,79 @@ describe('Analyzer Integration', function () {
             console.log('Jailer conditions:', JSON.stringify(jailerConditions, null, 2));
         });
     });
+
+    describe('analyzeFileByGroup', function () {
+        const groupedFile = path.join(__dirname, 'fixtures', 'grouped_queries.jsonl');
+
+        before(async function () {
+            const queries = [
+                { query: 'SELECT * FROM settings', params: [] },
+                { query: 'SELECT * FROM users WHERE id = $1', params: [1], context: { test: 'users loads', file: 'users.test.js' } },
+                { query: 'SELECT * FROM users WHERE id = $1', params: [2], context: { test: 'users updates', file: 'users.test.js' } },
+                { query: 'SELECT * FROM orders WHERE id = $1', params: [9], context: { test: 'orders loads', file: 'orders.test.js' } }
+            ];
+            await fs.writeFile(groupedFile, queries.map(q => JSON.stringify(q)).join('\n'));
+        });
+
+        after(async function () {
+            await fs.unlink(groupedFile).catch(() => { });
+        });
+
+        it('should produce a condition set per test', async function () {
+            const groups = await analyzeFileByGroup(groupedFile, 'test');
+            const byTest = Object.fromEntries(groups.map(g => [g.test, generateJailerConditions(g.analysis)]));
+
+            assert.deepStrictEqual(Object.keys(byTest), ['null', 'users loads', 'users updates', 'orders loads']);
+            assert.deepStrictEqual(byTest['users loads'], [{ table: 'users', condition: 'id = 1' }]);
+            assert.deepStrictEqual(byTest['users updates'], [{ table: 'users', condition: 'id = 2' }]);
+        });
+
+        it('should produce a condition set per spec file', async function () {
+            const groups = await analyzeFileByGroup(groupedFile, 'file');
+            const usersGroup = groups.find(g => g.file === 'users.test.js');
+
+            assert.strictEqual(groups.length, 3);
+            assert.strictEqual(usersGroup.test, null);
+            assert.deepStrictEqual(generateJailerConditions(usersGroup.analysis), [
+                { table: 'users', condition: 'id IN (1, 2)' }
+            ]);
+        });
+    });
+
+    describe('readQueries', function () {
+        const workerDir = path.join(__dirname, 'fixtures', 'worker_queries');
+
+        before(async function () {
+            await fs.mkdir(workerDir, { recursive: true });
+            await fs.writeFile(path.join(workerDir, 'queries-101.jsonl'), [
+                JSON.stringify({ query: 'SELECT * FROM users WHERE id = $1', params: [1], timestamp: 1 }),
+                JSON.stringify({ query: 'SELECT * FROM users WHERE id = $1', params: [3], timestamp: 3 })
+            ].join('\n') + '\n');
+            // Worker killed mid-write: the last line is cut off
+            await fs.writeFile(path.join(workerDir, 'queries-102.jsonl'),
+                `${JSON.stringify({ query: 'SELECT * FROM users WHERE id = $1', params: [2], timestamp: 2 })}\n{"query":"SELE`);
+            await fs.writeFile(path.join(workerDir, 'notes.txt'), 'not queries');
+        });
+
+        after(async function () {
+            await fs.rm(workerDir, { recursive: true, force: true });
+        });
+
+        it('should read every worker file in a directory in timestamp order', async function () {
+            const entries = await readQueries(workerDir);
+            assert.deepStrictEqual(entries.map(e => e.params[0]), [1, 2, 3]);
+        });
+
+        it('should read files matching a glob', async function () {
+            const entries = await readQueries(path.join(workerDir, 'queries-101*.jsonl'));
+            assert.deepStrictEqual(entries.map(e => e.params[0]), [1, 3]);
+        });
+
+        it('should analyze a directory like a single file', async function () {
+            const analysis = await analyzeFile(workerDir);
+            assert.deepStrictEqual(generateJailerConditions(analysis), [
+                { table: 'users', condition: 'id IN (1, 2, 3)' }
+            ]);
+        });
+    });
 });
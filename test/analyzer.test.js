@@ -2,7 +2,15 @@
  * Tests for the query analyzer
  */
 const assert = require('assert');
-const { extractTableNames, extractIdConditions } = require('../src/analyzer');
+const {
+    extractTableNames,
+    extractTableReferences,
+    analyzeQuery,
+    extractIdConditions,
+    mergeConditions,
+    addWriteDependencies,
+    generateJailerConditions
+} = require('../src/analyzer');
 
 describe('Query Analyzer', function () {
     describe('extractTableNames', function () {
@@ -42,6 +50,27 @@ describe('Query Analyzer', function () {
             assert.ok(tables.includes('uc_orders'));
         });
 
+        it('should not report CTE names as tables', function () {
+            const query = 'WITH recent AS (SELECT * FROM orders WHERE id > $1) SELECT * FROM recent r JOIN users u ON u.id = r.user_id';
+            const tables = extractTableNames(query);
+            assert.deepStrictEqual(tables.sort(), ['orders', 'users']);
+        });
+
+        it('should preserve quoted identifiers', function () {
+            const tables = extractTableNames('SELECT * FROM "UserAccounts" WHERE "Id" = $1');
+            assert.deepStrictEqual(tables, ['UserAccounts']);
+        });
+
+        it('should extract tables from ON CONFLICT and RETURNING statements', function () {
+            const query = 'INSERT INTO users (id, name) VALUES ($1, $2) ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name RETURNING id';
+            const tables = extractTableNames(query);
+            assert.deepStrictEqual(tables, ['users']);
+        });
+
+        it('should return no tables for unparsable queries', function () {
+            assert.deepStrictEqual(extractTableNames('SELEC * FRM users'), []);
+        });
+
         it('should extract table from INSERT', function () {
             const query = 'INSERT INTO users (name, email) VALUES ($1, $2)';
             const tables = extractTableNames(query);
@@ -59,9 +88,120 @@ describe('Query Analyzer', function () {
             const tables = extractTableNames(query);
             assert.deepStrictEqual(tables, ['users']);
         });
+
+        it('should ask for loadParser() before the parser has loaded', function () {
+            this.timeout(20000);
+            // A fresh process, calling straight after require()
+            const output = require('child_process').execFileSync(process.execPath, ['-e', `
+                const analyzer = require(${JSON.stringify(require.resolve('../src/analyzer'))});
+                try {
+                    analyzer.extractTableNames('SELECT * FROM users');
+                } catch (e) {
+                    console.log(e.message);
+                }
+            `], { encoding: 'utf-8' });
+
+            assert.match(output, /Call await analyzer\.loadParser\(\) first/);
+        });
+    });
+
+    describe('extractTableReferences', function () {
+        it('should resolve FROM, AS and JOIN aliases', function () {
+            const query = 'SELECT * FROM users AS u JOIN orders o ON u.id = o.user_id WHERE u.id = $1';
+            const refs = extractTableReferences(query);
+
+            assert.deepStrictEqual(refs.map(r => [r.table, r.alias]), [
+                ['users', 'u'],
+                ['orders', 'o']
+            ]);
+        });
+
+        it('should handle comma-separated FROM lists', function () {
+            const query = 'SELECT * FROM users u, orders o WHERE u.id = o.user_id';
+            const tables = extractTableNames(query);
+            assert.deepStrictEqual(tables, ['users', 'orders']);
+        });
+
+        it('should not treat keywords as aliases', function () {
+            const refs = extractTableReferences('SELECT * FROM users WHERE id = $1');
+            assert.strictEqual(refs[0].alias, null);
+        });
     });
 
     describe('extractIdConditions', function () {
+        it('should rewrite aliased conditions to the real table', function () {
+            const query = 'SELECT * FROM users u JOIN orders o ON u.id = o.user_id WHERE u.id = $1 AND o.status = $2';
+            const conditions = extractIdConditions(query, [42, 'paid']);
+
+            assert.ok(conditions.some(c => c.table === 'users' && c.column === 'id' && c.values.includes(42)));
+            assert.ok(conditions.some(c => c.table === 'orders' && c.column === 'status' && c.values.includes('paid')));
+            assert.ok(!conditions.some(c => c.table === 'u' || c.table === 'o'));
+        });
+
+        it('should not emit a second unqualified condition for qualified columns', function () {
+            const query = 'SELECT * FROM users u JOIN orders o ON u.id = o.user_id WHERE o.user_id = $1';
+            const conditions = extractIdConditions(query, [42]);
+
+            assert.deepStrictEqual(conditions, [
+                { table: 'orders', column: 'user_id', values: [42] }
+            ]);
+        });
+
+        it('should emit exactly one condition per predicate', function () {
+            const query = 'SELECT * FROM users WHERE users.id = $1';
+            const conditions = extractIdConditions(query, [42]);
+
+            assert.deepStrictEqual(conditions, [
+                { table: 'users', column: 'id', values: [42] }
+            ]);
+        });
+
+        it('should resolve columns inside LATERAL subqueries', function () {
+            const query = `SELECT * FROM users u
+                JOIN LATERAL (SELECT * FROM logs WHERE action = $1 AND user_id = u.id) l ON true
+                WHERE u.id = $2`;
+            const conditions = extractIdConditions(query, ['login', 7]);
+
+            assert.ok(conditions.some(c => c.table === 'logs' && c.column === 'action' && c.values.includes('login')));
+            assert.ok(conditions.some(c => c.table === 'users' && c.column === 'id' && c.values.includes(7)));
+        });
+
+        it('should skip conditions on CTE columns', function () {
+            const query = 'WITH t AS (SELECT user_id FROM orders) SELECT * FROM t WHERE t.user_id = $1';
+            const conditions = extractIdConditions(query, [1]);
+            assert.deepStrictEqual(conditions, []);
+        });
+
+        it('should skip redacted params', function () {
+            const query = 'SELECT * FROM sessions WHERE token = $1 AND user_id IN ($2, $3)';
+            const conditions = extractIdConditions(query, ['[REDACTED]', 7, '[REDACTED]']);
+            assert.deepStrictEqual(conditions, [{ table: 'sessions', column: 'user_id', values: [7] }]);
+        });
+
+        it('should handle casts and reversed comparisons', function () {
+            const query = 'SELECT * FROM orders WHERE $1 < amount AND id = $2::int';
+            const conditions = extractIdConditions(query, [100, 5]);
+
+            assert.ok(conditions.some(c => c.column === 'amount' && c.operator === '>' && c.values.includes(100)));
+            assert.ok(conditions.some(c => c.column === 'id' && c.values.includes(5)));
+        });
+
+        it('should not treat UPDATE SET assignments as conditions', function () {
+            const query = 'UPDATE users SET name = $1 WHERE id = $2';
+            const conditions = extractIdConditions(query, ['bob', 3]);
+
+            assert.deepStrictEqual(conditions, [
+                { table: 'users', column: 'id', values: [3] }
+            ]);
+        });
+
+        it('should attribute unqualified columns in subqueries to the subquery table', function () {
+            const query = 'SELECT * FROM users u WHERE u.id IN (SELECT user_id FROM orders WHERE status = $1)';
+            const conditions = extractIdConditions(query, ['paid']);
+
+            assert.ok(conditions.some(c => c.table === 'orders' && c.column === 'status'));
+        });
+
         it('should extract simple id = $1 condition', function () {
             const query = 'SELECT * FROM users WHERE id = $1';
             const params = [42];
@@ -185,5 +325,236 @@ describe('Query Analyzer', function () {
                 c.values.includes('ELEC')
             ));
         });
+
+        it('should only take number literals for ID-like columns', function () {
+            const query = 'SELECT * FROM orders o WHERE o.user_id = 5 AND o."customerId" = 6 AND o.paid = 1 AND o.valid = 0';
+            const conditions = extractIdConditions(query, []);
+
+            assert.deepStrictEqual(conditions.map(c => c.column), ['user_id', 'customerId']);
+        });
+
+        it('should list the candidate tables of unqualified columns in joins', function () {
+            const query = 'SELECT * FROM users u JOIN orders o ON o.user_id = u.id WHERE total > $1 AND u.id = $2';
+            const conditions = extractIdConditions(query, [100, 1]);
+
+            assert.deepStrictEqual(conditions[0], { table: 'users', column: 'total', operator: '>', values: [100], candidates: ['users', 'orders'] });
+            assert.strictEqual(conditions[1].candidates, undefined);
+        });
+    });
+
+    describe('writes', function () {
+        it('should map INSERT column lists to their values', function () {
+            const { writes } = analyzeQuery(
+                "INSERT INTO shop.orders (user_id, product_id, note, created_at) VALUES ($1, $2, 'x', now()), (7, DEFAULT, NULL, now())",
+                [5, 'p-1']
+            );
+
+            assert.deepStrictEqual(writes, [
+                { table: 'shop.orders', operation: 'insert', values: { user_id: 5, product_id: 'p-1', note: 'x' } },
+                { table: 'shop.orders', operation: 'insert', values: { user_id: 7, note: null } }
+            ]);
+        });
+
+        it('should map UPDATE assignments and keep the WHERE as a condition', function () {
+            const { writes, conditions } = analyzeQuery('UPDATE orders SET user_id = $1, total = total + 1 WHERE id = $2', [3, 10]);
+
+            assert.deepStrictEqual(writes, [{ table: 'orders', operation: 'update', values: { user_id: 3 } }]);
+            assert.deepStrictEqual(conditions, [{ table: 'orders', column: 'id', values: [10] }]);
+            assert.deepStrictEqual(analyzeQuery('DELETE FROM orders WHERE id = $1', [11]).conditions, [{ table: 'orders', column: 'id', values: [11] }]);
+        });
+    });
+
+    describe('addWriteDependencies', function () {
+        const references = (table, column) => ({
+            'orders.user_id': { table: 'users', column: 'id' },
+            'orders.product_id': { table: 'products', column: 'id' }
+        })[`${table}.${column}`] || null;
+
+        it('should turn written foreign keys into conditions on the referenced tables', function () {
+            const analysis = {
+                conditions: [{ table: 'users', column: 'id', values: [1] }],
+                writes: [
+                    { table: 'orders', operation: 'insert', values: { user_id: 2, product_id: 9, note: 'x' } },
+                    { table: 'orders', operation: 'update', values: { user_id: 3 } }
+                ]
+            };
+
+            assert.deepStrictEqual(addWriteDependencies(analysis, references).conditions, [
+                { table: 'users', column: 'id', values: [1, 2, 3] },
+                { table: 'products', column: 'id', values: [9] }
+            ]);
+        });
+
+        it('should skip rows the tests insert themselves', function () {
+            const analysis = {
+                conditions: [],
+                writes: [
+                    { table: 'users', operation: 'insert', values: { id: 2 } },
+                    { table: 'orders', operation: 'insert', values: { user_id: 2 } }
+                ]
+            };
+
+            assert.strictEqual(addWriteDependencies(analysis, references), analysis);
+        });
+    });
+
+    describe('mergeConditions', function () {
+        it('should keep operators distinct for the same column', function () {
+            const merged = mergeConditions([
+                { table: 'orders', column: 'amount', operator: '>=', values: [100] },
+                { table: 'orders', column: 'amount', values: [5] },
+                { table: 'orders', column: 'amount', operator: 'IS NULL', values: [] }
+            ]);
+
+            assert.deepStrictEqual(merged, [
+                { table: 'orders', column: 'amount', operator: '>=', values: [100] },
+                { table: 'orders', column: 'amount', values: [5] },
+                { table: 'orders', column: 'amount', operator: 'IS NULL', values: [] }
+            ]);
+        });
+
+        it('should union equality values into one IN list', function () {
+            const merged = mergeConditions([
+                { table: 'users', column: 'id', values: [1] },
+                { table: 'users', column: 'id', values: [2, 1] }
+            ]);
+            assert.deepStrictEqual(merged, [{ table: 'users', column: 'id', values: [1, 2] }]);
+        });
+
+        it('should keep the loosest range bounds', function () {
+            const merged = mergeConditions([
+                { table: 'orders', column: 'amount', operator: '>=', values: [100] },
+                { table: 'orders', column: 'amount', operator: '>=', values: [50] },
+                { table: 'orders', column: 'created_at', operator: '<=', values: ['2024-01-01'] },
+                { table: 'orders', column: 'created_at', operator: '<=', values: ['2024-06-01'] }
+            ]);
+
+            assert.deepStrictEqual(merged, [
+                { table: 'orders', column: 'amount', operator: '>=', values: [50] },
+                { table: 'orders', column: 'created_at', operator: '<=', values: ['2024-06-01'] }
+            ]);
+        });
+
+        it('should compare numeric strings and dates by value', function () {
+            const merged = mergeConditions([
+                { table: 'orders', column: 'amount', operator: '>=', values: ['5'] },
+                { table: 'orders', column: 'amount', operator: '>=', values: ['100'] },
+                { table: 'orders', column: 'amount', operator: '<', values: ['9007199254740993'] },
+                { table: 'orders', column: 'amount', operator: '<', values: ['9007199254740992'] },
+                { table: 'orders', column: 'created_at', operator: '<', values: ['2024-01-02'] },
+                { table: 'orders', column: 'created_at', operator: '<', values: [new Date('2024-01-10T00:00:00Z')] },
+                { table: 'orders', column: 'total', operator: 'BETWEEN', values: ['9', '20'] },
+                { table: 'orders', column: 'total', operator: 'BETWEEN', values: ['10', '100'] }
+            ]);
+
+            assert.deepStrictEqual(merged.map(c => c.values), [
+                ['5'],
+                ['9007199254740993'],
+                [new Date('2024-01-10T00:00:00Z')],
+                ['9', '100']
+            ]);
+        });
+
+        it('should union BETWEEN ranges', function () {
+            const merged = mergeConditions([
+                { table: 'orders', column: 'total', operator: 'BETWEEN', values: [1, 10] },
+                { table: 'orders', column: 'total', operator: 'BETWEEN', values: [5, 20] },
+                { table: 'orders', column: 'total', operator: 'BETWEEN', values: [50, 60] }
+            ]);
+
+            assert.deepStrictEqual(merged.map(c => c.values), [[1, 20], [50, 60]]);
+        });
+
+        it('should intersect NOT IN lists', function () {
+            const merged = mergeConditions([
+                { table: 'orders', column: 'status', operator: 'NOT IN', values: ['a', 'b'] },
+                { table: 'orders', column: 'status', operator: 'NOT IN', values: ['b', 'c'] }
+            ]);
+            assert.deepStrictEqual(merged, [
+                { table: 'orders', column: 'status', operator: 'NOT IN', values: ['b'] }
+            ]);
+        });
+    });
+
+    describe('generateJailerConditions', function () {
+        it('should OR distinct predicates into one subject per table', function () {
+            const jailer = generateJailerConditions({
+                conditions: [
+                    { table: 'orders', column: 'amount', operator: '>=', values: [100] },
+                    { table: 'orders', column: 'amount', values: [5] },
+                    { table: 'orders', column: 'deleted_at', operator: 'IS NULL', values: [] },
+                    { table: 'users', column: 'id', values: [1, 2] }
+                ]
+            });
+
+            assert.deepStrictEqual(jailer, [
+                { table: 'orders', condition: '(amount >= 100) OR (amount = 5) OR (deleted_at IS NULL)' },
+                { table: 'users', condition: 'id IN (1, 2)' }
+            ]);
+        });
+
+        it('should escape string literals', function () {
+            const [subject] = generateJailerConditions({
+                conditions: [{ table: 'users', column: 'name', values: ["O'Brien", "x'); DROP TABLE users; --", 'C:\\tmp'] }]
+            });
+
+            assert.strictEqual(subject.condition,
+                "name IN ('O''Brien', 'x''); DROP TABLE users; --', E'C:\\\\tmp')");
+        });
+
+        it('should render dates, buffers, objects, booleans and bigints', function () {
+            const conditions = [
+                { table: 't', column: 'created_at', operator: '>=', values: [new Date('2024-01-02T03:04:05.000Z')] },
+                { table: 't', column: 'payload', values: [Buffer.from('hi')] },
+                { table: 't', column: 'raw', values: [{ type: 'Buffer', data: [1, 255] }] },
+                { table: 't', column: 'meta', values: [{ plan: 'pro' }] },
+                { table: 't', column: 'active', values: [true] },
+                { table: 't', column: 'big_id', values: [BigInt('9007199254740993')] }
+            ];
+            const predicates = conditions.map(c => generateJailerConditions({ conditions: [c] })[0].condition);
+
+            assert.deepStrictEqual(predicates, [
+                "created_at >= '2024-01-02T03:04:05.000Z'::timestamptz",
+                "payload = E'\\\\x6869'::bytea",
+                "raw = E'\\\\x01ff'::bytea",
+                'meta = \'{"plan":"pro"}\'::jsonb',
+                'active = TRUE',
+                'big_id = 9007199254740993'
+            ]);
+        });
+
+        it('should drop NULLs that can never match', function () {
+            const jailer = generateJailerConditions({
+                conditions: [
+                    { table: 'users', column: 'id', values: [1, null] },
+                    { table: 'users', column: 'status', operator: 'NOT IN', values: ['x', null] },
+                    { table: 'orders', column: 'id', values: [null] }
+                ]
+            });
+
+            assert.deepStrictEqual(jailer, [{ table: 'users', condition: 'id = 1' }]);
+        });
+
+        it('should cast literals to known column types', function () {
+            const types = { 'events.occurred_at': 'timestamp with time zone', 'events.data': 'jsonb', 'events.id': 'bigint', 'events.name': 'text' };
+            const jailer = generateJailerConditions({
+                conditions: [
+                    { table: 'events', column: 'occurred_at', operator: '>', values: ['2024-01-01'] },
+                    { table: 'events', column: 'data', values: ['{"a":1}'] },
+                    { table: 'events', column: 'id', values: ['42'] },
+                    { table: 'events', column: 'name', values: ['x'] }
+                ]
+            }, { columnType: (table, column) => types[`${table}.${column}`] });
+
+            assert.deepStrictEqual(jailer, [{
+                table: 'events',
+                condition: "(occurred_at > '2024-01-01'::timestamp with time zone) OR (data = '{\"a\":1}'::jsonb) OR (id = 42) OR (name = 'x')"
+            }]);
+        });
+
+        it('should quote column names that need it', function () {
+            const [subject] = generateJailerConditions({ conditions: [{ table: 'users', column: 'Order', values: [1] }] });
+            assert.strictEqual(subject.condition, '"Order" = 1');
+        });
     });
 });
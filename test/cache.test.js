@@ -0,0 +1,95 @@
+/**
+ * Tests for the extraction cache
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildSchema } = require('../src/extractor');
+const { cacheKey, schemaFingerprint, readStamp, writeStamp, createSubjectCache } = require('../src/cache');
+
+const col = (table, column, type = 'integer') => ({
+    schema: 'public', table, column, type, not_null: false, generated: false
+});
+const fk = (name, table, columns, refTable, refColumns) => ({
+    name, type: 'f', deferrable: false, schema: 'public', table, columns,
+    ref_schema: 'public', ref_table: refTable, ref_columns: refColumns
+});
+
+describe('Cache', function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seedify-cache-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('schemaFingerprint', function () {
+        const columns = [col('users', 'id'), col('orders', 'id'), col('orders', 'user_id')];
+        const constraints = [fk('orders_user_id_fkey', 'orders', ['user_id'], 'users', ['id'])];
+
+        it('should not depend on catalog order', function () {
+            assert.strictEqual(
+                schemaFingerprint(buildSchema(columns, constraints)),
+                schemaFingerprint(buildSchema([columns[1], columns[2], columns[0]], constraints))
+            );
+        });
+
+        it('should change with a column type or a foreign key', function () {
+            const fingerprint = schemaFingerprint(buildSchema(columns, constraints));
+
+            assert.notStrictEqual(schemaFingerprint(buildSchema([...columns.slice(0, 2), col('orders', 'user_id', 'bigint')], constraints)), fingerprint);
+            assert.notStrictEqual(schemaFingerprint(buildSchema(columns, [])), fingerprint);
+            assert.match(fingerprint, /^[0-9a-f]{64}$/);
+        });
+    });
+
+    describe('stamps', function () {
+        it('should read back the key and null for a missing file', async function () {
+            const file = path.join(dir, 'cache', 'datamodel.json');
+
+            assert.strictEqual(await readStamp(file), null);
+            await writeStamp(file, cacheKey(['abc']));
+            assert.strictEqual(await readStamp(file), cacheKey(['abc']));
+        });
+    });
+
+    describe('createSubjectCache', function () {
+        it('should return stored exports and count hits and misses', async function () {
+            const subjects = createSubjectCache(path.join(dir, 'subjects'));
+
+            assert.strictEqual(await subjects.get('a'), null);
+            await subjects.set('a', 'INSERT INTO users(id) VALUES (1);');
+
+            const next = createSubjectCache(path.join(dir, 'subjects'));
+            assert.strictEqual(await next.get('a'), 'INSERT INTO users(id) VALUES (1);');
+            assert.strictEqual(await next.get('b'), null);
+            assert.deepStrictEqual([subjects.hits, subjects.misses, next.hits, next.misses], [0, 1, 1, 1]);
+        });
+
+        it('should ignore stored exports when not reading', async function () {
+            await createSubjectCache(path.join(dir, 'subjects')).set('a', 'old');
+            const subjects = createSubjectCache(path.join(dir, 'subjects'), { read: false });
+
+            assert.strictEqual(await subjects.get('a'), null);
+            await subjects.set('a', 'new');
+            assert.strictEqual(await createSubjectCache(path.join(dir, 'subjects')).get('a'), 'new');
+        });
+
+        it('should prune the exports a run did not use', async function () {
+            const first = createSubjectCache(path.join(dir, 'subjects'));
+            await first.set('a', 'a');
+            await first.set('b', 'b');
+
+            const second = createSubjectCache(path.join(dir, 'subjects'));
+            await second.get('a');
+            await second.set('c', 'c');
+
+            assert.strictEqual(await second.prune(), 1);
+            assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'subjects')).sort(), ['a.sql', 'c.sql']);
+        });
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for the capture proxy and the server log import
+ */
+const assert = require('assert');
+const net = require('net');
+const { parseAddress, createSession, createCaptureProxy } = require('../src/capture/proxy');
+const { parseServerLog } = require('../src/capture/server-log');
+
+const cstring = text => Buffer.from(`${text}\0`);
+const int16 = n => Buffer.from([(n >> 8) & 0xff, n & 0xff]);
+const int32 = (n) => {
+    const buf = Buffer.alloc(4);
+    buf.writeInt32BE(n);
+    return buf;
+};
+const message = (type, ...parts) => {
+    const body = Buffer.concat(parts);
+    return Buffer.concat([Buffer.from(type), int32(body.length + 4), body]);
+};
+const SSL_CODE = 80877103;
+const param = value => (value === null ? int32(-1) : Buffer.concat([int32(value.length), value]));
+
+// Parse, Bind and Execute of `SELECT * FROM users WHERE id = $1 AND name = $2`
+// with an int4 sent in binary and a text param
+function extendedQuery(statement = '') {
+    return Buffer.concat([
+        message('P', cstring(statement), cstring('SELECT * FROM users WHERE id = $1 AND name = $2'), int16(2), int32(23), int32(25)),
+        message('B', cstring(''), cstring(statement), int16(2), int16(1), int16(0),
+            int16(2), param(int32(42)), param(Buffer.from('ann')), int16(0)),
+        message('E', cstring(''), int32(0)),
+        message('S')
+    ]);
+}
+
+describe('Capture sources', function () {
+    describe('proxy sessions', function () {
+        it('should record simple queries and executed portals with their params', function () {
+            const entries = [];
+            const handle = createSession(e => entries.push(e));
+            const feed = (buf) => {
+                for (let offset = 0; offset < buf.length;) {
+                    const length = buf.readInt32BE(offset + 1);
+                    handle(String.fromCharCode(buf[offset]), buf.subarray(offset + 5, offset + 1 + length));
+                    offset += length + 1;
+                }
+            };
+
+            feed(message('Q', cstring('SELECT 1')));
+            feed(extendedQuery('s1'));
+
+            assert.deepStrictEqual(entries.map(e => [e.query, e.params, e.name]), [
+                ['SELECT 1', [], undefined],
+                ['SELECT * FROM users WHERE id = $1 AND name = $2', [42, 'ann'], 's1']
+            ]);
+        });
+
+        it('should parse listen and upstream addresses', function () {
+            assert.deepStrictEqual(parseAddress('6432', '127.0.0.1'), { host: '127.0.0.1', port: 6432 });
+            assert.deepStrictEqual(parseAddress('db.internal:5433'), { host: 'db.internal', port: 5433 });
+            assert.throws(() => parseAddress('localhost:x'), /Invalid address/);
+        });
+    });
+
+    describe('createCaptureProxy', function () {
+        let upstream, proxy;
+
+        afterEach(async function () {
+            await Promise.all([proxy, upstream].filter(Boolean).map(s => new Promise(resolve => s.close(resolve))));
+        });
+
+        it('should decline SSL, forward traffic unchanged and record queries', async function () {
+            let received = Buffer.alloc(0);
+            upstream = net.createServer((socket) => {
+                socket.on('data', (chunk) => {
+                    received = Buffer.concat([received, chunk]);
+                    socket.write('R');
+                });
+            });
+            await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+            const entries = [];
+            proxy = createCaptureProxy({ upstream: upstream.address().port, onQuery: e => entries.push(e) });
+            await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+
+            const startup = Buffer.concat([int32(3 << 16), cstring('user'), cstring('app'), Buffer.from([0])]);
+            const startupMessage = Buffer.concat([int32(startup.length + 4), startup]);
+            const traffic = Buffer.concat([message('Q', cstring('BEGIN')), extendedQuery()]);
+
+            const client = net.connect(proxy.address().port, '127.0.0.1');
+            const replies = [];
+            client.on('data', chunk => replies.push(chunk.toString()));
+            await new Promise(resolve => client.once('connect', resolve));
+
+            client.write(Buffer.concat([int32(8), int32(SSL_CODE)]));
+            await new Promise(resolve => client.once('data', resolve));
+            // Split mid-message, as TCP may
+            client.write(Buffer.concat([startupMessage, traffic.subarray(0, 7)]));
+            client.write(traffic.subarray(7));
+            while (received.length < startupMessage.length + traffic.length) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            client.destroy();
+
+            assert.strictEqual(replies[0], 'N');
+            assert.ok(received.equals(Buffer.concat([startupMessage, traffic])));
+            assert.deepStrictEqual(entries.map(e => [e.query, e.params]), [
+                ['BEGIN', []],
+                ['SELECT * FROM users WHERE id = $1 AND name = $2', [42, 'ann']]
+            ]);
+        });
+
+        it('should close connections sending a malformed startup packet length', async function () {
+            upstream = net.createServer(() => { });
+            await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+            const errors = [];
+            proxy = createCaptureProxy({ upstream: upstream.address().port, onQuery: () => { }, onError: e => errors.push(e.message) });
+            await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+
+            for (const length of [0, 4, 1 << 20]) {
+                const client = net.connect(proxy.address().port, '127.0.0.1');
+                const replies = [];
+                client.on('data', chunk => replies.push(chunk));
+                client.on('error', () => { });
+                await new Promise(resolve => client.once('connect', resolve));
+                client.write(Buffer.concat([int32(length), int32(SSL_CODE)]));
+                await new Promise(resolve => client.once('close', resolve));
+
+                assert.deepStrictEqual(replies, []);
+            }
+            assert.deepStrictEqual(errors, [
+                'Invalid startup packet length: 0',
+                'Invalid startup packet length: 4',
+                'Invalid startup packet length: 1048576'
+            ]);
+        });
+
+        it('should close a connection sending a malformed message, and keep serving others', async function () {
+            upstream = net.createServer(socket => socket.on('data', () => { }));
+            await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+            const errors = [];
+            const entries = [];
+            proxy = createCaptureProxy({ upstream: upstream.address().port, onQuery: e => entries.push(e), onError: e => errors.push(e.message) });
+            await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+
+            const startup = Buffer.concat([int32(3 << 16), cstring('user'), cstring('app'), Buffer.from([0])]);
+            const connect = async () => {
+                const client = net.connect(proxy.address().port, '127.0.0.1');
+                client.on('error', () => { });
+                await new Promise(resolve => client.once('connect', resolve));
+                client.write(Buffer.concat([int32(startup.length + 4), startup]));
+                return client;
+            };
+
+            // A Bind claiming 5 params it doesn't carry
+            const bad = await connect();
+            bad.write(message('B', cstring(''), cstring(''), int16(0), int16(5)));
+            await new Promise(resolve => bad.once('close', resolve));
+
+            const good = await connect();
+            good.write(message('Q', cstring('SELECT 1')));
+            while (entries.length === 0) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            good.destroy();
+
+            assert.strictEqual(errors.length, 1);
+            assert.match(errors[0], /^Invalid 'B' message/);
+            assert.deepStrictEqual(entries.map(e => e.query), ['SELECT 1']);
+        });
+    });
+
+    describe('parseServerLog', function () {
+        it('should read stderr logs with multi-line statements and parameters', function () {
+            const log = `2024-05-01 10:00:00.123 UTC [4711] app@test LOG:  statement: SELECT * FROM users
+\tWHERE id = 42
+2024-05-01 10:00:00.200 UTC [4712] app@test LOG:  execute <unnamed>: SELECT * FROM orders WHERE user_id = $1 AND note = $2
+2024-05-01 10:00:00.201 UTC [4711] app@test LOG:  execute S_1: SELECT 1
+2024-05-01 10:00:00.202 UTC [4712] app@test DETAIL:  parameters: $1 = '42', $2 = 'it''s'
+2024-05-01 10:00:00.300 UTC [4712] app@test LOG:  duration: 0.050 ms  parse <unnamed>: SELECT 2
+2024-05-01 10:00:00.400 UTC [4712] app@test LOG:  duration: 0.050 ms  execute <unnamed>: SELECT * FROM items WHERE id = $1
+2024-05-01 10:00:00.400 UTC [4712] app@test DETAIL:  parameters: $1 = NULL
+`;
+
+            assert.deepStrictEqual(parseServerLog(log), [
+                { query: 'SELECT * FROM users\nWHERE id = 42', params: [], timestamp: Date.UTC(2024, 4, 1, 10, 0, 0, 123) },
+                { query: 'SELECT * FROM orders WHERE user_id = $1 AND note = $2', params: ['42', "it's"], timestamp: Date.UTC(2024, 4, 1, 10, 0, 0, 200) },
+                { query: 'SELECT 1', params: [], timestamp: Date.UTC(2024, 4, 1, 10, 0, 0, 201), name: 'S_1' },
+                { query: 'SELECT * FROM items WHERE id = $1', params: [null], timestamp: Date.UTC(2024, 4, 1, 10, 0, 0, 400) }
+            ]);
+        });
+
+        it('should read csvlog and jsonlog records', function () {
+            const csv = `2024-05-01 10:00:00.123 UTC,"app","test",4711,"[local]",6630,1,"SELECT",2024-05-01 09:59:00 UTC,3/2,0,LOG,00000,"execute <unnamed>: SELECT * FROM users
+WHERE name = $1","parameters: $1 = 'O''Neil, ""Ann""'",,,,,,,,"psql","client backend",,0
+2024-05-01 10:00:01.000 UTC,"app","test",4711,"[local]",6630,2,"idle",2024-05-01 09:59:00 UTC,3/3,0,LOG,00000,"connection authorized: user=app",,,,,,,,,"psql","client backend",,0
+`;
+            const json = `${JSON.stringify({ timestamp: '2024-05-01 10:00:02.000 UTC', pid: 4711, error_severity: 'LOG', message: 'statement: DELETE FROM carts' })}\n`;
+
+            assert.deepStrictEqual(parseServerLog(csv), [{
+                query: 'SELECT * FROM users\nWHERE name = $1',
+                params: ['O\'Neil, "Ann"'],
+                timestamp: Date.UTC(2024, 4, 1, 10, 0, 0, 123)
+            }]);
+            assert.deepStrictEqual(parseServerLog(json).map(e => e.query), ['DELETE FROM carts']);
+            assert.throws(() => parseServerLog(json, 'syslog'), /Unknown log format/);
+        });
+    });
+});
@@ -44,4 +44,439 @@ describe('Query Capturer', function () {
         capturer.start();
         assert.doesNotThrow(() => capturer.stop());
     });
+
+    describe('pg clients', function () {
+        let pg;
+        let client;
+
+        beforeEach(function () {
+            pg = require('pg');
+            capturer.start();
+            // Queries on a client that never connects are queued, not sent
+            client = new pg.Client();
+        });
+
+        it('should capture text queries with params', function () {
+            client.query('SELECT * FROM users WHERE id = $1', [42]).catch(() => { });
+
+            const queries = capturer.getQueries();
+            assert.strictEqual(queries.length, 1);
+            assert.strictEqual(queries[0].query, 'SELECT * FROM users WHERE id = $1');
+            assert.deepStrictEqual(queries[0].params, [42]);
+        });
+
+        it('should capture pool queries', async function () {
+            // Pretend the pooled client connected, so the pool hands it the query
+            const originalConnect = pg.Client.prototype.connect;
+            pg.Client.prototype.connect = function (callback) {
+                process.nextTick(callback);
+            };
+
+            try {
+                const pool = new pg.Pool({ max: 1 });
+                pool.query('SELECT * FROM users WHERE id = $1', [5]).catch(() => { });
+                await new Promise(resolve => setImmediate(resolve));
+
+                const queries = capturer.getQueries();
+                assert.strictEqual(queries.length, 1);
+                assert.deepStrictEqual(queries[0].params, [5]);
+            } finally {
+                pg.Client.prototype.connect = originalConnect;
+            }
+        });
+
+        it('should resolve prepared statement re-executions by name', function () {
+            client.query({ name: 'get-user', text: 'SELECT * FROM users WHERE id = $1', values: [1] }).catch(() => { });
+            client.query({ name: 'get-user', values: [2] }).catch(() => { });
+
+            const queries = capturer.getQueries();
+            assert.strictEqual(queries.length, 2);
+            assert.strictEqual(queries[1].query, 'SELECT * FROM users WHERE id = $1');
+            assert.strictEqual(queries[1].name, 'get-user');
+            assert.deepStrictEqual(queries[1].params, [2]);
+        });
+
+        it('should capture submittables that wrap a cursor', function () {
+            // Shape of pg-query-stream: the text lives on the wrapped pg-cursor
+            const stream = {
+                cursor: { text: 'SELECT * FROM orders WHERE user_id = $1', values: [7] },
+                submit() { },
+                handleError() { }
+            };
+            client.query(stream);
+
+            const queries = capturer.getQueries();
+            assert.strictEqual(queries[0].query, 'SELECT * FROM orders WHERE user_id = $1');
+            assert.deepStrictEqual(queries[0].params, [7]);
+        });
+
+        it('should patch copies of pg loaded after start', function () {
+            const pgEntries = Object.keys(require.cache).filter(k => /[\\/]node_modules[\\/]pg[\\/]/.test(k));
+            const saved = pgEntries.map(k => [k, require.cache[k]]);
+            pgEntries.forEach(k => delete require.cache[k]);
+
+            try {
+                const secondPg = require('pg');
+                assert.notStrictEqual(secondPg.Client, pg.Client);
+
+                new secondPg.Client().query('SELECT 2').catch(() => { });
+                assert.strictEqual(capturer.getQueries()[0].query, 'SELECT 2');
+
+                capturer.stop();
+                assert.ok(!/patchedQuery/.test(secondPg.Client.prototype.query.name));
+            } finally {
+                saved.forEach(([k, m]) => { require.cache[k] = m; });
+            }
+        });
+
+        it('should tag queries with the current test context', function () {
+            capturer.setContext({ test: 'users loads a user', file: 'test/users.test.js', suite: 'users' });
+            client.query('SELECT * FROM users WHERE id = $1', [1]).catch(() => { });
+            capturer.setContext(null);
+            client.query('SELECT 1').catch(() => { });
+
+            const queries = capturer.getQueries();
+            assert.deepStrictEqual(queries[0].context, {
+                test: 'users loads a user',
+                file: 'test/users.test.js',
+                suite: 'users'
+            });
+            assert.strictEqual(queries[1].context, undefined);
+        });
+
+        it('should keep the test context across clear() and drop it on stop()', function () {
+            capturer.setContext({ test: 'users loads a user' });
+            capturer.clear();
+            client.query('SELECT 1').catch(() => { });
+
+            assert.deepStrictEqual(capturer.getQueries()[0].context, { test: 'users loads a user' });
+            capturer.stop();
+            assert.strictEqual(capturer.getContext(), null);
+        });
+
+        it('should restore the original query method on stop', function () {
+            capturer.stop();
+            assert.notStrictEqual(pg.Client.prototype.query.name, 'patchedQuery');
+        });
+
+        describe('with rules', function () {
+            const run = (options, queries) => {
+                capturer.stop();
+                capturer.start(options);
+                queries.forEach(([text, params]) => client.query(text, params).catch(() => { }));
+                return capturer.getQueries();
+            };
+
+            it('should drop statements matching exclude presets and patterns', function () {
+                const queries = run({ exclude: ['transactions', 'catalog', /^SELECT 1$/] }, [
+                    ['BEGIN'],
+                    ['SELECT * FROM users WHERE id = $1', [1]],
+                    ['SELECT relname FROM pg_catalog.pg_class'],
+                    ['SELECT 1'],
+                    ['ROLLBACK']
+                ]);
+
+                assert.deepStrictEqual(queries.map(q => q.query), ['SELECT * FROM users WHERE id = $1']);
+            });
+
+            it('should keep only statements and tables that are included', function () {
+                const queries = run({ include: ['select'], excludeTables: ['audit_log'] }, [
+                    ['SELECT * FROM users WHERE id = $1', [1]],
+                    ['SELECT * FROM users u JOIN public.audit_log a ON a.user_id = u.id'],
+                    ['DELETE FROM users WHERE id = $1', [1]]
+                ]);
+
+                assert.deepStrictEqual(queries.map(q => q.query), ['SELECT * FROM users WHERE id = $1']);
+            });
+
+            it('should redact params bound to credential columns', function () {
+                const queries = run({ redact: ['credentials'] }, [
+                    ['INSERT INTO users (email, password_hash) VALUES ($1, crypt($2, gen_salt($3)))', ['a@b.c', 'hunter2', 'bf']],
+                    ['SELECT * FROM sessions WHERE token = $1 AND user_id = $2', ['abc', 7]]
+                ]);
+
+                assert.deepStrictEqual(queries[0].params, ['a@b.c', '[REDACTED]', '[REDACTED]']);
+                assert.deepStrictEqual(queries[1].params, ['[REDACTED]', 7]);
+            });
+
+            it('should only redact whole credential words of column names', function () {
+                const queries = run({ redact: ['credentials'] }, [
+                    ['SELECT * FROM trips WHERE passenger_id = $1 AND passport_no = $2 AND bypass = $3 AND tokens_used = $4', [1, 2, 3, 4]],
+                    ['UPDATE users SET "resetToken" = $1, "APIKey" = $2, client_secret = $3 WHERE id = $4', ['a', 'b', 'c', 5]]
+                ]);
+
+                assert.deepStrictEqual(queries[0].params, [1, 2, 3, 4]);
+                assert.deepStrictEqual(queries[1].params, ['[REDACTED]', '[REDACTED]', '[REDACTED]', 5]);
+            });
+
+            it('should run custom redaction hooks', function () {
+                const queries = run({ redact: [entry => (entry.query.includes('secret') ? null : { ...entry, params: [] })] }, [
+                    ['SELECT * FROM secret_things'],
+                    ['SELECT * FROM users WHERE id = $1', [1]]
+                ]);
+
+                assert.strictEqual(queries.length, 1);
+                assert.deepStrictEqual(queries[0].params, []);
+            });
+
+            it('should dedupe identical queries with a hit count', function () {
+                const queries = run({ dedupe: true }, [
+                    ['SELECT * FROM users WHERE id = $1', [1]],
+                    ['SELECT * FROM users WHERE id = $1', [2]],
+                    ['SELECT * FROM users WHERE id = $1', [1]]
+                ]);
+
+                assert.deepStrictEqual(queries.map(q => [q.params[0], q.hits]), [[1, 2], [2, 1]]);
+            });
+
+            it('should apply the rules before dump writes anything', async function () {
+                const fs = require('fs');
+                const os = require('os');
+                const path = require('path');
+                const file = path.join(os.tmpdir(), `seedify-rules-${process.pid}.jsonl`);
+
+                run({ redact: ['credentials'], exclude: ['transactions'] }, [
+                    ['BEGIN'],
+                    ['UPDATE users SET api_key = $1 WHERE id = $2', ['k-123', 5]]
+                ]);
+
+                try {
+                    await capturer.dump(file);
+                    const content = fs.readFileSync(file, 'utf-8');
+                    assert.ok(!content.includes('k-123'));
+                    assert.ok(!content.includes('BEGIN'));
+                    assert.deepStrictEqual(JSON.parse(content).params, ['[REDACTED]', 5]);
+                } finally {
+                    fs.rmSync(file, { force: true });
+                }
+            });
+        });
+
+        describe('with stream', function () {
+            const fs = require('fs');
+            const os = require('os');
+            const path = require('path');
+            let dir;
+
+            beforeEach(function () {
+                capturer.stop();
+                dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seedify-stream-'));
+            });
+
+            afterEach(function () {
+                capturer.stop();
+                fs.rmSync(dir, { recursive: true, force: true });
+            });
+
+            const readLines = file => fs.readFileSync(path.join(dir, file), 'utf-8').trim().split('\n');
+
+            it('should append queries to a per-process file instead of memory', function () {
+                capturer.start({ stream: dir });
+                for (let i = 0; i < 150; i++) {
+                    client.query('SELECT * FROM users WHERE id = $1', [i]).catch(() => { });
+                }
+
+                // The first 100 were flushed as soon as the buffer filled
+                assert.strictEqual(capturer.getQueries().length, 50);
+                capturer.stop();
+
+                const lines = readLines(`queries-${process.pid}.jsonl`);
+                assert.strictEqual(lines.length, 150);
+                assert.deepStrictEqual(JSON.parse(lines[149]).params, [149]);
+            });
+
+            it('should rotate files past maxFileSize', function () {
+                capturer.start({ stream: dir, maxFileSize: 200 });
+                for (let i = 0; i < 5; i++) {
+                    client.query('SELECT * FROM users WHERE id = $1', [i]).catch(() => { });
+                }
+                capturer.stop();
+
+                const files = fs.readdirSync(dir).sort();
+                assert.ok(files.length > 1);
+                assert.ok(files.every(f => f.startsWith(`queries-${process.pid}`)));
+                assert.strictEqual(files.flatMap(readLines).length, 5);
+            });
+
+            it('should remove its exit and signal handlers on stop', function () {
+                const before = ['exit', 'SIGINT', 'SIGTERM'].map(e => process.listenerCount(e));
+                capturer.start({ stream: dir });
+                assert.strictEqual(process.listenerCount('SIGTERM'), before[2] + 1);
+                capturer.stop();
+
+                assert.deepStrictEqual(['exit', 'SIGINT', 'SIGTERM'].map(e => process.listenerCount(e)), before);
+            });
+        });
+
+        describe('with captureResults', function () {
+            const result = {
+                command: 'SELECT',
+                fields: [
+                    { name: 'id', tableID: 16384, columnID: 1, dataTypeID: 23 },
+                    { name: 'born_on', tableID: 16384, columnID: 2, dataTypeID: 1082 },
+                    { name: 'notice', tableID: 16384, columnID: 3, dataTypeID: 1186 },
+                    { name: 'home', tableID: 16384, columnID: 4, dataTypeID: 600 }
+                ],
+                rows: [{
+                    id: 1,
+                    born_on: new Date(1990, 4, 17),
+                    notice: require('pg').types.getTypeParser(1186)('1 day 02:00:00.5'),
+                    home: require('pg').types.getTypeParser(600)('(1.5,2)')
+                }]
+            };
+            let originalQuery;
+
+            beforeEach(function () {
+                // Stand in for a connected client that answers every query
+                capturer.stop();
+                originalQuery = pg.Client.prototype.query;
+                pg.Client.prototype.query = function (config, values, callback) {
+                    const cb = [values, callback].find(a => typeof a === 'function');
+                    if (cb) return setImmediate(() => cb(null, result));
+                    return Promise.resolve(result);
+                };
+                capturer.start({ captureResults: true });
+            });
+
+            afterEach(function () {
+                capturer.stop();
+                pg.Client.prototype.query = originalQuery;
+            });
+
+            it('should record rows and fields of promise queries', async function () {
+                const returned = await client.query('SELECT id, born_on FROM users WHERE id = $1', [1]);
+                assert.strictEqual(returned, result);
+
+                const [entry] = capturer.getQueries();
+                assert.deepStrictEqual(entry.result.fields.map(f => f.tableID), [16384, 16384, 16384, 16384]);
+                assert.deepStrictEqual(entry.result.rows, [{
+                    id: 1, born_on: '1990-05-17', notice: '2 hours 1 days 0.5 seconds', home: '(1.5,2)'
+                }]);
+            });
+
+            it('should record results of callback queries', async function () {
+                await new Promise((resolve) => {
+                    client.query('SELECT id, born_on FROM users', (err, res) => {
+                        assert.strictEqual(res, result);
+                        resolve();
+                    });
+                });
+
+                assert.strictEqual(capturer.getQueries()[0].result.rows.length, 1);
+            });
+
+            it('should not record results unless asked', async function () {
+                capturer.stop();
+                capturer.start();
+                await client.query('SELECT id FROM users');
+
+                assert.strictEqual(capturer.getQueries()[0].result, undefined);
+            });
+        });
+    });
+
+    describe('adapters', function () {
+        const EventEmitter = require('events');
+
+        beforeEach(function () {
+            capturer.start({ pg: false });
+        });
+
+        it('should record postgres.js and Neon queries and keep their own hooks', function () {
+            const seen = [];
+            const options = capturer.adapters.postgres({ max: 1, debug: (conn, query) => seen.push(query) });
+            options.debug(1, 'SELECT * FROM users WHERE id = $1', [7], [23]);
+            capturer.adapters.neon().queryCallback({ query: 'SELECT * FROM orders WHERE id = $1', params: [9] });
+
+            assert.strictEqual(options.max, 1);
+            assert.deepStrictEqual(seen, ['SELECT * FROM users WHERE id = $1']);
+            assert.deepStrictEqual(capturer.getQueries().map(q => [q.query, q.params]), [
+                ['SELECT * FROM users WHERE id = $1', [7]],
+                ['SELECT * FROM orders WHERE id = $1', [9]]
+            ]);
+        });
+
+        it('should record Prisma and Knex query events', function () {
+            const prisma = new EventEmitter();
+            prisma.$on = prisma.on;
+            const knex = capturer.adapters.knex(new EventEmitter());
+            capturer.adapters.prisma(prisma);
+
+            prisma.emit('query', { query: 'SELECT "public"."User"."id" FROM "public"."User" WHERE "public"."User"."id" = $1', params: '[3]' });
+            knex.emit('query', { sql: 'select * from "orders" where "user_id" = ? and "status" = ?', bindings: [3, 'open'] });
+
+            assert.deepStrictEqual(capturer.getQueries().map(q => q.params), [[3], [3, 'open']]);
+            assert.strictEqual(capturer.getQueries()[1].query, 'select * from "orders" where "user_id" = $1 and "status" = $2');
+            assert.throws(() => capturer.adapters.prisma({}), /PrismaClient/);
+        });
+
+        it('should record TypeORM and Sequelize queries through their loggers', function () {
+            const logged = [];
+            const logger = capturer.adapters.typeorm({ logQuery: query => logged.push(query) });
+            logger.logQuery('SELECT * FROM "users" WHERE "id" IN ($1, $2)', [1, 2]);
+            logger.logMigration('ignored');
+
+            const sequelize = capturer.adapters.sequelize({ options: { logging: message => logged.push(message) } });
+            sequelize.options.logging('Executing (default): SELECT * FROM "users" WHERE "id" = $1;', { bind: [5] });
+            sequelize.options.logging('Executed (default): SELECT 1;', 12, { bind: [] });
+            sequelize.options.logging('Connection refused, retrying');
+
+            assert.deepStrictEqual(capturer.getQueries().map(q => [q.query, q.params]), [
+                ['SELECT * FROM "users" WHERE "id" IN ($1, $2)', [1, 2]],
+                ['SELECT * FROM "users" WHERE "id" = $1;', [5]],
+                ['SELECT 1;', []]
+            ]);
+            assert.strictEqual(logged.length, 4);
+        });
+
+        it('should patch pg-compatible modules on every start and record nothing when stopped', function () {
+            class Client {
+                query() {
+                    return Promise.resolve({ rows: [] });
+                }
+            }
+            const original = Client.prototype.query;
+            capturer.adapters.pg({ Client });
+
+            new Client().query('SELECT * FROM users WHERE id = $1', [1]);
+            capturer.stop();
+            assert.strictEqual(Client.prototype.query, original);
+            capturer.adapters.neon().queryCallback({ query: 'SELECT 1', params: [] });
+
+            capturer.start({ pg: false });
+            new Client().query('SELECT * FROM users WHERE id = $1', [2]);
+            assert.deepStrictEqual(capturer.getQueries().map(q => q.params), [[1], [2]]);
+        });
+
+        it('should leave pg alone with pg: false', function () {
+            const pg = require('pg');
+            new pg.Client().query('SELECT 1').catch(() => { });
+
+            assert.deepStrictEqual(capturer.getQueries(), []);
+        });
+    });
+
+    describe('placeholders', function () {
+        const { normalizePlaceholders } = require('../src/capture/placeholders');
+
+        it('should number ? placeholders outside literals and comments', function () {
+            assert.deepStrictEqual(
+                normalizePlaceholders("SELECT '?', \"a?\" FROM t WHERE a = ? AND b = ? -- ?", [1, 2]),
+                { text: "SELECT '?', \"a?\" FROM t WHERE a = $1 AND b = $2 -- ?", params: [1, 2] }
+            );
+        });
+
+        it('should number :name placeholders, reusing repeated names and skipping casts', function () {
+            assert.deepStrictEqual(
+                normalizePlaceholders("SELECT * FROM t WHERE a = :id AND b::text = :name OR c = :id AND d = ':id'", { name: 'x', id: 4 }),
+                { text: "SELECT * FROM t WHERE a = $1 AND b::text = $2 OR c = $1 AND d = ':id'", params: [4, 'x'] }
+            );
+        });
+
+        it('should keep $n queries and jsonb ? operators as they are', function () {
+            const jsonb = "SELECT * FROM t WHERE data ? 'key' AND id = $1";
+            assert.deepStrictEqual(normalizePlaceholders(jsonb, [1]), { text: jsonb, params: [1] });
+            assert.deepStrictEqual(normalizePlaceholders("SELECT $$?$$, data ? 'k' FROM t"), { text: "SELECT $$?$$, data ? 'k' FROM t", params: [] });
+        });
+    });
 });
@@ -0,0 +1,158 @@
+/**
+ * Tests for the config file and profiles
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, toGenerateOptions, applyTableOptions, validateSettings } = require('../src/config');
+
+describe('Config', function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seedify-config-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const write = (name, content) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        return file;
+    };
+
+    describe('loadConfig', function () {
+        it('should find .seedifyrc.json and resolve paths against its directory', function () {
+            write('.seedifyrc.json', { input: 'queries.jsonl', engine: 'native' });
+
+            const { file, config } = loadConfig({ cwd: dir, env: {} });
+
+            assert.strictEqual(file, path.join(dir, '.seedifyrc.json'));
+            assert.strictEqual(config.input, path.join(dir, 'queries.jsonl'));
+            assert.strictEqual(config.engine, 'native');
+        });
+
+        it('should prefer seedify.config.js and merge the selected profile', function () {
+            write('.seedifyrc.json', { engine: 'jailer' });
+            write('seedify.config.js', `module.exports = {
+                db: { host: 'localhost', name: 'app_test', user: 'postgres' },
+                rowLimit: 1000,
+                profiles: { staging: { db: { host: 'staging.internal' }, allAssociations: true } }
+            };`);
+
+            const { profile, config } = loadConfig({ cwd: dir, profile: 'staging', env: {} });
+
+            assert.strictEqual(profile, 'staging');
+            assert.deepStrictEqual(config.db, { host: 'staging.internal', name: 'app_test', user: 'postgres' });
+            assert.strictEqual(config.rowLimit, 1000);
+            assert.strictEqual(config.allAssociations, true);
+            assert.strictEqual(config.profiles, undefined);
+        });
+
+        it('should pick the profile from SEEDIFY_PROFILE, then defaultProfile', function () {
+            write('.seedifyrc.json', {
+                defaultProfile: 'local',
+                profiles: { local: { engine: 'native' }, ci: { engine: 'jailer' } }
+            });
+
+            assert.strictEqual(loadConfig({ cwd: dir, env: {} }).config.engine, 'native');
+            assert.strictEqual(loadConfig({ cwd: dir, env: { SEEDIFY_PROFILE: 'ci' } }).config.engine, 'jailer');
+        });
+
+        it('should interpolate environment variables in the selected profile only', function () {
+            write('.seedifyrc.json', {
+                db: { host: '${DB_HOST:-localhost}', user: '${USER}' },
+                profiles: { prod: { db: { password: '${PROD_PASSWORD}' } } }
+            });
+
+            const { config } = loadConfig({ cwd: dir, env: { USER: 'ci' } });
+            assert.deepStrictEqual(config.db, { host: 'localhost', user: 'ci' });
+
+            assert.throws(
+                () => loadConfig({ cwd: dir, profile: 'prod', env: { USER: 'ci' } }),
+                /PROD_PASSWORD is not set \(used in db\.password\)/
+            );
+        });
+
+        it('should reject unknown profiles and misspelled settings', function () {
+            write('.seedifyrc.json', { rowlimit: 10, profiles: { ci: {} } });
+            assert.throws(() => loadConfig({ cwd: dir, env: {} }), /unknown setting\(s\): rowlimit/);
+
+            write('.seedifyrc.json', { profiles: { ci: {} } });
+            assert.throws(() => loadConfig({ cwd: dir, profile: 'staging', env: {} }), /Unknown profile "staging".*available: ci/);
+        });
+
+        it('should return an empty config without a file', function () {
+            assert.deepStrictEqual(loadConfig({ cwd: dir, env: {} }), { file: null, profile: null, config: {} });
+        });
+    });
+
+    describe('toGenerateOptions', function () {
+        it('should map settings and let db fields override the url', function () {
+            const options = toGenerateOptions({
+                output: '/tmp/seed.sql',
+                db: { url: 'postgresql://seed:p%40ss@db:6432/app', port: 5433 },
+                groupBy: 'test'
+            });
+
+            assert.deepStrictEqual(options, {
+                outputFile: '/tmp/seed.sql',
+                groupBy: 'test',
+                dbHost: 'db',
+                dbPort: '5433',
+                dbName: 'app',
+                dbUser: 'seed',
+                dbPassword: 'p@ss'
+            });
+        });
+
+        it('should accept a schema name or a list of them', function () {
+            const options = toGenerateOptions({ schemas: 'tenant_42', excludeSchemas: ['archive_*', 'audit'] });
+
+            assert.deepStrictEqual(options, { schemas: ['tenant_42'], excludeSchemas: ['archive_*', 'audit'] });
+            assert.throws(() => validateSettings({ schemas: ['tenant_42', 7] }, 'seedify.config.js'), /schemas value/);
+        });
+    });
+
+    describe('applyTableOptions', function () {
+        it('should skip tables, add where subjects and attach overrides', function () {
+            const subjects = applyTableOptions([
+                { table: 'users', condition: 'id = 1' },
+                { table: 'public.audit_log', condition: 'id = 2' }
+            ], {
+                audit_log: { skip: true },
+                'public.users': { rowLimit: 50 },
+                countries: { where: 'true', allAssociations: false }
+            });
+
+            assert.deepStrictEqual(subjects, [
+                { table: 'users', condition: 'id = 1', rowLimit: 50 },
+                { table: 'countries', condition: 'true', allAssociations: false }
+            ]);
+        });
+
+        it('should keep schemas apart and match quoted names exactly', function () {
+            const subjects = applyTableOptions([
+                { table: 'tenant_7.users', condition: 'id = 1' },
+                { table: 'tenant_42.users', condition: 'id = 2' },
+                { table: 'CamelCaseTable', condition: 'id = 3' },
+                { table: 'camelcasetable', condition: 'id = 4' },
+                { table: 'order', condition: 'id = 5' }
+            ], {
+                'tenant_42.users': { skip: true },
+                '"CamelCaseTable"': { rowLimit: 10 },
+                '"order"': { allAssociations: true }
+            });
+
+            assert.deepStrictEqual(subjects, [
+                { table: 'tenant_7.users', condition: 'id = 1' },
+                { table: 'CamelCaseTable', condition: 'id = 3', rowLimit: 10 },
+                { table: 'camelcasetable', condition: 'id = 4' },
+                { table: 'order', condition: 'id = 5', allAssociations: true }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for connection and password resolution
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parsePgpass, parseServiceFile, resolveConnection } = require('../src/credentials');
+
+describe('Credentials', function () {
+    let dir;
+    let pgpass;
+    let serviceFile;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seedify-credentials-'));
+        pgpass = path.join(dir, 'pgpass');
+        serviceFile = path.join(dir, 'pg_service.conf');
+
+        fs.writeFileSync(pgpass, [
+            '# host:port:database:user:password',
+            'db.internal:5432:app:seed:from-pgpass',
+            '*:*:*:other:wildcard'
+        ].join('\n'), { mode: 0o600 });
+        fs.writeFileSync(serviceFile, [
+            '[staging]',
+            'host=staging.internal',
+            'port=6432',
+            'dbname=app',
+            'user=seed',
+            '',
+            '[with-password]',
+            'host=db.internal',
+            'dbname=app',
+            'user=seed',
+            'password=from-service'
+        ].join('\n'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const resolve = (options, env = {}, context = {}) => resolveConnection(options, {
+        env: { PGPASSFILE: pgpass, PGSERVICEFILE: serviceFile, ...env },
+        interactive: false,
+        ...context
+    });
+
+    describe('parsePgpass', function () {
+        it('should unescape colons and backslashes', function () {
+            assert.deepStrictEqual(parsePgpass('h:5432:db:u:pa\\:ss\\\\word:x'), [
+                { host: 'h', port: '5432', database: 'db', user: 'u', password: 'pa:ss\\word:x' }
+            ]);
+        });
+    });
+
+    describe('parseServiceFile', function () {
+        it('should read sections and settings', function () {
+            const services = parseServiceFile(fs.readFileSync(serviceFile, 'utf-8'));
+            assert.deepStrictEqual(Object.keys(services), ['staging', 'with-password']);
+            assert.strictEqual(services.staging.port, '6432');
+        });
+    });
+
+    describe('resolveConnection', function () {
+        it('should find the password in the password file', async function () {
+            const connection = await resolve({ host: 'db.internal', database: 'app', user: 'seed' });
+
+            assert.strictEqual(connection.password, 'from-pgpass');
+            assert.strictEqual(connection.passwordSource, pgpass);
+            assert.strictEqual(connection.port, '5432');
+        });
+
+        it('should take settings from a service, then PG variables', async function () {
+            const connection = await resolve({ service: 'staging' }, { PGHOST: 'ignored', PGPASSWORD: 'from-env' });
+
+            assert.deepStrictEqual(
+                [connection.host, connection.port, connection.database, connection.user],
+                ['staging.internal', '6432', 'app', 'seed']
+            );
+            assert.strictEqual(connection.password, 'from-env');
+            assert.strictEqual(connection.passwordSource, 'PGPASSWORD');
+        });
+
+        it('should prefer the command line over every other source', async function () {
+            const connection = await resolve(
+                { host: 'cli-host', user: 'seed', database: 'app', password: 'from-cli' },
+                { PGSERVICE: 'with-password', PGPASSWORD: 'from-env' }
+            );
+
+            assert.strictEqual(connection.host, 'cli-host');
+            assert.strictEqual(connection.password, 'from-cli');
+        });
+
+        it('should use the service password before PGPASSWORD', async function () {
+            const connection = await resolve({}, { PGSERVICE: 'with-password', PGPASSWORD: 'from-env' });
+            assert.strictEqual(connection.password, 'from-service');
+        });
+
+        it('should ignore a password file others can read', async function () {
+            if (process.platform === 'win32') this.skip();
+            fs.chmodSync(pgpass, 0o644);
+
+            const connection = await resolve({ host: 'db.internal', database: 'app', user: 'seed' });
+
+            assert.strictEqual(connection.password, null);
+            assert.strictEqual(connection.warnings.length, 1);
+        });
+
+        it('should prompt when asked to, or when nothing else has a password', async function () {
+            const asked = [];
+            const prompt = async (question) => {
+                asked.push(question);
+                return 'typed';
+            };
+
+            const forced = await resolve({ host: 'db.internal', database: 'app', user: 'seed', forcePrompt: true }, {}, { prompt });
+            const fallback = await resolve({ host: 'nowhere', database: 'app', user: 'seed' }, {}, { prompt, interactive: true });
+
+            assert.strictEqual(forced.password, 'typed');
+            assert.strictEqual(fallback.passwordSource, 'prompt');
+            assert.deepStrictEqual(asked, ['Password for seed@db.internal/app: ', 'Password for seed@nowhere/app: ']);
+        });
+
+        it('should reject unknown services', async function () {
+            await assert.rejects(resolve({ service: 'missing' }), /Service "missing" not found/);
+        });
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for comparing seeds
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffSeeds, manifestPrimaryKeys } = require('../src/diff');
+
+const OLD = `INSERT INTO users(id, name) VALUES (1, 'ann'), (2, 'bob'), (3, 'cy');
+INSERT INTO tags(name) VALUES ('x'), ('y');
+INSERT INTO audit(id) VALUES (9);`;
+
+const NEW = `INSERT INTO users(id, name, admin) VALUES
+    (1, E'ann', DEFAULT),
+    (2, 'bobby', DEFAULT),
+    (4, 'dee', TRUE);
+INSERT INTO tags(name) VALUES ('y'), ('z');`;
+
+describe('Diff', function () {
+    it('should count added, removed and changed rows per table', function () {
+        const result = diffSeeds(OLD, NEW);
+
+        assert.deepStrictEqual(result.tables.map(t => [t.table, t.added.length, t.removed.length, t.changed.length, t.unchanged]), [
+            ['users', 1, 1, 1, 1],
+            ['tags', 1, 1, 0, 1],
+            ['audit', 0, 1, 0, 0]
+        ]);
+        assert.deepStrictEqual([result.added, result.removed, result.changed], [2, 3, 1]);
+    });
+
+    it('should match rows by id and report the changed columns', function () {
+        const users = diffSeeds(OLD, NEW).tables[0];
+
+        assert.deepStrictEqual(users.changed, [{ key: 'id=2', columns: [{ column: 'name', old: "'bob'", new: "'bobby'" }] }]);
+        assert.deepStrictEqual(users.added[0].row, { id: '4', name: "'dee'", admin: 'TRUE' });
+        assert.strictEqual(users.removed[0].key, 'id=3');
+    });
+
+    it('should find no changes between a seed and itself', function () {
+        const result = diffSeeds(NEW, NEW);
+        assert.deepStrictEqual([result.added, result.removed, result.changed], [0, 0, 0]);
+    });
+
+    it('should match rows by a known primary key', function () {
+        const before = "INSERT INTO members(org_id, user_id, role) VALUES (1, 1, 'owner'), (1, 2, 'viewer');";
+        const after = "INSERT INTO members(org_id, user_id, role) VALUES (1, 1, 'owner'), (1, 2, 'editor');";
+        const primaryKey = table => (table === 'members' ? ['org_id', 'user_id'] : null);
+
+        const members = diffSeeds(before, after, { primaryKey }).tables[0];
+        assert.deepStrictEqual(members.changed, [{ key: 'org_id=1, user_id=2', columns: [{ column: 'role', old: "'viewer'", new: "'editor'" }] }]);
+        assert.deepStrictEqual([members.added.length, members.removed.length], [0, 0]);
+    });
+
+    it('should count repeated rows of tables without a key', function () {
+        const tags = diffSeeds("INSERT INTO tags(name) VALUES ('x'), ('x'), ('x');", "INSERT INTO tags(name) VALUES ('x');").tables[0];
+
+        assert.deepStrictEqual(tags.removed.map(r => r.key), ["('x') #2", "('x') #3"]);
+        assert.strictEqual(tags.unchanged, 1);
+    });
+
+    it('should read primary keys from the manifests next to the seeds', async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seedify-diff-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'seed.manifest.json'), JSON.stringify({
+                tables: [{ table: 'members', primaryKey: ['org_id', 'user_id'] }, { table: 'tags', primaryKey: null }]
+            }));
+            const primaryKey = await manifestPrimaryKeys([path.join(dir, 'seed.sql'), path.join(dir, 'missing.sql')]);
+
+            assert.deepStrictEqual(primaryKey('members'), ['org_id', 'user_id']);
+            assert.strictEqual(primaryKey('tags'), null);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * Tests for the native extractor
+ */
+const assert = require('assert');
+const { buildSchema, planOrder, extractSubject, resolveTableKey, selectSchemas, columnReferences } = require('../src/extractor');
+const { splitStatements, parseInsert } = require('../src/seed');
+
+const col = (table, column, type = 'integer', notNull = false) => ({
+    schema: 'public', table, column, type, not_null: notNull, generated: false
+});
+const pk = (table, columns) => ({
+    name: `${table}_pkey`, type: 'p', deferrable: false, schema: 'public', table, columns
+});
+const fk = (name, table, columns, refTable, refColumns, deferrable = false) => ({
+    name, type: 'f', deferrable, schema: 'public', table, columns,
+    ref_schema: 'public', ref_table: refTable, ref_columns: refColumns
+});
+
+/**
+ * In-memory row source with the same interface as createPgSource.
+ * Conditions are "column = value".
+ */
+function memorySource(data) {
+    return {
+        async fetchWhere(table, condition) {
+            const [, column, value] = condition.match(/(\w+)\s*=\s*'?([^']*)'?/);
+            return (data[table.name] || []).filter(r => r[column] === value);
+        },
+        async fetchByKeys(table, columns, tuples) {
+            const keys = new Set(tuples.map(t => JSON.stringify(t)));
+            return (data[table.name] || []).filter(r => keys.has(JSON.stringify(columns.map(c => r[c]))));
+        }
+    };
+}
+
+function shopSchema() {
+    return buildSchema([
+        col('users', 'id', 'integer', true),
+        col('users', 'name', 'text'),
+        col('orders', 'id', 'integer', true),
+        col('orders', 'user_id', 'integer', true),
+        col('items', 'id', 'integer', true),
+        col('items', 'order_id', 'integer', true)
+    ], [
+        pk('users', ['id']),
+        pk('orders', ['id']),
+        pk('items', ['id']),
+        fk('orders_user_id_fkey', 'orders', ['user_id'], 'users', ['id']),
+        fk('items_order_id_fkey', 'items', ['order_id'], 'orders', ['id'])
+    ]);
+}
+
+const shopData = {
+    users: [{ id: '1', name: "O'Brien" }, { id: '2', name: 'bob' }],
+    orders: [{ id: '10', user_id: '1' }, { id: '11', user_id: '2' }],
+    items: [{ id: '100', order_id: '10' }, { id: '101', order_id: '10' }]
+};
+
+function insertedRows(sql) {
+    return splitStatements(sql)
+        .map(parseInsert)
+        .filter(Boolean)
+        .flatMap(i => i.rows.map(r => `${i.table} ${r}`));
+}
+
+describe('Native Extractor', function () {
+    describe('planOrder', function () {
+        it('should order parents before children', function () {
+            const { order, breaks } = planOrder(shopSchema());
+            assert.deepStrictEqual(order, ['public.users', 'public.orders', 'public.items']);
+            assert.strictEqual(breaks.size, 0);
+        });
+
+        it('should break cycles by deferring, nulling or warning', function () {
+            const schema = buildSchema([
+                col('a', 'id', 'integer', true),
+                col('a', 'b_id', 'integer', false),
+                col('b', 'id', 'integer', true),
+                col('b', 'a_id', 'integer', true),
+                col('c', 'id', 'integer', true),
+                col('c', 'parent_id', 'integer', true)
+            ], [
+                pk('a', ['id']),
+                pk('b', ['id']),
+                pk('c', ['id']),
+                fk('a_b_fkey', 'a', ['b_id'], 'b', ['id']),
+                fk('b_a_fkey', 'b', ['a_id'], 'a', ['id']),
+                fk('c_parent_fkey', 'c', ['parent_id'], 'c', ['id'], true)
+            ]);
+
+            const { order, breaks, warnings } = planOrder(schema);
+            const modes = Object.fromEntries(Array.from(breaks).map(([key, mode]) => [key.name, mode]));
+
+            assert.deepStrictEqual(modes, { c_parent_fkey: 'defer', a_b_fkey: 'update' });
+            assert.deepStrictEqual(order, ['public.c', 'public.a', 'public.b']);
+            assert.deepStrictEqual(warnings, []);
+        });
+
+        it('should warn when a cycle cannot be broken', function () {
+            const schema = buildSchema([
+                col('a', 'id', 'integer', true),
+                col('a', 'b_id', 'integer', true),
+                col('b', 'id', 'integer', true),
+                col('b', 'a_id', 'integer', true)
+            ], [
+                pk('a', ['id']),
+                pk('b', ['id']),
+                fk('a_b_fkey', 'a', ['b_id'], 'b', ['id']),
+                fk('b_a_fkey', 'b', ['a_id'], 'a', ['id'])
+            ]);
+
+            const { warnings } = planOrder(schema);
+            assert.strictEqual(warnings.length, 1);
+            assert.ok(warnings[0].includes('a_b_fkey'));
+        });
+    });
+
+    describe('catalog lookups', function () {
+        it('should resolve unqualified tables through the search_path', function () {
+            const schema = {
+                ...buildSchema([col('users', 'id'), { ...col('users', 'id'), schema: 'app' }], []),
+                searchPath: ['app', 'public']
+            };
+
+            assert.strictEqual(resolveTableKey(schema, 'users'), 'app.users');
+            assert.strictEqual(resolveTableKey({ ...schema, searchPath: undefined }, 'users'), 'public.users');
+        });
+
+        it('should resolve quoted and schema-qualified names as stored', function () {
+            const schema = buildSchema([col('CamelCaseTable', 'id'), { ...col('users', 'id'), schema: 'tenant_42' }], []);
+
+            assert.strictEqual(resolveTableKey(schema, '"CamelCaseTable"'), 'public.CamelCaseTable');
+            assert.strictEqual(resolveTableKey(schema, 'public."CamelCaseTable"'), 'public.CamelCaseTable');
+            assert.strictEqual(resolveTableKey(schema, 'camelcasetable'), null);
+            assert.strictEqual(resolveTableKey(schema, 'tenant_42.users'), 'tenant_42.users');
+            assert.strictEqual(resolveTableKey(schema, 'tenant_7.users'), null);
+        });
+
+        it('should select schemas and resolve to them first', function () {
+            const tenant = (schema, table, column) => ({ ...col(table, column), schema });
+            const schema = {
+                ...buildSchema([
+                    tenant('shared', 'plans', 'id'),
+                    tenant('tenant_7', 'users', 'id'),
+                    tenant('tenant_42', 'users', 'id'),
+                    tenant('tenant_42', 'users', 'plan_id'),
+                    tenant('archive_2020', 'users', 'id')
+                ], [
+                    { ...fk('users_plan_id_fkey', 'users', ['plan_id'], 'plans', ['id']), schema: 'tenant_42', ref_schema: 'shared' }
+                ]),
+                searchPath: ['tenant_7', 'shared']
+            };
+
+            const selected = selectSchemas(schema, ['tenant_42', 'shared']);
+            assert.deepStrictEqual([...selected.tables.keys()].sort(), ['shared.plans', 'tenant_42.users']);
+            assert.deepStrictEqual(selected.searchPath, ['tenant_42', 'shared']);
+            assert.strictEqual(resolveTableKey(selected, 'users'), 'tenant_42.users');
+            assert.strictEqual(selected.foreignKeys.length, 1);
+
+            const tenants = selectSchemas(schema, ['tenant_*'], ['tenant_7']);
+            assert.deepStrictEqual([...tenants.tables.keys()], ['tenant_42.users']);
+            assert.deepStrictEqual(tenants.foreignKeys, []);
+            assert.deepStrictEqual(tenants.tables.get('tenant_42.users').foreignKeys, []);
+            assert.strictEqual(schema.tables.get('tenant_42.users').foreignKeys.length, 1);
+        });
+
+        it('should name the column a foreign key references', function () {
+            const references = columnReferences(shopSchema());
+
+            assert.deepStrictEqual(references('orders', 'user_id'), { table: 'users', column: 'id' });
+            assert.strictEqual(references('orders', 'id'), null);
+        });
+    });
+
+    describe('extractSubject', function () {
+        it('should follow foreign keys to parent rows only', async function () {
+            const schema = shopSchema();
+            const { sql, rows } = await extractSubject(
+                memorySource(shopData), schema, planOrder(schema), { table: 'items', condition: 'id = 100' }
+            );
+
+            assert.strictEqual(rows, 3);
+            assert.deepStrictEqual(insertedRows(sql), [
+                "public.users (1, 'O''Brien')",
+                'public.orders (10, 1)',
+                'public.items (100, 10)'
+            ]);
+        });
+
+        it('should follow referencing rows with allAssociations', async function () {
+            const schema = shopSchema();
+            const { sql } = await extractSubject(
+                memorySource(shopData), schema, planOrder(schema), { table: 'orders', condition: 'id = 10' },
+                { allAssociations: true }
+            );
+
+            assert.deepStrictEqual(insertedRows(sql), [
+                "public.users (1, 'O''Brien')",
+                'public.orders (10, 1)',
+                'public.items (100, 10)',
+                'public.items (101, 10)'
+            ]);
+        });
+
+        it('should fail once the row limit is exceeded', async function () {
+            const schema = shopSchema();
+            await assert.rejects(
+                extractSubject(memorySource(shopData), schema, planOrder(schema),
+                    { table: 'items', condition: 'id = 100' }, { rowLimit: 2 }),
+                /Row limit of 2 exceeded/
+            );
+        });
+
+        it('should insert cycle columns as NULL and set them afterwards', async function () {
+            const schema = buildSchema([
+                col('employees', 'id', 'integer', true),
+                col('employees', 'manager_id', 'integer', false)
+            ], [
+                pk('employees', ['id']),
+                fk('employees_manager_fkey', 'employees', ['manager_id'], 'employees', ['id'])
+            ]);
+            const data = { employees: [{ id: '1', manager_id: null }, { id: '2', manager_id: '1' }] };
+
+            const { sql } = await extractSubject(
+                memorySource(data), schema, planOrder(schema), { table: 'employees', condition: 'id = 2' }
+            );
+
+            assert.deepStrictEqual(insertedRows(sql), ['public.employees (2, NULL)', 'public.employees (1, NULL)']);
+            assert.ok(sql.includes('UPDATE public.employees SET manager_id = 1 WHERE id = 2;'));
+            assert.ok(sql.indexOf('UPDATE') > sql.indexOf('INSERT'));
+        });
+
+        it('should keep line breaks in the condition out of the SQL', async function () {
+            const schema = shopSchema();
+            const name = 'x\nDELETE FROM users; --';
+            const { sql } = await extractSubject(
+                memorySource({ users: [{ id: '3', name }] }), schema, planOrder(schema),
+                { table: 'users', condition: `name = '${name}'` }
+            );
+
+            assert.ok(sql.includes("-- Subject: users WHERE name = 'x DELETE FROM users; --'\n"));
+            assert.deepStrictEqual(splitStatements(sql).filter(s => !/^insert/i.test(s)), []);
+        });
+
+        it('should override GENERATED ALWAYS identity columns', async function () {
+            const schema = buildSchema([
+                { ...col('users', 'id', 'integer', true), identity: 'a' },
+                col('users', 'name', 'text'),
+                { ...col('orders', 'id', 'integer', true), identity: 'd' },
+                col('orders', 'user_id', 'integer', true)
+            ], [
+                pk('users', ['id']),
+                pk('orders', ['id']),
+                fk('orders_user_id_fkey', 'orders', ['user_id'], 'users', ['id'])
+            ]);
+            const { sql } = await extractSubject(
+                memorySource(shopData), schema, planOrder(schema), { table: 'orders', condition: 'id = 10' }
+            );
+
+            assert.ok(sql.includes('INSERT INTO public.users(id, name) OVERRIDING SYSTEM VALUE VALUES'));
+            assert.ok(sql.includes('INSERT INTO public.orders(id, user_id) VALUES'));
+            assert.deepStrictEqual(splitStatements(sql).map(parseInsert).map(i => i && i.overriding), ['SYSTEM', null]);
+        });
+
+        it('should reject unknown subject tables', async function () {
+            const schema = shopSchema();
+            await assert.rejects(
+                extractSubject(memorySource(shopData), schema, planOrder(schema), { table: 'missing', condition: 'id = 1' }),
+                /Table not found/
+            );
+        });
+    });
+});
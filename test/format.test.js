@@ -0,0 +1,227 @@
+/**
+ * Tests for the output formats
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FORMATS, readSeed, normalizeSeed, writeFormat } = require('../src/format');
+const { ConfigError } = require('../src/errors');
+
+const SEED = `-- Generated by seedify native extractor
+
+SET CONSTRAINTS public.orders_user_fk DEFERRED;
+
+INSERT INTO public.orders(id, user_id, note, data) VALUES
+    (10, 1, E'a\\\\b', '{"tags":["x"]}'::jsonb);
+
+INSERT INTO public.users(id, name, active) VALUES
+    (1, 'O''Neil, Ann', TRUE),
+    (2, NULL, DEFAULT);
+
+UPDATE public.orders SET user_id = 1 WHERE id = 10;`;
+
+// users before orders, as planOrder would have it
+const rank = table => ({ 'public.users': 0, 'public.orders': 1 })[table];
+
+describe('Output formats', function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seedify-format-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('readSeed', function () {
+        it('should group rows per table in dependency order', function () {
+            const model = readSeed(SEED, rank);
+
+            assert.deepStrictEqual(model.tables.map(t => [t.table, t.rows.length]), [['public.users', 2], ['public.orders', 1]]);
+            assert.deepStrictEqual(model.before, ['SET CONSTRAINTS public.orders_user_fk DEFERRED;']);
+            assert.deepStrictEqual(model.after, ['UPDATE public.orders SET user_id = 1 WHERE id = 10;']);
+        });
+
+        it('should keep first appearance without a rank and fill missing columns with DEFAULT', function () {
+            const model = readSeed('INSERT INTO b(id) VALUES (1); INSERT INTO a(id) VALUES (2); INSERT INTO b(id, name) VALUES (3, \'x\');');
+
+            assert.deepStrictEqual(model.tables.map(t => t.table), ['b', 'a']);
+            assert.deepStrictEqual(model.tables[0].columns, ['id', 'name']);
+            assert.deepStrictEqual(model.tables[0].rows, [['1', 'DEFAULT'], ['3', "'x'"]]);
+        });
+    });
+
+    describe('normalizeSeed', function () {
+        it('should order tables and rows and spell literals one way', function () {
+            const sql = `-- Generated by seedify from 2 extraction run(s)
+
+INSERT INTO orders(id, user_id) VALUES (11, 2), (10, 1);
+INSERT INTO users(id, name) VALUES (10, 'x'::TEXT), (2, E'b'), (1, null);
+UPDATE orders SET user_id = 2 WHERE id = 11;
+UPDATE orders SET user_id = 1 WHERE id = 10;`;
+
+            const normalized = normalizeSeed(sql, {
+                rank: table => ({ users: 0, orders: 1 })[table],
+                header: ['Queries: queries.jsonl (sha256 abc)']
+            });
+
+            assert.strictEqual(normalized, `-- Generated by seedify from 2 extraction run(s)
+-- Queries: queries.jsonl (sha256 abc)
+
+INSERT INTO users(id, name) VALUES
+    (1, NULL),
+    (2, 'b'),
+    (10, 'x'::text);
+
+INSERT INTO orders(id, user_id) VALUES
+    (10, 1),
+    (11, 2);
+
+UPDATE orders SET user_id = 1 WHERE id = 10;
+
+UPDATE orders SET user_id = 2 WHERE id = 11;
+`);
+            assert.strictEqual(normalizeSeed(normalized), normalized);
+        });
+
+        it('should sort by the primary key when one is given', function () {
+            const sql = "INSERT INTO memberships(user_id, group_id, role) VALUES (2, 1, 'a'), (1, 2, 'b'), (1, 1, 'c');";
+            const normalized = normalizeSeed(sql, { primaryKey: () => ['group_id', 'user_id'] });
+
+            assert.ok(normalized.includes("(1, 1, 'c'),\n    (2, 1, 'a'),\n    (1, 2, 'b');"));
+        });
+
+        it('should keep OVERRIDING SYSTEM VALUE', function () {
+            const sql = 'INSERT INTO public.users(id) OVERRIDING SYSTEM VALUE VALUES (2);\nINSERT INTO public.users(id) OVERRIDING SYSTEM VALUE VALUES (1);';
+
+            assert.ok(normalizeSeed(sql).includes('INSERT INTO public.users(id) OVERRIDING SYSTEM VALUE VALUES\n    (1),\n    (2);'));
+        });
+    });
+
+    describe('writeFormat', function () {
+        it('should write json fixtures with a manifest', async function () {
+            const output = path.join(dir, 'fixtures');
+            const result = await writeFormat('json', SEED, output, { rank });
+
+            const users = JSON.parse(fs.readFileSync(path.join(output, 'public.users.json'), 'utf-8'));
+            const orders = JSON.parse(fs.readFileSync(path.join(output, 'public.orders.json'), 'utf-8'));
+            assert.deepStrictEqual(users, [{ id: 1, name: "O'Neil, Ann", active: true }, { id: 2, name: null }]);
+            assert.deepStrictEqual(orders, [{ id: 10, user_id: 1, note: 'a\\b', data: { tags: ['x'] } }]);
+
+            const manifest = JSON.parse(fs.readFileSync(result.manifest, 'utf-8'));
+            assert.strictEqual(result.manifest, path.join(output, 'manifest.json'));
+            assert.deepStrictEqual(manifest.tables.map(t => [t.table, t.rows, t.file]), [
+                ['public.users', 2, 'public.users.json'],
+                ['public.orders', 1, 'public.orders.json']
+            ]);
+            assert.deepStrictEqual(manifest.after, ['UPDATE public.orders SET user_id = 1 WHERE id = 10;']);
+        });
+
+        it('should only replace the files of an earlier run in an output directory', async function () {
+            const output = path.join(dir, 'fixtures');
+            await writeFormat('json', SEED, output, { rank });
+            fs.writeFileSync(path.join(output, 'README.md'), 'kept');
+            await writeFormat('json', 'INSERT INTO tags(name) VALUES (\'x\');', output);
+
+            assert.deepStrictEqual(fs.readdirSync(output).sort(), ['README.md', 'manifest.json', 'tags.json']);
+        });
+
+        it('should refuse a non-empty output directory without a seedify manifest', async function () {
+            fs.writeFileSync(path.join(dir, 'package.json'), '{}');
+
+            await assert.rejects(writeFormat('csv', SEED, dir), ConfigError);
+            await assert.rejects(writeFormat('json', SEED, dir), /is not empty and holds no seedify manifest/);
+            assert.deepStrictEqual(fs.readdirSync(dir), ['package.json']);
+        });
+
+        it('should write csv files readable by COPY ... CSV', async function () {
+            const output = path.join(dir, 'csv');
+            const result = await writeFormat('csv', SEED, output, { rank });
+
+            assert.strictEqual(fs.readFileSync(path.join(output, 'public.users.csv'), 'utf-8'), 'id,name,active\n1,"O\'Neil, Ann",t\n2,,\n');
+            assert.strictEqual(fs.readFileSync(path.join(output, 'public.orders.csv'), 'utf-8'), 'id,user_id,note,data\n10,1,a\\b,"{""tags"":[""x""]}"\n');
+            assert.deepStrictEqual(result.warnings, [
+                'public.users: 1 DEFAULT value(s) written as empty fields in public.users.csv, which COPY reads as NULL'
+            ]);
+        });
+
+        it('should leave columns that are DEFAULT in every row out of the csv', async function () {
+            const output = path.join(dir, 'csv');
+            const result = await writeFormat('csv', 'INSERT INTO users(id, created_at) VALUES (1, DEFAULT), (2, DEFAULT);', output);
+
+            assert.strictEqual(fs.readFileSync(path.join(output, 'users.csv'), 'utf-8'), 'id\n1\n2\n');
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(result.manifest, 'utf-8')).tables[0].columns, ['id']);
+            assert.deepStrictEqual(result.warnings, []);
+        });
+
+        it('should write COPY blocks, keeping rows with DEFAULT as INSERTs', async function () {
+            const output = path.join(dir, 'seed.copy.sql');
+            const result = await writeFormat('copy', SEED, output, { rank });
+            const sql = fs.readFileSync(output, 'utf-8');
+
+            assert.ok(sql.includes('COPY public.users (id, name, active) FROM stdin;\n1\tO\'Neil, Ann\tt\n\\.'));
+            assert.ok(sql.includes('INSERT INTO public.users(id, name, active) VALUES\n    (2, NULL, DEFAULT);'));
+            assert.ok(sql.includes('10\t1\ta\\\\b\t{"tags":["x"]}'));
+            assert.ok(sql.indexOf('SET CONSTRAINTS') < sql.indexOf('COPY public.users'));
+            assert.ok(sql.indexOf('COPY public.orders') < sql.indexOf('UPDATE public.orders'));
+            assert.strictEqual(result.manifest, path.join(dir, 'seed.copy.manifest.json'));
+        });
+
+        it('should write a knex seed that inserts in dependency order', async function () {
+            const output = path.join(dir, 'seed.knex.js');
+            await writeFormat('knex', SEED, output, { rank });
+
+            const calls = [];
+            const trx = table => ({ insert: async rows => calls.push(['insert', table, rows]) });
+            trx.raw = async sql => calls.push(['raw', sql]);
+            const knex = {
+                raw: sql => ({ raw: sql }),
+                transaction: async work => work(trx)
+            };
+            const seedFile = require(output);
+            await seedFile.seed(knex);
+
+            assert.deepStrictEqual(seedFile.tables, ['public.users', 'public.orders']);
+            assert.deepStrictEqual(calls, [
+                ['raw', 'SET CONSTRAINTS public.orders_user_fk DEFERRED;'],
+                ['insert', 'public.users', [
+                    { id: 1, name: "O'Neil, Ann", active: true },
+                    { id: 2, name: null, active: { raw: 'DEFAULT' } }
+                ]],
+                ['insert', 'public.orders', [{ id: 10, user_id: 1, note: 'a\\b', data: '{"tags":["x"]}' }]],
+                ['raw', 'UPDATE public.orders SET user_id = 1 WHERE id = 10;']
+            ]);
+        });
+
+        it('should write a sequelize seeder and a prisma seed script', async function () {
+            await writeFormat('sequelize', SEED, path.join(dir, 'seed.sequelize.js'), { rank });
+            await writeFormat('prisma', SEED, path.join(dir, 'seed.prisma.js'), { rank });
+
+            const inserted = [];
+            const queryInterface = {
+                sequelize: { transaction: async work => work('trx'), query: async () => { } },
+                bulkInsert: async (table, rows) => inserted.push([table, rows.length])
+            };
+            await require(path.join(dir, 'seed.sequelize.js')).up(queryInterface, { literal: sql => ({ sql }) });
+            assert.deepStrictEqual(inserted, [[{ schema: 'public', tableName: 'users' }, 2], [{ schema: 'public', tableName: 'orders' }, 1]]);
+
+            const executed = [];
+            const prisma = { $transaction: async work => work({ $executeRawUnsafe: async sql => executed.push(sql) }) };
+            await require(path.join(dir, 'seed.prisma.js')).seed(prisma);
+            assert.strictEqual(executed.length, 4);
+            assert.ok(executed[1].startsWith('INSERT INTO public.orders'));
+        });
+
+        it('should write sql as-is and reject unknown formats', async function () {
+            const output = path.join(dir, 'seed.sql');
+            const result = await writeFormat('sql', SEED, output, { rank });
+
+            assert.strictEqual(fs.readFileSync(output, 'utf-8'), SEED);
+            assert.strictEqual(result.manifest, path.join(dir, 'seed.manifest.json'));
+            assert.ok(Object.keys(FORMATS).includes('prisma'));
+            await assert.rejects(writeFormat('yaml', SEED, output), /Unknown format/);
+        });
+    });
+});
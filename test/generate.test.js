@@ -0,0 +1,218 @@
+/**
+ * Tests for the programmatic generate() API
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generate, resolveOptions } = require('../src/generate');
+const { SeedifyError, ConfigError, InputError } = require('../src/errors');
+
+describe('Generate API', function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seedify-generate-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('resolveOptions', function () {
+        it('should layer settings over the config file and profile', function () {
+            const file = path.join(dir, '.seedifyrc.json');
+            fs.writeFileSync(file, JSON.stringify({
+                db: { host: 'localhost', name: 'app', user: 'postgres' },
+                rowLimit: 100,
+                profiles: { staging: { db: { url: 'postgresql://seed@staging.internal:6432/app' } } }
+            }));
+
+            const options = resolveOptions({ config: file, profile: 'staging', db: { name: 'app_copy' }, engine: 'native' }, {});
+
+            assert.strictEqual(options.dbHost, 'staging.internal');
+            assert.strictEqual(options.dbPort, '6432');
+            assert.strictEqual(options.dbUser, 'seed');
+            assert.strictEqual(options.dbName, 'app_copy');
+            assert.strictEqual(options.rowLimit, 100);
+            assert.strictEqual(options.engine, 'native');
+            assert.strictEqual(options.profile, 'staging');
+        });
+
+        it('should default the output to the format\'s', function () {
+            assert.strictEqual(resolveOptions({ config: false }, {}).outputFile, './seed.sql');
+            assert.strictEqual(resolveOptions({ config: false, format: 'json' }, {}).outputFile, './fixtures');
+            assert.strictEqual(resolveOptions({ config: false, format: 'knex', output: 'seeds/01.js' }, {}).outputFile, 'seeds/01.js');
+        });
+
+        it('should reject misspelled settings', function () {
+            assert.throws(() => resolveOptions({ config: false, rowlimit: 5 }, {}), ConfigError);
+            assert.throws(() => resolveOptions({ config: false, mask: { colums: {} } }, {}), ConfigError);
+            assert.throws(() => resolveOptions({ config: false, format: 'yaml' }, {}), ConfigError);
+        });
+    });
+
+    describe('generate', function () {
+        it('should throw an InputError without queries', async function () {
+            await assert.rejects(generate({ config: false }), (e) => {
+                assert.ok(e instanceof InputError);
+                assert.ok(e instanceof SeedifyError);
+                assert.strictEqual(e.code, 'SEEDIFY_INPUT');
+                assert.ok(e.hint);
+                return true;
+            });
+
+            await assert.rejects(
+                generate({ config: false, input: path.join(dir, 'missing.jsonl') }),
+                { name: 'InputError', message: /Queries file not found/ }
+            );
+        });
+
+        it('should build a seed from captured results and report what it wrote', async function () {
+            const input = path.join(dir, 'queries.jsonl');
+            const output = path.join(dir, 'seed.sql');
+            fs.writeFileSync(input, `${JSON.stringify({
+                query: 'SELECT id, name FROM users WHERE id = $1',
+                params: [1],
+                context: { test: 'loads a user' },
+                result: {
+                    fields: [
+                        { name: 'id', tableID: 16384, columnID: 1, dataTypeID: 23 },
+                        { name: 'name', tableID: 16384, columnID: 2, dataTypeID: 25 }
+                    ],
+                    rows: [{ id: 1, name: 'alice' }]
+                }
+            })}\n`);
+
+            const steps = [];
+            const result = await generate({
+                config: false,
+                input,
+                output,
+                fromResults: true,
+                groupBy: 'test',
+                logger: { stepStart: message => steps.push(message) }
+            });
+
+            assert.strictEqual(result.mode, 'results');
+            assert.strictEqual(result.output, output);
+            assert.deepStrictEqual(result.tables, [{ table: 'users', rows: 1 }]);
+            assert.strictEqual(result.rows, 1);
+            assert.deepStrictEqual(result.files.map(f => [f.test, f.rows]), [[null, 1], ['loads a user', 1]]);
+            assert.ok(fs.readFileSync(output, 'utf-8').includes("(1, 'alice')"));
+            assert.match(fs.readFileSync(output, 'utf-8'), /^-- Queries: .*queries\.jsonl \(sha256 [0-9a-f]{64}\)$/m);
+            assert.ok(fs.existsSync(result.files[1].path));
+            assert.strictEqual(steps.length, 2);
+        });
+
+        it('should mask the seed with the mask rules', async function () {
+            const input = path.join(dir, 'queries.jsonl');
+            const output = path.join(dir, 'seed.sql');
+            fs.writeFileSync(input, `${JSON.stringify({
+                query: 'SELECT id, email FROM users WHERE id = $1',
+                params: [1],
+                result: {
+                    fields: [
+                        { name: 'id', tableID: 16384, columnID: 1, dataTypeID: 23 },
+                        { name: 'email', tableID: 16384, columnID: 2, dataTypeID: 25 }
+                    ],
+                    rows: [{ id: 1, email: 'ann@corp.com' }]
+                }
+            })}\n`);
+
+            const result = await generate({
+                config: false,
+                input,
+                output,
+                fromResults: true,
+                mask: { secret: 'test-secret', columns: { 'users.email': 'email' } }
+            });
+
+            assert.deepStrictEqual(result.masked, [{ table: 'users', column: 'email', strategy: 'email', rows: 1 }]);
+            assert.deepStrictEqual(result.warnings, []);
+            assert.match(fs.readFileSync(output, 'utf-8'), /\(1, '[a-z0-9]{8}@example\.com'\)/);
+            await assert.rejects(generate({ config: false, input, mask: { columns: { email: 'scramble' } } }), ConfigError);
+        });
+
+        describe('with Jailer', function () {
+            let cwd, jailerHome, calls;
+
+            // Stand-in jailer.sh: logs its arguments and extraction model, and exports one row
+            beforeEach(function () {
+                cwd = process.cwd();
+                process.chdir(dir);
+                jailerHome = path.join(dir, 'jailer');
+                calls = path.join(dir, 'calls.log');
+                fs.mkdirSync(jailerHome);
+                fs.writeFileSync(path.join(jailerHome, 'jailer.sh'), `#!/bin/sh
+echo "$@" >> "${calls}"
+if [ "$1" = build-model ]; then mkdir -p "$3"; touch "$3/table.csv" "$3/association.csv"; exit 0; fi
+cat "$2" >> "${calls}"
+while [ $# -gt 0 ]; do
+    if [ "$1" = -e ]; then echo "INSERT INTO users(id) VALUES (1);" > "$2"; fi
+    shift
+done
+`, { mode: 0o755 });
+            });
+
+            afterEach(function () {
+                process.chdir(cwd);
+            });
+
+            const run = (params, settings = {}) => {
+                const input = path.join(dir, 'queries.jsonl');
+                fs.writeFileSync(input, `${JSON.stringify({ query: 'SELECT * FROM users WHERE name = $1', params })}\n`);
+                return generate({
+                    config: false,
+                    input,
+                    output: path.join(dir, 'seed.sql'),
+                    jailerHome,
+                    allAssociations: true,
+                    cache: false,
+                    // Nothing listens there: the catalog is skipped
+                    db: { host: '127.0.0.1', port: 1, name: 'app', user: 'seed' },
+                    ...settings
+                });
+            };
+
+            it('should escape ; and line breaks in the extraction model', async function () {
+                const result = await run(['a;b\nc; DROP TABLE users; --']);
+                const model = fs.readFileSync(calls, 'utf-8').split('\n').filter(line => line.startsWith('users;'));
+
+                assert.deepStrictEqual(model, ["users; name = E'a\\073b\\nc\\073 DROP TABLE users\\073 --'"]);
+                assert.strictEqual(result.rows, 1);
+            });
+
+            it('should warn about a password given on the command line', async function () {
+                const info = [];
+                const result = await run(['ann'], {
+                    db: { host: '127.0.0.1', port: 1, name: 'app', user: 'seed', password: 'hunter2' },
+                    engine: 'jailer',
+                    logger: { info: message => info.push(message) }
+                });
+
+                assert.ok(result.warnings.some(w => /password was given on the command line/.test(w)));
+                assert.ok(result.warnings.some(w => /Jailer takes the password as an argument/.test(w)));
+                assert.ok(!info.some(message => message.includes('hunter2')));
+            });
+
+            it('should use the native engine when a password is set and no engine was asked for', async function () {
+                const success = [];
+                await assert.rejects(run(['ann'], {
+                    db: { host: '127.0.0.1', port: 1, name: 'app', user: 'seed', password: 'hunter2' },
+                    logger: { success: message => success.push(message) }
+                }));
+
+                assert.ok(success.some(message => /Using native extraction engine/.test(message)));
+                assert.ok(!fs.existsSync(calls));
+            });
+
+            it('should leave out subjects whose condition can\'t be escaped, with a warning', async function () {
+                const result = await run(['ann'], { tables: { orders: { where: '"odd;column" = 1' } } });
+
+                assert.ok(result.warnings.some(w => /Subject orders left out/.test(w)));
+                assert.ok(!fs.readFileSync(calls, 'utf-8').includes('odd;column'));
+            });
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for loading seeds
+ */
+const assert = require('assert');
+const { load } = require('../src/load');
+const { LoadError } = require('../src/errors');
+
+const SEED = `-- Generated by seedify
+Insert into users(id, name) values (1, 'alice'), (2, 'bob');
+Insert into orders(id, user_id) values (10, 1);
+UPDATE users SET name = 'alice' WHERE id = 1;`;
+
+/**
+ * Client that records queries. `respond(text)` returns a result or throws.
+ */
+function fakeClient(respond = () => null) {
+    const queries = [];
+    return {
+        queries,
+        async query(text, values) {
+            queries.push(values ? [text.replace(/\s+/g, ' '), values] : text);
+            const result = respond(text, values);
+            return result || { rows: [], rowCount: (text.match(/\(\d+,/g) || []).length };
+        },
+        async end() {
+            throw new Error('a passed-in client must stay open');
+        }
+    };
+}
+
+const statementsOnly = client => client.queries.filter(q => typeof q === 'string');
+
+describe('Load', function () {
+    it('should apply the seed in a transaction with foreign key checks off', async function () {
+        const client = fakeClient();
+        const result = await load({ client, sql: SEED, truncate: true, resetSequences: false });
+
+        assert.deepStrictEqual(statementsOnly(client), [
+            'BEGIN',
+            'SAVEPOINT seedify_replica',
+            'SET LOCAL session_replication_role = replica',
+            'RELEASE SAVEPOINT seedify_replica',
+            'TRUNCATE users, orders',
+            "Insert into users(id, name) values (1, 'alice'), (2, 'bob')",
+            'Insert into orders(id, user_id) values (10, 1)',
+            "UPDATE users SET name = 'alice' WHERE id = 1",
+            'COMMIT'
+        ]);
+        assert.strictEqual(result.constraints, 'replica');
+        assert.deepStrictEqual(result.tables, [
+            { table: 'users', rows: 2, skipped: 0 },
+            { table: 'orders', rows: 1, skipped: 0 }
+        ]);
+    });
+
+    it('should defer constraints when replica mode is not allowed', async function () {
+        const client = fakeClient((text) => {
+            if (text.includes('session_replication_role')) throw new Error('permission denied');
+        });
+        const result = await load({ client, sql: SEED, resetSequences: false });
+
+        assert.strictEqual(result.constraints, 'deferred');
+        assert.ok(statementsOnly(client).includes('ROLLBACK TO SAVEPOINT seedify_replica'));
+        assert.ok(statementsOnly(client).includes('SET CONSTRAINTS ALL DEFERRED'));
+        assert.strictEqual(result.warnings.length, 1);
+    });
+
+    it('should skip and report existing rows with onConflict skip', async function () {
+        const client = fakeClient((text) => {
+            if (text.startsWith('Insert into users')) return { rows: [], rowCount: 1 };
+        });
+        const result = await load({ client, sql: SEED, onConflict: 'skip', resetSequences: false });
+
+        assert.ok(statementsOnly(client).includes("Insert into users(id, name) values (1, 'alice'), (2, 'bob') ON CONFLICT DO NOTHING"));
+        assert.deepStrictEqual(result.conflicts, [{ table: 'users', rows: 1 }]);
+    });
+
+    it('should roll back and throw a LoadError on duplicate rows', async function () {
+        const client = fakeClient((text) => {
+            if (text.startsWith('Insert into orders')) {
+                throw Object.assign(new Error('duplicate key'), { code: '23505', detail: 'Key (id)=(10) already exists.' });
+            }
+        });
+
+        await assert.rejects(load({ client, sql: SEED, resetSequences: false }), (e) => {
+            assert.ok(e instanceof LoadError);
+            assert.strictEqual(e.table, 'orders');
+            assert.match(e.message, /Row already exists in orders: Key \(id\)=\(10\)/);
+            return true;
+        });
+        assert.strictEqual(statementsOnly(client).pop(), 'ROLLBACK');
+    });
+
+    it('should move serial sequences past the loaded ids', async function () {
+        const client = fakeClient((text, values) => {
+            if (text.includes('pg_get_serial_sequence')) {
+                return {
+                    rows: values[0] === 'users'
+                        ? [{ table_name: 'users', column_name: 'id', sequence_name: 'public.users_id_seq' },
+                            { table_name: 'users', column_name: 'name', sequence_name: null }]
+                        : [{ table_name: 'orders', column_name: 'id', sequence_name: 'public.orders_id_seq' }]
+                };
+            }
+            if (text.includes('setval')) {
+                // orders_id_seq is already past the seeded ids
+                return { rows: values[0] === 'public.users_id_seq' ? [{ value: '2' }] : [] };
+            }
+        });
+        const result = await load({ client, sql: SEED });
+
+        assert.deepStrictEqual(result.sequences, [
+            { table: 'users', column: 'id', sequence: 'public.users_id_seq', value: 2 }
+        ]);
+        assert.ok(client.queries.some(q => Array.isArray(q) && q[0].includes('MAX(id)::bigint AS max_value FROM users')));
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for masking personal data in seeds
+ */
+const assert = require('assert');
+const { createMasker, maskSeed } = require('../src/mask');
+const { ConfigError } = require('../src/errors');
+
+const SEED = `-- Generated by seedify from 1 extraction run(s)
+
+INSERT INTO users(id, name, email, phone, password_hash) VALUES
+    (1, 'Ann O''Neil', 'ann@corp.com', '+1 (555) 010-2233', 'x1'),
+    (2, NULL, 'bob@corp.com', DEFAULT, 'x2');
+
+INSERT INTO sales.orders(id, customer_email, amount) VALUES
+    (10, 'ann@corp.com', 25);
+
+UPDATE users SET email = 'ann@corp.com' WHERE id = 1;`;
+
+const RULES = {
+    secret: 'test-secret',
+    columns: {
+        'users.email': 'email',
+        '*.phone': 'phone',
+        'users.name': 'name',
+        'users.password_hash': 'null',
+        'sales.orders.customer_*': 'email'
+    }
+};
+
+describe('Mask', function () {
+    describe('createMasker', function () {
+        it('should return null without rules', function () {
+            assert.strictEqual(createMasker(undefined, {}), null);
+            assert.strictEqual(createMasker({ columns: {} }, {}), null);
+        });
+
+        it('should reject unknown strategies and bad patterns', function () {
+            assert.throws(() => createMasker({ columns: { email: 'scramble' } }, {}), ConfigError);
+            assert.throws(() => createMasker({ columns: { 'a.b.c.d': 'hash' } }, {}), ConfigError);
+        });
+
+        it('should match table and column patterns', function () {
+            const masker = createMasker(RULES, {});
+            assert.strictEqual(masker.ruleFor('users', 'email').strategy, 'email');
+            assert.strictEqual(masker.ruleFor('public.users', 'EMAIL').strategy, 'email');
+            assert.strictEqual(masker.ruleFor('accounts', 'email'), null);
+            assert.strictEqual(masker.ruleFor('contacts', 'phone').strategy, 'phone');
+            assert.strictEqual(masker.ruleFor('sales.orders', 'customer_email').strategy, 'email');
+            assert.strictEqual(masker.ruleFor('orders', 'customer_email'), null);
+        });
+
+        it('should mask the same value the same way, and differently per secret', function () {
+            const masker = createMasker(RULES, {});
+            const email = masker.maskValue('users', 'email', 'ann@corp.com');
+
+            assert.match(email, /^[a-z0-9]{8}@example\.com$/);
+            assert.strictEqual(masker.maskValue('sales.orders', 'customer_email', 'ann@corp.com'), email);
+            assert.notStrictEqual(createMasker({ ...RULES, secret: 'other' }, {}).maskValue('users', 'email', 'ann@corp.com'), email);
+            assert.strictEqual(createMasker({ columns: RULES.columns }, { SEEDIFY_MASK_SECRET: 'test-secret' }).maskValue('users', 'email', 'ann@corp.com'), email);
+        });
+
+        it('should keep the format of phone numbers and numeric hashes', function () {
+            const masker = createMasker({ columns: { phone: 'phone', card: 'hash', token: 'hash' } }, {});
+
+            assert.match(masker.maskValue('users', 'phone', '+1 (555) 010-2233'), /^\+\d \(\d{3}\) \d{3}-\d{4}$/);
+            assert.match(masker.maskValue('payments', 'card', '4111111111111111'), /^[1-9]\d{15}$/);
+            assert.match(masker.maskValue('sessions', 'token', 'abcdef'), /^[0-9a-f]{6}$/);
+            assert.strictEqual(masker.secretSet, false);
+        });
+
+        it('should call custom strategies with the value and a hash', function () {
+            const masker = createMasker({ columns: { bio: (value, { column, hash }) => `${column} ${hash.length}` } }, {});
+            assert.strictEqual(masker.maskValue('users', 'bio', 'hello'), 'bio 64');
+            assert.strictEqual(masker.maskValue('users', 'bio', null), null);
+        });
+    });
+
+    describe('maskSeed', function () {
+        it('should mask inserts and updates consistently', function () {
+            const masker = createMasker(RULES, {});
+            const email = masker.maskValue('users', 'email', 'ann@corp.com');
+            const result = maskSeed(SEED, masker);
+
+            assert.ok(result.sql.startsWith('-- Generated by seedify from 1 extraction run(s)\n\nINSERT INTO users'));
+            assert.ok(!/corp\.com|O''Neil|'x1'/.test(result.sql));
+            assert.ok(result.sql.includes(`(10, '${email}', 25)`));
+            assert.ok(result.sql.includes(`UPDATE users SET email = '${email}' WHERE id = 1;`));
+            // NULL stays NULL, DEFAULT is left alone, the hash is nulled
+            assert.match(result.sql, /\(2, NULL, '[a-z0-9]+@example\.com', DEFAULT, NULL\)/);
+            assert.deepStrictEqual(result.columns.map(c => [c.table, c.column, c.strategy, c.rows]), [
+                ['users', 'name', 'name', 2],
+                ['users', 'email', 'email', 2],
+                ['users', 'phone', 'phone', 2],
+                ['users', 'password_hash', 'null', 2],
+                ['sales.orders', 'customer_email', 'email', 1]
+            ]);
+        });
+
+        it('should keep casts and escape masked text', function () {
+            const masker = createMasker({ columns: { note: () => "it's" } }, {});
+            const { sql } = maskSeed("INSERT INTO t(id, note) VALUES (1, E'a\\\\b'::text);", masker);
+            assert.ok(sql.includes("(1, 'it''s'::text)"));
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for building seeds from captured query results
+ */
+const assert = require('assert');
+const { buildSeedFromResults } = require('../src/results');
+const { splitStatements, parseInsert } = require('../src/seed');
+
+const USERS = 16384;
+const ORDERS = 16390;
+
+const field = (name, tableID, columnID, dataTypeID = 23) => ({ name, tableID, columnID, dataTypeID });
+
+function insertedRows(sql) {
+    return splitStatements(sql)
+        .map(parseInsert)
+        .filter(Boolean)
+        .flatMap(i => i.rows.map(r => `${i.table}(${i.columns.join(', ')}) ${r}`));
+}
+
+describe('Seeds from Results', function () {
+    it('should build inserts from star and column selects', function () {
+        const { sql, tables } = buildSeedFromResults([
+            {
+                query: 'SELECT * FROM orders WHERE user_id = $1',
+                result: {
+                    fields: [field('id', ORDERS, 1), field('user_id', ORDERS, 2), field('note', ORDERS, 3, 25)],
+                    rows: [{ id: 10, user_id: 1, note: "it's" }]
+                }
+            },
+            {
+                query: 'SELECT u.id, u.name AS display_name FROM users u WHERE u.id = $1',
+                result: {
+                    fields: [field('id', USERS, 1), field('display_name', USERS, 2, 25)],
+                    rows: [{ id: 1, display_name: 'alice' }]
+                }
+            }
+        ]);
+
+        assert.deepStrictEqual(tables, [{ table: 'users', rows: 1 }, { table: 'orders', rows: 1 }]);
+        assert.deepStrictEqual(insertedRows(sql), [
+            "users(id, name) (1, 'alice')",
+            "orders(id, user_id, note) (10, 1, 'it''s')"
+        ]);
+    });
+
+    it('should resolve table OIDs learned from other queries', function () {
+        const { sql, unresolvedCount } = buildSeedFromResults([
+            {
+                query: 'SELECT id FROM users',
+                result: { fields: [field('id', USERS, 1)], rows: [{ id: 1 }] }
+            },
+            {
+                // Function target: nothing to line up, but the OID is already known
+                query: 'SELECT * FROM find_user($1)',
+                result: { fields: [field('id', USERS, 1), field('name', USERS, 2, 25)], rows: [{ id: 2, name: 'bob' }] }
+            },
+            {
+                query: 'SELECT * FROM report()',
+                result: { fields: [field('total', 99999, 1)], rows: [{ total: 3 }] }
+            }
+        ]);
+
+        assert.strictEqual(unresolvedCount, 1);
+        assert.deepStrictEqual(insertedRows(sql), ['users(id, name) (1, DEFAULT)', "users(id, name) (2, 'bob')"]);
+    });
+
+    it('should merge rows by id and skip shadowed join columns', function () {
+        const { sql } = buildSeedFromResults([
+            {
+                query: 'SELECT * FROM users u JOIN orders o ON o.user_id = u.id',
+                result: {
+                    fields: [field('id', USERS, 1), field('name', USERS, 2, 25), field('id', ORDERS, 1), field('user_id', ORDERS, 2)],
+                    // Row objects keep the last "id": the order's
+                    rows: [{ id: 10, name: 'alice', user_id: 1 }]
+                }
+            },
+            {
+                query: 'SELECT id, name FROM users WHERE id = 1',
+                result: { fields: [field('id', USERS, 1), field('name', USERS, 2, 25)], rows: [{ id: 1, name: 'alice' }] }
+            }
+        ]);
+
+        assert.deepStrictEqual(insertedRows(sql), [
+            "users(id, name) (1, 'alice')",
+            'orders(id, user_id) (10, 1)'
+        ]);
+    });
+
+    it('should render json, boolean and array values', function () {
+        const { sql } = buildSeedFromResults([{
+            query: 'SELECT id, data, active, tags FROM users',
+            result: {
+                fields: [field('id', USERS, 1), field('data', USERS, 2, 3802), field('active', USERS, 3, 16), field('tags', USERS, 4, 1009)],
+                rows: [{ id: 1, data: { a: 'b' }, active: true, tags: ['x', 'y z'] }]
+            }
+        }]);
+
+        assert.deepStrictEqual(insertedRows(sql), [
+            'users(id, data, active, tags) (1, \'{"a":"b"}\', TRUE, \'{"x","y z"}\')'
+        ]);
+    });
+
+    it('should render intervals and points as their text form', function () {
+        const { sql } = buildSeedFromResults([{
+            query: 'SELECT id, notice, home, area FROM users',
+            result: {
+                fields: [field('id', USERS, 1), field('notice', USERS, 2, 1186), field('home', USERS, 3, 600), field('area', USERS, 4, 718)],
+                // As read back from queries.jsonl
+                rows: [{ id: 1, notice: { days: 1, hours: 2, milliseconds: 500 }, home: { x: 1, y: 2 }, area: { x: 0, y: 0, radius: 3 } }]
+            }
+        }]);
+
+        assert.deepStrictEqual(insertedRows(sql), [
+            "users(id, notice, home, area) (1, '1 days 2 hours 0.5 seconds', '(1,2)', '<(0,0),3>')"
+        ]);
+    });
+});
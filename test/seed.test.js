@@ -0,0 +1,176 @@
+/**
+ * Tests for the seed utilities
+ */
+const assert = require('assert');
+const { splitStatements, parseInsert, mergeSeeds, sequenceResets, excludeRows } = require('../src/seed');
+
+describe('Seed Utilities', function () {
+    describe('splitStatements', function () {
+        it('should split on semicolons and drop comments', function () {
+            const sql = `-- generated by Jailer
+SET session_replication_role = replica;
+Insert into users(id, name) values (1, 'a;b');
+/* block */ Insert into orders(id) values (7);`;
+            const statements = splitStatements(sql);
+
+            assert.deepStrictEqual(statements, [
+                'SET session_replication_role = replica',
+                "Insert into users(id, name) values (1, 'a;b')",
+                'Insert into orders(id) values (7)'
+            ]);
+        });
+
+        it('should handle escaped quotes', function () {
+            const statements = splitStatements("Insert into users(name) values ('O''Brien; Jr');");
+            assert.strictEqual(statements.length, 1);
+            assert.ok(statements[0].includes("'O''Brien; Jr'"));
+        });
+    });
+
+    describe('parseInsert', function () {
+        it('should parse multi-row inserts', function () {
+            const insert = parseInsert(`Insert into public.users(id, name) values
+                (1, 'alice'),
+                (2, 'bob, jr')`);
+
+            assert.strictEqual(insert.table, 'public.users');
+            assert.deepStrictEqual(insert.columns, ['id', 'name']);
+            assert.deepStrictEqual(insert.rows, ["(1, 'alice')", "(2, 'bob, jr')"]);
+        });
+
+        it('should return null for non-insert statements', function () {
+            assert.strictEqual(parseInsert('SET search_path = public'), null);
+        });
+    });
+
+    describe('mergeSeeds', function () {
+        it('should dedupe rows across exports and report per-export counts', function () {
+            const first = `Insert into users(id, name) values (1, 'alice');
+Insert into orders(id, user_id) values (10, 1), (11, 1);`;
+            const second = `Insert into users(id, name) values (1, 'alice'), (2, 'bob');
+Insert into orders(id, user_id) values (11, 1), (12, 2);`;
+
+            const { sql, stats, tables } = mergeSeeds([first, second]);
+
+            assert.deepStrictEqual(stats, [
+                { rows: 3, newRows: 3 },
+                { rows: 4, newRows: 2 }
+            ]);
+            assert.deepStrictEqual(tables, [{ table: 'users', rows: 2 }, { table: 'orders', rows: 3 }]);
+
+            const rows = splitStatements(sql)
+                .map(parseInsert)
+                .filter(Boolean)
+                .flatMap(i => i.rows.map(r => `${i.table} ${r}`));
+            assert.deepStrictEqual(rows, [
+                "users (1, 'alice')",
+                'orders (10, 1)',
+                'orders (11, 1)',
+                "users (2, 'bob')",
+                'orders (12, 2)'
+            ]);
+        });
+
+        it('should keep repeated non-insert statements only once', function () {
+            const { sql } = mergeSeeds([
+                'SET session_replication_role = replica;',
+                'SET session_replication_role = replica;'
+            ]);
+            assert.strictEqual(sql.match(/session_replication_role/g).length, 1);
+        });
+
+        it('should tell quoted tables from their lower-case namesakes', function () {
+            const { stats } = mergeSeeds([
+                'INSERT INTO "Users"(id) VALUES (1);',
+                'INSERT INTO users(id) VALUES (1);',
+                'INSERT INTO USERS(id) VALUES (1);'
+            ]);
+
+            assert.deepStrictEqual(stats.map(s => s.newRows), [1, 1, 0]);
+        });
+    });
+
+    describe('sequenceResets', function () {
+        it('should set each owned sequence to the largest seeded value', function () {
+            const sql = `Insert into public.users(id, name) values (3, 'a'), (12, 'b');
+Insert into "Orders"("Id", user_id) values (7, 12), (NULL, 3);`;
+            const sequences = {
+                'public.users.id': 'public.users_id_seq',
+                'Orders.Id': 'public."Orders_Id_seq"'
+            };
+
+            const resets = sequenceResets(sql, (table, column) => sequences[`${table}.${column}`] || null);
+
+            assert.deepStrictEqual(resets.sequences.map(r => [r.sequence, r.value]), [
+                ['public.users_id_seq', '12'],
+                ['public."Orders_Id_seq"', '7']
+            ]);
+            assert.ok(resets.sql.includes(
+                "SELECT setval('public.users_id_seq', GREATEST(12::bigint, COALESCE(pg_sequence_last_value('public.users_id_seq'), 0)));"
+            ));
+        });
+
+        it('should return nothing without sequence columns', function () {
+            assert.deepStrictEqual(sequenceResets("Insert into tags(name) values ('x');", () => null), { sql: '', sequences: [] });
+        });
+    });
+
+    describe('excludeRows', function () {
+        const TABLES = {
+            users: { key: 'public.users', primaryKey: ['id'], foreignKeys: [] },
+            orders: {
+                key: 'public.orders',
+                primaryKey: ['id'],
+                foreignKeys: [{ columns: ['user_id'], parent: 'public.users', refColumns: ['id'] }]
+            },
+            tags: { key: 'public.tags', primaryKey: null, foreignKeys: [] }
+        };
+        const tableInfo = table => TABLES[table.replace(/^public\./, '')] || null;
+
+        it('should drop rows the tests insert and the rows referencing them', function () {
+            const sql = `-- Generated by seedify from 1 extraction run(s)
+
+INSERT INTO public.users(id, email) VALUES
+    (1, 'a@x.io'),
+    (5, 'e@x.io');
+
+INSERT INTO public.orders(id, user_id) VALUES
+    (10, 1),
+    (11, NULL),
+    (12, 5);
+
+UPDATE public.orders SET user_id = 5 WHERE id = 11;
+
+UPDATE public.orders SET user_id = 1 WHERE id = 10;
+
+INSERT INTO tags(name) VALUES ('x');`;
+
+            const result = excludeRows(sql, [
+                { table: 'users', values: { id: 5, email: 'new@x.io' } },
+                { table: 'orders', values: { user_id: 1, note: null } },
+                { table: 'tags', values: { name: 'x' } }
+            ], tableInfo);
+
+            assert.deepStrictEqual(result.excluded, [{ table: 'public.users', rows: 1 }, { table: 'public.orders', rows: 2 }]);
+            assert.strictEqual(result.sql, `-- Generated by seedify from 1 extraction run(s)
+
+INSERT INTO public.users(id, email) VALUES
+    (1, 'a@x.io');
+
+INSERT INTO public.orders(id, user_id) VALUES
+    (10, 1);
+
+UPDATE public.orders SET user_id = 1 WHERE id = 10;
+
+INSERT INTO tags(name) VALUES
+    ('x');
+`);
+        });
+
+        it('should leave the seed alone when nothing is created', function () {
+            const sql = 'INSERT INTO users(id) VALUES (1);';
+            assert.deepStrictEqual(excludeRows(sql, [], tableInfo), { sql, excluded: [] });
+            assert.deepStrictEqual(excludeRows(sql, [{ table: 'carts', values: { id: 1 } }], tableInfo), { sql, excluded: [] });
+        });
+    });
+});
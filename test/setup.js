@@ -0,0 +1,11 @@
+/**
+ * Mocha root hooks shared by all test files
+ */
+const { loadParser } = require('../src/analyzer');
+
+exports.mochaHooks = {
+    // The analyzer's synchronous extract* functions need the wasm parser loaded
+    beforeAll() {
+        return loadParser();
+    }
+};
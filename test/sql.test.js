@@ -0,0 +1,31 @@
+/**
+ * Tests for the SQL quoting helpers
+ */
+const assert = require('assert');
+const pgQuery = require('libpg-query');
+const { quoteIdent, quoteQualified } = require('../src/sql');
+
+const KEYWORDS = [
+    'select', 'user', 'order', 'authorization', 'between', 'binary', 'collation', 'concurrently',
+    'cross', 'current_schema', 'freeze', 'full', 'ilike', 'inner', 'is', 'isnull', 'join', 'left',
+    'like', 'natural', 'notnull', 'outer', 'overlaps', 'right', 'similar', 'tablesample', 'verbose'
+];
+
+describe('SQL helpers', function () {
+    describe('quoteIdent', function () {
+        it('should leave plain names bare and quote the rest', function () {
+            assert.strictEqual(quoteIdent('users'), 'users');
+            assert.strictEqual(quoteIdent('CamelCase'), '"CamelCase"');
+            assert.strictEqual(quoteIdent('say "hi"'), '"say ""hi"""');
+        });
+
+        it('should quote keywords so PostgreSQL reads them back as names', function () {
+            for (const word of KEYWORDS) {
+                const sql = `INSERT INTO ${quoteQualified(word, word)}(${quoteIdent(word)}) VALUES (1)`;
+                const insert = pgQuery.parseSync(sql).stmts[0].stmt.InsertStmt;
+
+                assert.deepStrictEqual([insert.relation.schemaname, insert.relation.relname, insert.cols[0].ResTarget.name], [word, word, word], sql);
+            }
+        });
+    });
+});
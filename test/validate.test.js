@@ -0,0 +1,82 @@
+/**
+ * Tests for validating conditions against the catalog
+ */
+const assert = require('assert');
+const { buildSchema } = require('../src/extractor');
+const { extractIdConditions, mergeConditions } = require('../src/analyzer');
+const { validateConditions, describeCondition } = require('../src/validate');
+
+const col = (schema, table, column) => ({
+    schema, table, column, type: 'integer', not_null: false, generated: false
+});
+
+function shopSchema(searchPath = ['app', 'public']) {
+    return {
+        ...buildSchema([
+            col('app', 'users', 'id'),
+            col('app', 'users', 'email'),
+            col('app', 'orders', 'id'),
+            col('app', 'orders', 'user_id'),
+            col('app', 'orders', 'total'),
+            col('public', 'users', 'id'),
+            col('billing', 'invoices', 'id'),
+            col('billing', 'invoices', 'order_id')
+        ], []),
+        searchPath
+    };
+}
+
+// Conditions the way analyzeFile merges them
+const analyze = (...queries) => ({
+    conditions: mergeConditions(queries.flatMap(([query, params]) => extractIdConditions(query, params)))
+});
+
+describe('Validate', function () {
+    it('should keep conditions whose table has the column', function () {
+        const analysis = analyze(['SELECT * FROM users WHERE id = $1', [1]]);
+        const result = validateConditions(analysis, shopSchema());
+
+        assert.deepStrictEqual(result.analysis.conditions, [{ table: 'users', column: 'id', values: [1] }]);
+        assert.deepStrictEqual([result.rejected, result.corrected], [[], []]);
+    });
+
+    it('should move unqualified columns to the joined table that owns them', function () {
+        const analysis = analyze(['SELECT * FROM users u JOIN orders o ON o.user_id = u.id WHERE total > $1', [100]]);
+        const result = validateConditions(analysis, shopSchema());
+
+        assert.deepStrictEqual(result.analysis.conditions, [{ table: 'orders', column: 'total', operator: '>', values: [100] }]);
+        assert.deepStrictEqual(result.corrected, [{ table: 'users', column: 'total', to: 'orders', reason: 'column total belongs to orders' }]);
+    });
+
+    it('should reject unknown tables and columns with the reason', function () {
+        const analysis = analyze(
+            ['SELECT * FROM carts WHERE id = $1', [1]],
+            ['SELECT * FROM users WHERE name = $1', ['ann']],
+            ['SELECT * FROM users u JOIN orders o ON o.user_id = u.id WHERE id = $1', [3]]
+        );
+        const result = validateConditions(analysis, shopSchema());
+
+        assert.deepStrictEqual(result.analysis.conditions, []);
+        assert.deepStrictEqual(result.rejected.map(r => r.reason), [
+            'table carts does not exist',
+            'column name does not exist in users',
+            'column id is ambiguous between users and orders'
+        ]);
+        assert.strictEqual(describeCondition(result.rejected[1]), 'users.name = "ann"');
+    });
+
+    it('should follow the search_path and qualify tables off it', function () {
+        const analysis = analyze(
+            ['SELECT * FROM users WHERE email = $1', ['a@b.c']],
+            ['SELECT * FROM invoices WHERE order_id = $1', [7]]
+        );
+
+        const result = validateConditions(analysis, shopSchema());
+        assert.deepStrictEqual(result.analysis.conditions.map(c => c.table), ['users', 'billing.invoices']);
+        assert.match(result.corrected[0].reason, /schema billing, which is not on the search_path/);
+
+        // public.users has no email column
+        const publicFirst = validateConditions(analysis, shopSchema(['public', 'app']));
+        assert.deepStrictEqual(publicFirst.rejected.map(r => r.reason), ['column email does not exist in users']);
+    });
+});